@@ -1,56 +1,95 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { SeededRandom } from './random.js';
+import { DEFAULT_FLIGHT_PARAMS, createFlightState, placeFlightState, stopFlight, stepFlight, isStalling, getAirspeed, getGroundSpeed } from './physics.js';
+import { THROTTLE_DETENTS } from './throttle.js';
+import { FuelSystem } from './fuel-system.js';
+import { DamageModel } from './damage.js';
+import { SafeStateHistory } from './respawn.js';
+import { LandingGear } from './landing-gear.js';
+import { DEFAULT_AIRCRAFT_DEFINITION } from './config.js';
 
 export class AircraftSystem {
-    constructor(scene, environment) {
+    constructor(scene, environment, definition = DEFAULT_AIRCRAFT_DEFINITION) {
         this.scene = scene;
         this.environment = environment;
         this.aircraft = null;
         this.aircraftModel = null;
+        this.lights = [];
+        
+        // Aircraft type (config.js) - model, collision points, performance and lights
+        this.definition = definition;
         
         // Aircraft physics properties
         this.velocity = new THREE.Vector3(0, 0, 0);
         this.acceleration = new THREE.Vector3(0, 0, 0);
         this.rotation = new THREE.Euler(0, 0, 0);
         this.angularVelocity = new THREE.Vector3(0, 0, 0);
+        this.wind = new THREE.Vector3(0, 0, 0); // Air velocity at the aircraft, sampled each tick
+        
+        // Flight parameters - the force model itself lives in physics.js
+        this.flightParams = { ...DEFAULT_FLIGHT_PARAMS, ...definition.performance };
+        this.flightState = createFlightState({
+            velocity: this.velocity,
+            acceleration: this.acceleration,
+            angularVelocity: this.angularVelocity,
+            wind: this.wind
+        });
+        
+        // Engine spools toward the throttle lever instead of jumping to it
+        this.engineParams = {
+            spoolUpTime: 3.0, // Seconds from idle to military thrust
+            spoolDownTime: 2.0, // Seconds from military back to idle
+            afterburnerLightTime: 0.5 // Seconds from military to full afterburner
+        };
+        this.engineLevel = 0; // Current thrust level, 0 idle, 1 military, up to 1.5 with afterburner
+        
+        // Fuel, afterburner heat and flame-out - limits what the engine can spool to
+        this.fuelSystem = new FuelSystem();
         
-        // Flight parameters
+        // Read-only copies of the flight state for metrics and effects
         this.thrust = 0;
-        this.maxThrust = 10000; // Increased from 5000 for much faster movement
-        this.drag = 0.985; // Slightly reduced drag for more speed
-        this.lift = 0;
-        this.gravity = -1.5; // Further reduced gravity for easier flight
-        this.mass = 1000;
-        
-        // Control parameters - realistic flight model
-        this.pitchSensitivity = 0.08; // Increased for responsive arrow key pitch control
-        this.yawSensitivity = 0.02; // Reduced for more realistic rudder authority
-        this.rollSensitivity = 0.05; // Increased for responsive banking
-        
-        // Advanced flight dynamics
         this.bankAngle = 0; // Current bank angle in radians
         this.turnRate = 0; // Current turn rate
         this.gForce = 1.0; // Current G-force
-        this.stallSpeed = 50; // Speed below which aircraft becomes unstable
-        this.maxBankAngle = Math.PI * 0.7; // Maximum safe bank angle (about 125 degrees)
-        
-        // Aerodynamic coefficients
-        this.liftCoefficient = 0.8;
-        this.dragCoefficient = 0.03;
-        this.stallAngle = Math.PI / 6; // 30 degrees angle of attack causes stall
         
         // Aircraft state
         this.isEngineOn = false;
-        this.speed = 0;
+        this.speed = 0; // Airspeed in km/h
+        this.groundSpeed = 0; // km/h
         this.altitude = 0;
         this.crashed = false; // NEW: Track crash state to prevent movement
         
+        // Per-part health - terrain scrapes damage parts, only severe impacts crash
+        this.damage = new DamageModel();
+        this.onDamage = null; // Called with (part, health) when terrain contact damages a part
+        this.previousCollision = null; // Collision points at the end of the last tick, swept from each tick
+        
+        // Recent safe states to respawn from after a crash, see respawn()
+        this.safeStates = new SafeStateHistory();
+        this.invulnerableTimer = 0; // Seconds left in which terrain contact does no damage
+        
+        // Gear, wheel brakes and the ground roll on the runway
+        this.landingGear = new LandingGear();
+        this.onTouchdown = null; // Called with the touchdown check ({ safe, reason, sinkRate, bank }) when the wheels meet the ground
+        
+        // Moving air the aircraft flies through, see setWindField() - still air when not set
+        this.windField = null;
+        
+        // Seeded stream for stall buffeting and crash attitudes, see setRandom()
+        this.random = new SeededRandom();
+        
+        // Spawn point from the loaded track ({ position, heading, standing? }), null uses the corner spawn
+        this.spawn = null;
+        
         // Controls state
         this.controls = {
             throttle: 0,
+            afterburner: false,
             pitch: 0,
             yaw: 0,
-            roll: 0
+            roll: 0,
+            brake: false
         };
         
         console.log('Aircraft system initialized');
@@ -69,37 +108,40 @@ export class AircraftSystem {
     }
 
     async loadAircraftModel() {
+        this.aircraftModel = await this.loadModel(this.definition.model);
+        
+        // Create aircraft group for easier manipulation, kept across aircraft changes
+        if (!this.aircraft) {
+            this.aircraft = new THREE.Group();
+            this.scene.add(this.aircraft);
+        }
+        this.aircraft.add(this.aircraftModel);
+        console.log(`Aircraft model loaded successfully: ${this.definition.name}`);
+    }
+
+    // Load a GLB with the definition's scale and orientation fix applied
+    loadModel(modelDefinition) {
         return new Promise((resolve, reject) => {
             const loader = new GLTFLoader();
             loader.load(
-                'visuals/airManiaJet.glb',
+                modelDefinition.path,
                 (gltf) => {
-                    this.aircraftModel = gltf.scene;
-                    
-                    // Scale the aircraft much smaller for grander world appearance
-                    this.aircraftModel.scale.setScalar(1); // Reduced from 3 to 1 (much smaller)
-                    
-                    // Fix the model's orientation - GLB models often face the wrong way
-                    console.log('Original model rotation:', this.aircraftModel.rotation);
+                    const model = gltf.scene;
+                    model.scale.setScalar(modelDefinition.scale);
                     
-                    // Rotate the model to face forward correctly
-                    this.aircraftModel.rotation.y = Math.PI/2; // 90 degree turn to face forward
-                    
-                    // Create aircraft group for easier manipulation
-                    this.aircraft = new THREE.Group();
-                    this.aircraft.add(this.aircraftModel);
+                    // GLB models often face the wrong way - turn them to face -Z
+                    const rotation = modelDefinition.rotation;
+                    model.rotation.set(rotation.x, rotation.y, rotation.z);
                     
                     // Enable shadows
-                    this.aircraftModel.traverse((child) => {
+                    model.traverse((child) => {
                         if (child.isMesh) {
                             child.castShadow = true;
                             child.receiveShadow = true;
                         }
                     });
                     
-                    this.scene.add(this.aircraft);
-                    console.log('Aircraft model loaded successfully');
-                    resolve();
+                    resolve(model);
                 },
                 (progress) => {
                     console.log('Loading progress:', (progress.loaded / progress.total * 100) + '%');
@@ -112,18 +154,73 @@ export class AircraftSystem {
         });
     }
 
+    /**
+     * Switch to another aircraft type (start screen only - the flight is not reset)
+     * The new model is loaded before the old one is removed, so a failed load keeps the old plane.
+     * @param {Object} definition - Parsed definition from config.js
+     */
+    async setDefinition(definition) {
+        const model = await this.loadModel(definition.model);
+        
+        if (this.aircraftModel) {
+            this.aircraft.remove(this.aircraftModel);
+        }
+        this.definition = definition;
+        this.aircraftModel = model;
+        this.aircraft.add(model);
+        
+        // Per-aircraft performance on top of the defaults; player preferences carry over
+        const { turnAssist, realism } = this.flightParams;
+        this.flightParams = { ...DEFAULT_FLIGHT_PARAMS, ...definition.performance, turnAssist, realism };
+        
+        this.createAircraftLights();
+        this.previousCollision = null; // Collision points moved with the new definition
+        console.log(`✈️ Aircraft changed to ${definition.name}`);
+    }
+
+    // Draw from a seeded stream so the same inputs give the same flight
+    setRandom(random) {
+        this.random = random;
+    }
+
+    // Fly through the session's wind field
+    setWindField(windField) {
+        this.windField = windField;
+    }
+
+    // Coordinated-turn assist strength, 0 (rudder fully manual) to 1
+    setTurnAssist(strength) {
+        this.flightParams.turnAssist = Math.max(0, Math.min(1, strength));
+    }
+
+    // Flight model blend, 0 arcade to 1 angle-of-attack aerodynamics
+    setRealism(realism) {
+        this.flightParams.realism = Math.max(0, Math.min(1, realism));
+    }
+
+    // Use a track-defined spawn point instead of the default corner spawn
+    setSpawn(spawn) {
+        this.spawn = spawn;
+    }
+
     positionAircraft() {
         if (!this.aircraft) return;
         
-        // Get corner spawn position from environment
-        const spawnPosition = this.environment.getCornerSpawnPosition();
-        this.aircraft.position.copy(spawnPosition);
+        // Spawn from the loaded track, or fall back to the corner spawn facing the centre
+        const spawnPosition = this.spawn ? this.spawn.position : this.environment.getCornerSpawnPosition();
+        const spawnHeading = this.spawn ? this.spawn.heading : Math.PI * 0.25; // 45 degrees toward center
+        placeFlightState(this.flightState, spawnPosition, spawnHeading);
+        this.previousCollision = null; // Don't sweep from wherever the aircraft was before
+        
+        // Standing takeoff - the spawn is on the runway surface, the wheels stand on it
+        const standing = !!(this.spawn && this.spawn.standing);
+        this.landingGear.reset(standing);
+        if (standing) {
+            this.flightState.position.y += this.landingGear.params.height;
+        }
         
-        // Set initial rotation facing forward (same direction as camera will follow)
-        // Point toward center of terrain but in a forward-facing orientation
-        this.aircraft.rotation.y = Math.PI * 0.25; // 45 degrees toward center
-        this.aircraft.rotation.x = 0; // Level flight
-        this.aircraft.rotation.z = 0; // No roll
+        // Level flight facing the spawn heading (same direction as camera will follow)
+        this.syncAircraftToFlightState();
         
         console.log(`Aircraft positioned at: x=${spawnPosition.x.toFixed(2)}, y=${spawnPosition.y.toFixed(2)}, z=${spawnPosition.z.toFixed(2)}`);
     }
@@ -131,18 +228,14 @@ export class AircraftSystem {
     createAircraftLights() {
         if (!this.aircraft) return;
         
-        // Navigation lights scaled for smaller aircraft
-        const leftWingLight = new THREE.PointLight(0xff0000, 0.3, 50); // Red - smaller intensity and range
-        leftWingLight.position.set(-2, 0, 0); // Closer to aircraft center
-        this.aircraft.add(leftWingLight);
-        
-        const rightWingLight = new THREE.PointLight(0x00ff00, 0.3, 50); // Green - smaller intensity and range
-        rightWingLight.position.set(2, 0, 0); // Closer to aircraft center
-        this.aircraft.add(rightWingLight);
-        
-        const tailLight = new THREE.PointLight(0xffffff, 0.2, 30); // White - smaller
-        tailLight.position.set(0, 0.5, -3); // Closer to aircraft
-        this.aircraft.add(tailLight);
+        // Navigation lights from the aircraft definition, replacing any from a previous type
+        this.lights.forEach(light => this.aircraft.remove(light));
+        this.lights = this.definition.lights.map((definition) => {
+            const light = new THREE.PointLight(definition.color, definition.intensity, definition.distance);
+            light.position.set(definition.x, definition.y, definition.z);
+            this.aircraft.add(light);
+            return light;
+        });
         
         console.log('Aircraft navigation lights created');
     }
@@ -159,7 +252,89 @@ export class AircraftSystem {
         this.updateControls(input);
         this.updatePhysics(deltaTime);
         this.updateAircraftMetrics();
-        this.checkTerrainCollision();
+        this.checkTerrainCollision(deltaTime);
+        
+        if (!this.crashed) {
+            this.updateInvulnerability(deltaTime);
+            const { position } = this.flightState;
+            const clearance = position.y - this.environment.getTerrainHeightAt(position.x, position.z);
+            this.safeStates.record(deltaTime, this.flightState, clearance, isStalling(this.flightState, this.flightParams));
+        }
+    }
+    
+    // Count down the post-respawn window and drop the ghosted look when it ends
+    updateInvulnerability(deltaTime) {
+        if (this.invulnerableTimer <= 0) return;
+        
+        this.invulnerableTimer = Math.max(0, this.invulnerableTimer - deltaTime);
+        if (this.invulnerableTimer === 0) {
+            this.setGhosted(false);
+            console.log('🛡️ Invulnerability ended');
+        }
+    }
+    
+    // Draw the aircraft see-through while it is invulnerable
+    setGhosted(ghosted) {
+        if (!this.aircraftModel) return;
+        
+        this.aircraftModel.traverse((child) => {
+            if (!child.isMesh) return;
+            [].concat(child.material).forEach((material) => {
+                if (ghosted && !material.userData.ghosted) {
+                    material.userData.ghosted = { transparent: material.transparent, opacity: material.opacity };
+                    material.transparent = true;
+                    material.opacity = 0.4;
+                } else if (!ghosted && material.userData.ghosted) {
+                    material.transparent = material.userData.ghosted.transparent;
+                    material.opacity = material.userData.ghosted.opacity;
+                    delete material.userData.ghosted;
+                }
+                material.needsUpdate = true;
+            });
+        });
+    }
+    
+    /**
+     * Put a crashed aircraft back at the latest safe state, or at the spawn when none was recorded
+     * It keeps that state's heading, flies at a safe entry speed with the damage repaired, and is
+     * invulnerable for a short while. The engine is relit with at least the respawn fuel reserve;
+     * score and the race are left to the caller.
+     */
+    respawn() {
+        if (!this.aircraft) return;
+        
+        const { entrySpeedFactor, invulnerableTime } = this.safeStates.params;
+        const state = this.safeStates.getLatest();
+        
+        this.crashed = false;
+        this.damage.reset();
+        
+        // The relit engine picks up at the lever setting, the afterburner lights again as usual
+        this.fuelSystem.restart();
+        this.engineLevel = Math.min(this.controls.throttle, THROTTLE_DETENTS.military);
+        
+        if (state) {
+            placeFlightState(this.flightState, state.position, state.heading);
+            this.landingGear.reset(false);
+            this.previousCollision = null;
+            this.syncAircraftToFlightState();
+        } else {
+            this.positionAircraft();
+        }
+        
+        // Level flight along the heading, never slower than the entry airspeed - a standing spawn stays at rest
+        if (!this.landingGear.onGround) {
+            const speed = Math.max(state ? state.speed : 0, this.flightParams.stallSpeed * entrySpeedFactor);
+            const heading = this.flightState.heading;
+            this.sampleWind();
+            this.velocity.set(-Math.sin(heading) * speed + this.wind.x, 0, -Math.cos(heading) * speed + this.wind.z);
+        }
+        this.updateAircraftMetrics();
+        
+        this.invulnerableTimer = invulnerableTime;
+        this.setGhosted(true);
+        
+        console.log(`🛡️ Respawned ${state ? 'at the last safe position' : 'at the spawn'} - invulnerable for ${invulnerableTime} s`);
     }
 
     updateControls(input) {
@@ -171,74 +346,21 @@ export class AircraftSystem {
         // Update control inputs (will be connected to input system)
         if (input) {
             this.controls.throttle = input.throttle || 0;
+            this.controls.afterburner = !!input.afterburner;
             this.controls.pitch = input.pitch || 0;
             this.controls.yaw = input.yaw || 0;
             this.controls.roll = input.roll || 0;
+            this.controls.brake = !!input.brake;
+            
+            if (input.gearToggle) {
+                this.landingGear.toggle();
+            }
             
             // Debug: Log when we receive significant control input
-            if (input.throttle > 0 || Math.abs(input.pitch) > 0 || Math.abs(input.yaw) > 0 || Math.abs(input.roll) > 0) {
+            if (input.afterburner || Math.abs(input.pitch) > 0 || Math.abs(input.yaw) > 0 || Math.abs(input.roll) > 0) {
                 console.log('Aircraft received input:', input);
             }
         }
-        
-        // Calculate thrust from throttle
-        this.thrust = this.controls.throttle * this.maxThrust;
-        
-        // Realistic banking dynamics
-        this.updateBankingDynamics();
-        
-        // Debug: Log thrust calculation
-        if (this.thrust > 0) {
-            console.log('Current thrust:', this.thrust, 'Bank angle:', (this.bankAngle * 180 / Math.PI).toFixed(1), '°');
-        }
-    }
-    
-    updateBankingDynamics() {
-        const speed = this.velocity.length();
-        
-        // Roll input creates banking
-        const rollInput = this.controls.roll;
-        const targetBankAngle = rollInput * this.maxBankAngle;
-        
-        // Smooth banking transition
-        const bankingRate = 0.08;
-        this.bankAngle += (targetBankAngle - this.bankAngle) * bankingRate;
-        this.bankAngle = Math.max(-this.maxBankAngle, Math.min(this.maxBankAngle, this.bankAngle));
-        
-        // NEW: Only apply banking forces when there's sufficient forward speed
-        const minimumSpeedForTurn = 30; // Prevent banking effects at low speeds
-        
-        if (Math.abs(this.bankAngle) > 0.1 && speed > minimumSpeedForTurn) {
-            // Turn rate proportional to bank and speed
-            this.turnRate = -Math.sin(this.bankAngle) * speed * 0.0008;
-            this.gForce = 1.0 / Math.cos(this.bankAngle);
-            this.angularVelocity.y = this.turnRate;
-        } else {
-            this.turnRate = 0;
-            this.gForce = 1.0;
-            // NEW: Add banking stability - return to level when no input
-            if (Math.abs(rollInput) < 0.1) {
-                this.bankAngle *= 0.95; // Gradual return to level flight
-            }
-        }
-        
-        // Separate pitch control (independent of banking)
-        this.angularVelocity.x = this.controls.pitch * this.pitchSensitivity;
-        
-        // NEW: Improved adverse yaw calculation
-        const adverseYaw = rollInput * 0.2 * (speed / 100); // Scale with airspeed
-        const rudderInput = this.controls.yaw;
-        const netYaw = (rudderInput * this.yawSensitivity) + adverseYaw;
-        
-        // Only apply yaw if we have turning capability
-        if (speed > minimumSpeedForTurn) {
-            this.angularVelocity.y += netYaw;
-        }
-        
-        // Debug pitch input (remove after testing)
-        if (Math.abs(this.controls.pitch) > 0.1) {
-            console.log('Pitch input:', this.controls.pitch, 'Angular velocity X:', this.angularVelocity.x);
-        }
     }
 
     updatePhysics(deltaTime) {
@@ -249,147 +371,221 @@ export class AircraftSystem {
             return; // No physics updates when crashed
         }
         
-        const speed = this.velocity.length();
+        this.updateEngine(deltaTime);
         
-        // Get aircraft's forward direction 
-        const forward = new THREE.Vector3(0, 0, -1);
-        forward.applyQuaternion(this.aircraft.quaternion);
+        // Thrust follows the spooled engine, not the lever; damaged parts weaken the controls
+        const flightControls = this.damage.applyToControls({ ...this.controls, throttle: this.engineLevel });
+        this.sampleWind();
+        stepFlight(this.flightState, flightControls, this.flightParams, deltaTime, { random: this.random.next });
+        this.landingGear.applyDrag(this.flightState, deltaTime);
+        this.updateGroundContact(deltaTime);
         
-        // Get aircraft's up direction for lift calculation
-        const up = new THREE.Vector3(0, 1, 0);
-        up.applyQuaternion(this.aircraft.quaternion);
+        this.thrust = this.flightState.thrust;
+        this.bankAngle = this.flightState.bankAngle;
+        this.turnRate = this.flightState.turnRate;
+        this.gForce = this.flightState.gForce;
         
-        // Apply thrust in forward direction
-        const thrustForce = forward.clone().multiplyScalar(this.thrust / this.mass);
-        this.acceleration.copy(thrustForce);
-        
-        // Realistic lift calculation based on airspeed and angle of attack
-        if (speed > 0) {
-            // Lift is perpendicular to forward motion and proportional to speed²
-            const liftMagnitude = speed * speed * this.liftCoefficient * 0.0001;
-            
-            // Banking reduces effective lift (realistic aerodynamics)
-            const bankingLossFactor = Math.cos(this.bankAngle);
-            const effectiveLift = liftMagnitude * bankingLossFactor;
-            
-            // Apply lift in aircraft's up direction
-            const liftForce = up.clone().multiplyScalar(effectiveLift);
-            this.acceleration.add(liftForce);
-            
-            // Banking creates horizontal turning force
-            if (Math.abs(this.bankAngle) > 0.1) {
-                const bankingForce = forward.clone()
-                    .cross(up)
-                    .multiplyScalar(liftMagnitude * Math.sin(this.bankAngle) * 0.5);
-                this.acceleration.add(bankingForce);
+        this.syncAircraftToFlightState();
+    }
+
+    // Air velocity where the aircraft is, forces in stepFlight() act on the velocity relative to it
+    sampleWind() {
+        if (this.windField) {
+            this.windField.sample(this.flightState.position, this.wind);
+        }
+    }
+
+    // Wheels on the runway - the touchdown check when they meet the ground, then the ground roll until lift-off
+    updateGroundContact(deltaTime) {
+        const gear = this.landingGear;
+        const { position } = this.flightState;
+        const groundHeight = this.environment.getTerrainHeightAt(position.x, position.z);
+        const runway = this.environment.getRunway ? this.environment.getRunway() : null;
+        const onRunway = !!runway && runway.contains(position.x, position.z);
+        
+        if (gear.onGround) {
+            if (onRunway) {
+                gear.roll(this.flightState, this.controls, groundHeight, deltaTime);
+            } else {
+                gear.onGround = false; // Off the end or the side - the terrain is too rough to roll on
+                console.log('🛞 Rolled off the runway');
             }
+            return;
         }
         
-        // Apply gravity (affected by G-force in turns)
-        this.acceleration.y += this.gravity * this.gForce;
-        
-        // Drag increases with speed² and banking
-        const dragMagnitude = speed * speed * this.dragCoefficient * (1 + Math.abs(this.bankAngle) * 0.5);
-        if (speed > 0) {
-            const dragForce = forward.clone().multiplyScalar(-dragMagnitude / this.mass);
-            this.acceleration.add(dragForce);
+        // Only the tick the wheels come down to the ground counts as a touchdown
+        const wheelsClear = position.y - gear.params.height > groundHeight;
+        const touching = gear.wheelsClear && !wheelsClear && (gear.down || onRunway);
+        gear.wheelsClear = wheelsClear;
+        if (!touching) return;
+        
+        const touchdown = gear.checkTouchdown(this.flightState, onRunway);
+        if (touchdown.safe) {
+            console.log(`🛬 Touchdown at ${(this.velocity.length() * 3.6).toFixed(0)} km/h, sinking ${touchdown.sinkRate.toFixed(1)} m/s`);
+            gear.onGround = true;
+            gear.roll(this.flightState, this.controls, groundHeight, deltaTime);
+        } else {
+            // No support from the wheels - the collision points take the landing, see checkTerrainCollision()
+            console.log(`🛬 Unsafe touchdown: ${touchdown.reason}`);
         }
         
-        // Stall mechanics - loss of control at low speeds
-        if (speed < this.stallSpeed && speed > 5) {
-            // Aircraft becomes unstable and tends to nose down
-            this.angularVelocity.x += (this.stallSpeed - speed) * 0.001; // Nose down tendency
-            this.angularVelocity.z += (Math.random() - 0.5) * 0.02; // Random roll
-            
-            // Reduce lift effectiveness
-            this.acceleration.y -= (this.stallSpeed - speed) * 0.02;
+        if (this.onTouchdown) {
+            this.onTouchdown(touchdown);
         }
-        
-        // Add base upward force when throttle is applied (arcade physics component)
-        if (this.thrust > 0 && speed > this.stallSpeed * 0.5) {
-            this.acceleration.y += (this.thrust / this.mass) * 0.3; // Reduced from 0.5
+    }
+
+    // Spool the engine toward the throttle lever (or afterburner) at a limited rate
+    updateEngine(deltaTime) {
+        const command = this.controls.afterburner ? THROTTLE_DETENTS.afterburner : this.controls.throttle;
+        const target = this.fuelSystem.limitCommand(command);
+        const { spoolUpTime, spoolDownTime, afterburnerLightTime } = this.engineParams;
+        
+        let rate;
+        if (target > this.engineLevel) {
+            rate = this.engineLevel >= THROTTLE_DETENTS.military
+                ? (THROTTLE_DETENTS.afterburner - THROTTLE_DETENTS.military) / afterburnerLightTime
+                : 1 / spoolUpTime;
+        } else {
+            rate = this.engineLevel > THROTTLE_DETENTS.military
+                ? (THROTTLE_DETENTS.afterburner - THROTTLE_DETENTS.military) / afterburnerLightTime
+                : 1 / spoolDownTime;
         }
         
-        // Update velocity
-        this.velocity.add(this.acceleration.clone().multiplyScalar(deltaTime));
+        const step = rate * deltaTime;
+        this.engineLevel += Math.max(-step, Math.min(step, target - this.engineLevel));
         
-        // Apply drag to velocity
-        this.velocity.multiplyScalar(0.995); // More realistic drag
-        
-        // Update position
-        this.aircraft.position.add(this.velocity.clone().multiplyScalar(deltaTime * 15)); // Slightly reduced from 20
-        
-        // FIXED: Use quaternion-based rotation to avoid gimbal lock and axis drift
-        const rotationQuaternion = new THREE.Quaternion();
-        
-        // Create rotation from current angular velocities
-        const pitchQuat = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), this.angularVelocity.x * deltaTime);
-        const yawQuat = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), this.angularVelocity.y * deltaTime);
-        const rollQuat = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), this.bankAngle);
-        
-        // Compose rotations in proper order: Roll -> Pitch -> Yaw
-        rotationQuaternion.multiplyQuaternions(yawQuat, pitchQuat);
-        rotationQuaternion.multiply(rollQuat);
-        
-        // Apply to aircraft
-        this.aircraft.quaternion.copy(rotationQuaternion);
-        
-        // REMOVED: Old Euler rotation code that caused axis drift
-        // this.aircraft.rotation.x += this.angularVelocity.x * deltaTime;
-        // this.aircraft.rotation.y += this.angularVelocity.y * deltaTime;
-        // this.aircraft.rotation.z = this.bankAngle; // Direct banking control for realistic look
-        
-        // Dampen angular velocity more realistically
-        this.angularVelocity.multiplyScalar(0.92); // More damping for realism
+        this.fuelSystem.update(this.engineLevel, deltaTime);
+    }
+    
+    // Take on fuel from a pickup, relights the engine after a flame-out
+    refuel(amount) {
+        return this.fuelSystem.refuel(amount);
+    }
+    
+    // Move the aircraft group to the simulated position and orientation
+    syncAircraftToFlightState() {
+        const { position, heading, pitch, bankAngle } = this.flightState;
+        this.aircraft.position.set(position.x, position.y, position.z);
+        this.aircraft.rotation.set(pitch, heading, bankAngle, 'YXZ'); // Yaw -> Pitch -> Roll
     }
 
     updateAircraftMetrics() {
         if (!this.aircraft) return;
         
         // Calculate current metrics
-        this.speed = this.velocity.length() * 3.6; // Convert to km/h
+        this.speed = getAirspeed(this.flightState) * 3.6; // Convert to km/h
+        this.groundSpeed = getGroundSpeed(this.flightState) * 3.6;
         this.altitude = this.aircraft.position.y;
         
         // Update engine state
         this.isEngineOn = this.thrust > 0;
     }
 
-    checkTerrainCollision() {
+    checkTerrainCollision(deltaTime = 1 / 60) {
         if (!this.aircraft || !this.environment) return;
         
-        const position = this.aircraft.position;
-        
-        // NEW: Check multiple points on aircraft (wings, nose, tail)
-        const checkPoints = [
-            // Center
-            { offset: new THREE.Vector3(0, 0, 0), part: 'fuselage' },
-            // Left wing tip
-            { offset: new THREE.Vector3(-8, -1, 0), part: 'leftWing' },
-            // Right wing tip  
-            { offset: new THREE.Vector3(8, -1, 0), part: 'rightWing' },
-            // Nose
-            { offset: new THREE.Vector3(0, -0.5, 4), part: 'nose' },
-            // Tail
-            { offset: new THREE.Vector3(0, 1, -4), part: 'tail' }
-        ];
-        
-        for (const point of checkPoints) {
+        const safetyMargin = 1; // Reduced margin for accuracy
+        const current = this.getCollisionPoints();
+        const previous = this.previousCollision || current; // Point test on the first tick after a reset
+        
+        // Sweep each collision point (wings, nose, tail) along the path it took this tick,
+        // so a fast aircraft cannot tunnel through a ridge between two ticks
+        const contacts = [];
+        current.points.forEach((point, index) => {
+            const hit = this.environment.intersectTerrainSegment(previous.points[index], point, safetyMargin);
+            if (hit) {
+                contacts.push({ part: this.definition.collisionPoints[index].part, ...hit });
+            }
+        });
+        
+        if (contacts.length > 0) {
+            contacts.sort((a, b) => a.t - b.t); // First part to touch comes first
+            this.handleTerrainContact(contacts, contacts[0], previous.position, deltaTime);
+        }
+        
+        this.previousCollision = this.crashed ? null : this.getCollisionPoints();
+    }
+
+    // World positions of the definition's collision points, with the aircraft position they belong to
+    getCollisionPoints() {
+        const position = this.aircraft.position.clone();
+        const points = this.definition.collisionPoints.map(point =>
             // Transform offset by aircraft rotation using quaternion (consistent with physics)
-            const worldOffset = point.offset.clone();
-            worldOffset.applyQuaternion(this.aircraft.quaternion);
-            
-            const checkPosition = position.clone().add(worldOffset);
-            const terrainHeight = this.environment.getTerrainHeightAt(checkPosition.x, checkPosition.z);
-            
-            const safetyMargin = 1; // Reduced margin for accuracy
-            if (checkPosition.y <= terrainHeight + safetyMargin) {
-                this.handleCrash(point.part, checkPosition); // Pass collision part and position
-                break;
+            new THREE.Vector3(point.x, point.y, point.z).applyQuaternion(this.aircraft.quaternion).add(position)
+        );
+        return { position, points };
+    }
+
+    /**
+     * Damage every part that touched the terrain this tick and slide the aircraft along the surface,
+     * or crash if the impact is severe or a part is destroyed
+     * @param {Object[]} contacts - { part, t, point, normal } for each collision point that hit, earliest first
+     * @param {Object} impact - The earliest contact
+     * @param {THREE.Vector3} previousPosition - Aircraft position at the start of the tick
+     */
+    handleTerrainContact(contacts, impact, previousPosition, deltaTime) {
+        const normal = impact.normal;
+        const normalVelocity = this.velocity.dot(normal); // Negative when moving into the terrain
+        const normalSpeed = Math.max(0, -normalVelocity);
+        const tangentSpeed = this.velocity.clone().addScaledVector(normal, -normalVelocity).length();
+        
+        // Aircraft position at the moment of impact
+        const impactPosition = previousPosition.clone().lerp(this.aircraft.position, impact.t);
+        
+        // Just after a respawn the aircraft slides clear without taking damage
+        const damaging = this.invulnerableTimer === 0 ? contacts : [];
+        for (const contact of damaging) {
+            const destroyed = this.damage.applyImpact(contact.part, normalSpeed, tangentSpeed, deltaTime);
+            if (destroyed) {
+                console.log(`💥 ${contact.part} destroyed at ${(normalSpeed * 3.6).toFixed(0)} km/h into the terrain`);
+                this.handleCrash(contact.part, contact.point, {
+                    point: contact.point,
+                    normal: contact.normal,
+                    toi: contact.t * deltaTime, // Seconds into the tick
+                    aircraftPosition: previousPosition.clone().lerp(this.aircraft.position, contact.t)
+                });
+                return;
             }
         }
+        
+        // Move to the impact, then carry on with the rest of the tick's motion along the surface
+        const remaining = this.aircraft.position.clone().sub(impactPosition);
+        const into = remaining.dot(normal);
+        if (into < 0) {
+            remaining.addScaledVector(normal, -into);
+        }
+        const resolved = impactPosition.add(remaining);
+        
+        // Bounce off the surface
+        if (normalVelocity < 0) {
+            this.velocity.addScaledVector(normal, -(1 + this.damage.params.restitution) * normalVelocity);
+        }
+        
+        this.flightState.position.x = resolved.x;
+        this.flightState.position.y = resolved.y;
+        this.flightState.position.z = resolved.z;
+        this.syncAircraftToFlightState();
+        
+        // Sliding along a curved surface can still leave a point just under it - lift it clear
+        let penetration = 0;
+        this.getCollisionPoints().points.forEach((point) => {
+            penetration = Math.max(penetration, this.environment.getTerrainHeightAt(point.x, point.z) + 1 - point.y);
+        });
+        if (penetration > 0) {
+            this.flightState.position.y += penetration + 0.01;
+            this.syncAircraftToFlightState();
+        }
+        
+        if (this.onDamage) {
+            damaging.forEach(contact => this.onDamage(contact.part, this.damage.health[contact.part]));
+        }
     }
 
-    handleCrash(collisionPart = 'fuselage', crashPosition = null) {
+    /**
+     * @param {Object|null} impact - Swept contact { point, normal, toi, aircraftPosition }; the wreck
+     * settles where the aircraft was at the time of impact, tilted to the surface normal
+     */
+    handleCrash(collisionPart = 'fuselage', crashPosition = null, impact = null) {
         // Prevent multiple crash triggers
         if (this.crashed) {
             return; // Already crashed, don't process again
@@ -400,18 +596,24 @@ export class AircraftSystem {
         // Mark aircraft as crashed to prevent all movement
         this.crashed = true;
         
+        // Impact speed before everything stops
+        const crashVelocity = this.velocity.length();
+        
+        // Go back to where the aircraft hit, not where the tick would have carried it
+        if (impact) {
+            this.aircraft.position.copy(impact.aircraftPosition);
+            console.log(`Impact ${(impact.toi * 1000).toFixed(1)} ms into the tick at x=${impact.point.x.toFixed(1)}, y=${impact.point.y.toFixed(1)}, z=${impact.point.z.toFixed(1)}`);
+        }
+        
         // Completely stop all motion and forces
-        this.velocity.set(0, 0, 0);
-        this.acceleration.set(0, 0, 0);
-        this.angularVelocity.set(0, 0, 0);
+        stopFlight(this.flightState);
         this.thrust = 0;
         this.bankAngle = 0;
         this.turnRate = 0;
         this.gForce = 1.0;
         
         // Get current aircraft orientation for realistic crash positioning
-        const currentRotation = this.aircraft.rotation.clone();
-        const crashVelocity = this.velocity.length();
+        const currentRotation = new THREE.Euler(0, this.flightState.heading, 0);
         
         // Position aircraft on ground with realistic terrain contact
         const terrainHeight = this.environment.getTerrainHeightAt(
@@ -446,7 +648,7 @@ export class AircraftSystem {
                 // Nose impact causes dramatic nose-down crash, aircraft may flip
                 this.aircraft.position.y = terrainHeight + 2; // Very low to ground
                 const nosePitch = Math.PI * (0.5 + impactIntensity * 0.4); // 50-90 degrees nose down
-                const noseRoll = (Math.random() - 0.5) * Math.PI * 0.3; // Random roll up to 15 degrees
+                const noseRoll = this.random.centered() * Math.PI * 0.3; // Random roll up to 15 degrees
                 crashQuaternion.setFromEuler(new THREE.Euler(nosePitch, currentRotation.y, noseRoll));
                 console.log(`Nose impact: ${(nosePitch * 180/Math.PI).toFixed(1)}° pitch down, severe crash`);
                 break;
@@ -455,7 +657,7 @@ export class AircraftSystem {
                 // Tail strike causes nose-up attitude, aircraft may flip backwards
                 this.aircraft.position.y = terrainHeight + 4; // Tail touches, nose up
                 const tailPitch = -Math.PI * (0.3 + impactIntensity * 0.3); // 30-60 degrees nose up
-                const tailRoll = (Math.random() - 0.5) * Math.PI * 0.2; // Slight random roll
+                const tailRoll = this.random.centered() * Math.PI * 0.2; // Slight random roll
                 crashQuaternion.setFromEuler(new THREE.Euler(tailPitch, currentRotation.y, tailRoll));
                 console.log(`Tail strike: ${Math.abs(tailPitch * 180/Math.PI).toFixed(1)}° nose up`);
                 break;
@@ -464,7 +666,7 @@ export class AircraftSystem {
                 // General fuselage impact - sliding crash with mixed orientation
                 this.aircraft.position.y = terrainHeight + 3;
                 const generalPitch = Math.PI * (0.2 + impactIntensity * 0.2); // 20-40 degrees
-                const generalRoll = (Math.random() - 0.5) * Math.PI * 0.4; // Random roll up to 20 degrees
+                const generalRoll = this.random.centered() * Math.PI * 0.4; // Random roll up to 20 degrees
                 crashQuaternion.setFromEuler(new THREE.Euler(generalPitch, currentRotation.y, generalRoll));
                 console.log(`Fuselage impact: ${(generalPitch * 180/Math.PI).toFixed(1)}° pitch, general crash`);
         }
@@ -473,7 +675,12 @@ export class AircraftSystem {
         this.aircraft.quaternion.copy(crashQuaternion);
         
         // Additional realistic positioning based on terrain slope
-        this.adjustCrashPositionForTerrain();
+        if (impact) {
+            const tilt = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), impact.normal);
+            this.aircraft.quaternion.premultiply(tilt);
+        } else {
+            this.adjustCrashPositionForTerrain();
+        }
         
         console.log(`Aircraft settled at: x=${this.aircraft.position.x.toFixed(1)}, y=${this.aircraft.position.y.toFixed(1)}, z=${this.aircraft.position.z.toFixed(1)}`);
         
@@ -523,7 +730,7 @@ export class AircraftSystem {
             
             // Check if part-specific crash method exists, otherwise use standard method
             if (typeof window.crashEffects.triggerPartSpecificCrash === 'function') {
-                window.crashEffects.triggerPartSpecificCrash(effectPosition, crashSeverity, collisionPart);
+                window.crashEffects.triggerPartSpecificCrash(effectPosition, crashSeverity, collisionPart, this.damage.getTotalDamage());
             } else {
                 window.crashEffects.triggerAircraftCrash(effectPosition, crashSeverity);
             }
@@ -540,17 +747,42 @@ export class AircraftSystem {
         return !this.crashed;
     }
 
+    // Direction the wind blows towards relative to the heading, -π..π - 0 is a tailwind, ±π a headwind
+    getRelativeWindAngle() {
+        const angle = Math.atan2(-this.wind.x, -this.wind.z) - this.flightState.heading;
+        return Math.atan2(Math.sin(angle), Math.cos(angle));
+    }
+
     // Get aircraft metrics for UI display
     getMetrics() {
         return {
-            speed: Math.round(this.speed),
+            speed: Math.round(this.speed), // Airspeed
+            groundSpeed: Math.round(this.groundSpeed),
+            windSpeed: Math.round(Math.hypot(this.wind.x, this.wind.z) * 3.6), // km/h, horizontal
+            windAngle: Math.round(this.getRelativeWindAngle() * 180 / Math.PI), // Where the air moves relative to the nose, positive to the left
             altitude: Math.round(this.altitude),
-            throttle: Math.round(this.controls.throttle * 100),
+            throttle: Math.round(this.controls.throttle * 100), // Lever position, 0 idle to 100 military
+            afterburner: this.controls.afterburner,
+            engine: Math.round(this.engineLevel * 100), // Spooled thrust, up to 150 with afterburner
             engineOn: this.isEngineOn,
+            engineState: this.fuelSystem.getEngineState(this.engineLevel), // See ENGINE_STATES
+            fuel: Math.round(this.fuelSystem.getFuelFraction() * 100), // Percent of a full tank
+            heat: Math.round(this.fuelSystem.heat * 100), // Afterburner heat, overheats at 100
+            overheated: this.fuelSystem.overheated,
+            flameout: this.fuelSystem.flamedOut,
             bankAngle: Math.round(this.bankAngle * 180 / Math.PI), // Bank angle in degrees
             gForce: Math.round(this.gForce * 10) / 10, // G-force with 1 decimal
             turnRate: Math.round(this.turnRate * 1000) / 10, // Turn rate in degrees/sec
-            stallWarning: this.velocity.length() < this.stallSpeed && !this.crashed,
+            angleOfAttack: Math.round(this.flightState.angleOfAttack * 180 / Math.PI), // Degrees
+            sideslip: Math.round(this.flightState.sideslip * 180 / Math.PI), // Degrees, positive drifting right
+            damage: this.damage.getStatus(), // Health per part, percent
+            totalDamage: Math.round(this.damage.getTotalDamage() * 100),
+            invulnerable: Math.ceil(this.invulnerableTimer), // Seconds left after a respawn, 0 when not
+            gearDown: this.landingGear.down,
+            onGround: this.landingGear.onGround,
+            brake: this.controls.brake,
+            verticalSpeed: Math.round(this.velocity.y * 10) / 10, // m/s, negative when sinking
+            stallWarning: isStalling(this.flightState, this.flightParams) && !this.crashed,
             crashed: this.crashed, // NEW: Include crash state
             position: {
                 x: Math.round(this.aircraft?.position.x || 0),
@@ -568,10 +800,13 @@ export class AircraftSystem {
         this.crashed = false;
         
         this.positionAircraft();
-        this.velocity.set(0, 0, 0);
-        this.acceleration.set(0, 0, 0);
-        this.angularVelocity.set(0, 0, 0);
         this.thrust = 0;
+        this.engineLevel = 0;
+        this.fuelSystem.reset();
+        this.damage.reset();
+        this.safeStates.clear();
+        this.invulnerableTimer = 0;
+        this.setGhosted(false);
         
         // Reset flight dynamics
         this.bankAngle = 0;
@@ -581,9 +816,11 @@ export class AircraftSystem {
         // Reset controls
         this.controls = {
             throttle: 0,
+            afterburner: false,
             pitch: 0,
             yaw: 0,
-            roll: 0
+            roll: 0,
+            brake: false
         };
         
         console.log('Aircraft reset to spawn position - crash state cleared');
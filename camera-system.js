@@ -15,6 +15,14 @@ export class CameraSystem {
         this.lookAheadOffset = new THREE.Vector3(0, 0, -5);
         this.followSmoothing = 0.12; // Increased from 0.08 for snappier following
         
+        // Follow views for the camera-cycle control
+        this.followViews = [
+            { name: 'Chase', offset: new THREE.Vector3(0, 4, 12), lookAhead: new THREE.Vector3(0, 0, -5) },
+            { name: 'Close', offset: new THREE.Vector3(0, 2, 7), lookAhead: new THREE.Vector3(0, 0.5, -10) },
+            { name: 'Far', offset: new THREE.Vector3(0, 12, 35), lookAhead: new THREE.Vector3(0, 0, -15) }
+        ];
+        this.followViewIndex = 0;
+        
         // Crash camera properties
         this.crashActive = false;
         this.crashStartTime = 0;
@@ -23,6 +31,7 @@ export class CameraSystem {
         this.crashLookTarget = new THREE.Vector3();
         this.crashCameraDistance = 25; // Distance from crash site
         this.crashCameraHeight = 15; // Height above crash site
+        this.onCrashSequenceComplete = null; // Called when the crash camera hands back to follow mode
         
         // Cinematic camera properties
         this.cinematicStartTime = 0;
@@ -83,6 +92,7 @@ export class CameraSystem {
             this.mode = 'follow';
             this.crashActive = false;
             console.log('Crash camera sequence completed, returning to follow mode');
+            if (this.onCrashSequenceComplete) this.onCrashSequenceComplete();
             return;
         }
         
@@ -272,6 +282,15 @@ export class CameraSystem {
         console.log('Camera switched to follow mode');
     }
     
+    // Switch to the next follow view
+    cycleView() {
+        this.followViewIndex = (this.followViewIndex + 1) % this.followViews.length;
+        const view = this.followViews[this.followViewIndex];
+        this.followOffset.copy(view.offset);
+        this.lookAheadOffset.copy(view.lookAhead);
+        console.log(`📹 Camera view: ${view.name}`);
+    }
+    
     // Easing function for smooth animations
     easeInOutCubic(t) {
         return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
@@ -281,6 +300,7 @@ export class CameraSystem {
     getCameraInfo() {
         return {
             mode: this.mode,
+            view: this.followViews[this.followViewIndex].name,
             position: {
                 x: Math.round(this.camera.position.x),
                 y: Math.round(this.camera.position.y),
@@ -0,0 +1,286 @@
+import { DEFAULT_FLIGHT_PARAMS } from './physics.js';
+
+/**
+ * Game Configuration
+ * Aircraft type definitions: one JSON file per plane in aircraft/, listed in AIRCRAFT_TYPES.
+ * A definition carries the model path and its scale/orientation fix, collision points,
+ * performance stats (any DEFAULT_FLIGHT_PARAMS key) and navigation light positions.
+ * See docs/AIRCRAFT_FORMAT.md.
+ */
+
+export const AIRCRAFT_FORMAT = 'air-mania-aircraft';
+export const AIRCRAFT_FORMAT_VERSION = 1;
+
+// Planes offered in the start screen carousel, in order
+export const AIRCRAFT_TYPES = ['air-mania-jet', 'interceptor', 'trainer'];
+export const DEFAULT_AIRCRAFT = 'air-mania-jet';
+
+// Collision points are named after the aircraft part they stand for
+export const AIRCRAFT_PARTS = ['fuselage', 'leftWing', 'rightWing', 'nose', 'tail'];
+
+// Performance values authored in degrees, stored in radians like DEFAULT_FLIGHT_PARAMS
+const ANGLE_PARAMS = ['maxBankAngle', 'stallAngle', 'zeroLiftAngle', 'stallFalloff'];
+
+// Player preferences set from the controls screen, not per aircraft
+const PLAYER_PARAMS = ['turnAssist', 'realism'];
+
+/**
+ * Built-in definition, used when aircraft files cannot be loaded (already parsed)
+ */
+export const DEFAULT_AIRCRAFT_DEFINITION = {
+    id: DEFAULT_AIRCRAFT,
+    name: 'Air Mania Jet',
+    description: 'Balanced all-rounder',
+    model: {
+        path: 'visuals/airManiaJet.glb',
+        scale: 1,
+        rotation: { x: 0, y: Math.PI / 2, z: 0 }, // The GLB faces +X, flight faces -Z
+        displayScale: 0.8
+    },
+    // Offsets in the aircraft group, forward is -Z
+    collisionPoints: [
+        { part: 'fuselage', x: 0, y: 0, z: 0 },
+        { part: 'leftWing', x: -8, y: -1, z: 0 },
+        { part: 'rightWing', x: 8, y: -1, z: 0 },
+        { part: 'nose', x: 0, y: -0.5, z: -4 },
+        { part: 'tail', x: 0, y: 1, z: 4 }
+    ],
+    performance: {},
+    lights: [
+        { color: 0xff0000, intensity: 0.3, distance: 50, x: -2, y: 0, z: 0 },
+        { color: 0x00ff00, intensity: 0.3, distance: 50, x: 2, y: 0, z: 0 },
+        { color: 0xffffff, intensity: 0.2, distance: 30, x: 0, y: 0.5, z: 3 }
+    ]
+};
+
+/**
+ * Error raised for aircraft files that cannot be loaded or fail validation
+ */
+export class AircraftFormatError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'AircraftFormatError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Fetch, validate and normalise a JSON aircraft definition
+ * @param {string} url - Path to the aircraft file, e.g. 'aircraft/interceptor.json'
+ * @returns {Promise<Object>} Definition accepted by AircraftSystem.setDefinition()
+ */
+export async function loadAircraftDefinition(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new AircraftFormatError(`Could not load aircraft "${url}": HTTP ${response.status}`);
+    }
+
+    let data;
+    try {
+        data = await response.json();
+    } catch (error) {
+        throw new AircraftFormatError(`Aircraft "${url}" is not valid JSON: ${error.message}`);
+    }
+
+    return parseAircraftDefinition(data, url);
+}
+
+/**
+ * Load every plane in AIRCRAFT_TYPES, skipping (and reporting) files that fail
+ * @returns {Promise<Object[]>} Parsed definitions, never empty - falls back to the built-in jet
+ */
+export async function loadAircraftCatalog(ids = AIRCRAFT_TYPES) {
+    const results = await Promise.all(ids.map(async (id) => {
+        try {
+            return await loadAircraftDefinition(`aircraft/${id}.json`);
+        } catch (error) {
+            console.warn(`✈️ ${error.message}`);
+            return null;
+        }
+    }));
+
+    const catalog = results.filter(Boolean);
+    if (catalog.length === 0) {
+        console.log('✈️ No aircraft files loaded, using the built-in jet');
+        return [DEFAULT_AIRCRAFT_DEFINITION];
+    }
+
+    console.log(`✈️ Aircraft loaded: ${catalog.map(definition => definition.name).join(', ')}`);
+    return catalog;
+}
+
+/**
+ * Validate a parsed aircraft object and convert it to a definition
+ * (angles are authored in degrees and converted to radians here)
+ */
+export function parseAircraftDefinition(data, source = 'aircraft') {
+    const errors = validateAircraftDefinition(data);
+    if (errors.length > 0) {
+        throw new AircraftFormatError(`Invalid aircraft "${source}":\n  - ${errors.join('\n  - ')}`, errors);
+    }
+
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const rotation = data.model.rotation || {};
+
+    const performance = {};
+    Object.entries(data.performance || {}).forEach(([key, value]) => {
+        performance[key] = ANGLE_PARAMS.includes(key) ? toRadians(value) : value;
+    });
+
+    return {
+        id: data.id,
+        name: data.name || data.id,
+        description: data.description || '',
+        model: {
+            path: data.model.path,
+            scale: data.model.scale !== undefined ? data.model.scale : 1,
+            rotation: {
+                x: toRadians(rotation.x || 0),
+                y: toRadians(rotation.y || 0),
+                z: toRadians(rotation.z || 0)
+            },
+            displayScale: data.model.displayScale !== undefined ? data.model.displayScale : 0.8
+        },
+        collisionPoints: data.collisionPoints
+            ? data.collisionPoints.map(point => ({ part: point.part, x: point.x, y: point.y, z: point.z }))
+            : DEFAULT_AIRCRAFT_DEFINITION.collisionPoints,
+        performance,
+        lights: data.lights
+            ? data.lights.map(light => ({
+                color: parseColor(light.color),
+                intensity: light.intensity !== undefined ? light.intensity : 0.3,
+                distance: light.distance !== undefined ? light.distance : 50,
+                x: light.x,
+                y: light.y,
+                z: light.z
+            }))
+            : DEFAULT_AIRCRAFT_DEFINITION.lights
+    };
+}
+
+/**
+ * Check a parsed aircraft object against the format
+ * @returns {string[]} Readable error messages, empty when the aircraft is valid
+ */
+export function validateAircraftDefinition(data) {
+    const errors = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const checkPosition = (value, path) => {
+        ['x', 'y', 'z'].forEach((axis) => {
+            if (!isNumber(value[axis])) errors.push(`${path}.${axis} must be a number`);
+        });
+    };
+
+    if (!isObject(data)) {
+        return ['aircraft file must contain a JSON object'];
+    }
+
+    if (data.format !== AIRCRAFT_FORMAT) {
+        errors.push(`format must be "${AIRCRAFT_FORMAT}"`);
+    }
+    if (data.version !== AIRCRAFT_FORMAT_VERSION) {
+        errors.push(`version ${JSON.stringify(data.version)} is not supported (expected ${AIRCRAFT_FORMAT_VERSION})`);
+    }
+    if (typeof data.id !== 'string' || !/^[a-z0-9-]+$/.test(data.id)) {
+        errors.push('id must be a lowercase slug such as "air-mania-jet"');
+    }
+    ['name', 'description'].forEach((field) => {
+        if (data[field] !== undefined && typeof data[field] !== 'string') {
+            errors.push(`${field} must be a string`);
+        }
+    });
+
+    if (!isObject(data.model)) {
+        errors.push('model must be an object with a path');
+    } else {
+        if (typeof data.model.path !== 'string' || data.model.path.length === 0) {
+            errors.push('model.path must be a path string');
+        }
+        ['scale', 'displayScale'].forEach((field) => {
+            if (data.model[field] !== undefined && (!isNumber(data.model[field]) || data.model[field] <= 0)) {
+                errors.push(`model.${field} must be a number greater than 0`);
+            }
+        });
+        if (data.model.rotation !== undefined) {
+            if (!isObject(data.model.rotation)) {
+                errors.push('model.rotation must be an object with x, y and z in degrees');
+            } else {
+                ['x', 'y', 'z'].forEach((axis) => {
+                    const value = data.model.rotation[axis];
+                    if (value !== undefined && !isNumber(value)) errors.push(`model.rotation.${axis} must be a number of degrees`);
+                });
+            }
+        }
+    }
+
+    if (data.collisionPoints !== undefined) {
+        if (!Array.isArray(data.collisionPoints) || data.collisionPoints.length === 0) {
+            errors.push('collisionPoints must be a non-empty array');
+        } else {
+            data.collisionPoints.forEach((point, index) => {
+                const path = `collisionPoints[${index}]`;
+                if (!isObject(point)) {
+                    errors.push(`${path} must be an object`);
+                    return;
+                }
+                if (!AIRCRAFT_PARTS.includes(point.part)) {
+                    errors.push(`${path}.part must be one of ${AIRCRAFT_PARTS.join(', ')}`);
+                }
+                checkPosition(point, path);
+            });
+        }
+    }
+
+    if (data.performance !== undefined) {
+        if (!isObject(data.performance)) {
+            errors.push('performance must be an object');
+        } else {
+            Object.entries(data.performance).forEach(([key, value]) => {
+                if (PLAYER_PARAMS.includes(key)) {
+                    errors.push(`performance.${key} is a player setting and cannot be set per aircraft`);
+                } else if (!(key in DEFAULT_FLIGHT_PARAMS)) {
+                    errors.push(`performance.${key} is not a flight parameter`);
+                } else if (!isNumber(value)) {
+                    errors.push(`performance.${key} must be a number`);
+                }
+            });
+            ['maxThrust', 'mass', 'stallSpeed'].forEach((key) => {
+                if (isNumber(data.performance[key]) && data.performance[key] <= 0) {
+                    errors.push(`performance.${key} must be greater than 0`);
+                }
+            });
+        }
+    }
+
+    if (data.lights !== undefined) {
+        if (!Array.isArray(data.lights)) {
+            errors.push('lights must be an array');
+        } else {
+            data.lights.forEach((light, index) => {
+                const path = `lights[${index}]`;
+                if (!isObject(light)) {
+                    errors.push(`${path} must be an object`);
+                    return;
+                }
+                if (parseColor(light.color) === null) {
+                    errors.push(`${path}.color must be a hex colour such as "#ff0000"`);
+                }
+                checkPosition(light, path);
+                ['intensity', 'distance'].forEach((field) => {
+                    if (light[field] !== undefined && (!isNumber(light[field]) || light[field] < 0)) {
+                        errors.push(`${path}.${field} must be a number of at least 0`);
+                    }
+                });
+            });
+        }
+    }
+
+    return errors;
+}
+
+// "#ff0000" -> 0xff0000, null when not a hex colour
+function parseColor(value) {
+    if (typeof value !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(value)) return null;
+    return parseInt(value.slice(1), 16);
+}
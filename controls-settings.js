@@ -0,0 +1,275 @@
+import { INPUT_ACTIONS, CONTROL_PRESETS, TURN_ASSIST_LEVELS, CONTROL_MODES, getAction, describeBinding, MAX_BINDINGS_PER_ACTION } from './input.js';
+
+/**
+ * Controls Settings Screen
+ * Lists every action with its bindings, rebinds by capturing the next key, pad button or
+ * stick movement, switches presets and flags inputs bound to more than one action.
+ */
+export class ControlsSettings {
+    constructor(controls) {
+        this.controls = controls;
+        this.inputMap = controls.inputMap;
+        this.gamepad = controls.gamepad;
+
+        this.capture = null; // { actionId, slot, restAxes } while waiting for an input
+        this.captureFrame = null;
+
+        this.screen = document.getElementById('settingsScreen');
+        this.bindingsList = document.getElementById('settingsBindings');
+        this.presetSelect = document.getElementById('settingsPreset');
+        this.presetDescription = document.getElementById('settingsPresetDescription');
+        this.conflictsElement = document.getElementById('settingsConflicts');
+        this.hintElement = document.getElementById('settingsHint');
+        this.deadzoneSlider = document.getElementById('settingsDeadzone');
+        this.curveSlider = document.getElementById('settingsCurve');
+        this.assistSelect = document.getElementById('settingsTurnAssist');
+        this.modeSelect = document.getElementById('settingsControlMode');
+        this.realismSlider = document.getElementById('settingsRealism');
+
+        this.handleCaptureKey = this.handleCaptureKey.bind(this);
+        this.pollGamepadCapture = this.pollGamepadCapture.bind(this);
+
+        this.setupPanel();
+    }
+
+    setupPanel() {
+        Object.entries(CONTROL_PRESETS).forEach(([id, preset]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = preset.name;
+            this.presetSelect.appendChild(option);
+        });
+        const custom = document.createElement('option');
+        custom.value = 'custom';
+        custom.textContent = 'Custom';
+        this.presetSelect.appendChild(custom);
+
+        this.presetSelect.addEventListener('change', () => {
+            if (this.presetSelect.value !== 'custom') {
+                this.inputMap.applyPreset(this.presetSelect.value);
+            }
+            this.render();
+        });
+
+        Object.entries(TURN_ASSIST_LEVELS).forEach(([id, level]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = level.name;
+            this.assistSelect.appendChild(option);
+        });
+        this.assistSelect.addEventListener('change', () => {
+            this.inputMap.setTurnAssist(this.assistSelect.value);
+        });
+
+        Object.entries(CONTROL_MODES).forEach(([id, mode]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = mode.name;
+            this.modeSelect.appendChild(option);
+        });
+        this.modeSelect.addEventListener('change', () => {
+            this.inputMap.setControlMode(this.modeSelect.value);
+        });
+
+        this.realismSlider.addEventListener('input', () => {
+            this.inputMap.setRealism(Number(this.realismSlider.value));
+            this.showRealism();
+        });
+
+        this.deadzoneSlider.addEventListener('input', () => {
+            this.gamepad.setDeadzone(Number(this.deadzoneSlider.value));
+            this.saveGamepadSettings();
+        });
+        this.curveSlider.addEventListener('input', () => {
+            this.gamepad.setCurve('pitch', Number(this.curveSlider.value));
+            this.gamepad.setCurve('roll', Number(this.curveSlider.value));
+            this.saveGamepadSettings();
+        });
+
+        document.getElementById('settingsClose').addEventListener('click', () => this.close());
+    }
+
+    open() {
+        this.screen.classList.remove('hidden');
+        this.render();
+    }
+
+    close() {
+        this.cancelCapture();
+        this.screen.classList.add('hidden');
+        if (this.onClose) this.onClose();
+    }
+
+    isOpen() {
+        return !this.screen.classList.contains('hidden');
+    }
+
+    render() {
+        this.presetSelect.value = this.inputMap.preset;
+        this.presetDescription.textContent = this.inputMap.preset === 'custom'
+            ? 'Your own bindings'
+            : CONTROL_PRESETS[this.inputMap.preset].description;
+
+        this.assistSelect.value = this.inputMap.turnAssist;
+        this.modeSelect.value = this.inputMap.controlMode;
+        this.realismSlider.value = this.inputMap.realism;
+        this.showRealism();
+
+        const settings = this.gamepad.getSettings();
+        this.deadzoneSlider.value = settings.stickDeadzone;
+        this.curveSlider.value = settings.curves.pitch;
+        document.getElementById('settingsDeadzoneValue').textContent = `${Math.round(settings.stickDeadzone * 100)}%`;
+        document.getElementById('settingsCurveValue').textContent = `${Math.round(settings.curves.pitch * 100)}%`;
+
+        const conflicts = this.inputMap.getConflicts();
+        const conflicted = new Set(conflicts.map(conflict => conflict.binding));
+
+        this.bindingsList.innerHTML = '';
+        INPUT_ACTIONS.forEach(action => {
+            const row = document.createElement('div');
+            row.className = 'settings-row';
+
+            const label = document.createElement('span');
+            label.className = 'settings-action';
+            label.textContent = action.label;
+            row.appendChild(label);
+
+            const bindings = document.createElement('span');
+            bindings.className = 'settings-row-bindings';
+
+            this.inputMap.getBindings(action.id).forEach((binding, slot) => {
+                const chip = document.createElement('button');
+                chip.className = 'control-key settings-chip';
+                chip.textContent = describeBinding(binding);
+                chip.title = 'Click to rebind';
+                if (conflicted.has(binding)) chip.classList.add('conflict');
+                if (this.isCapturing(action.id, slot)) chip.classList.add('capturing');
+                chip.addEventListener('click', () => this.startCapture(action.id, slot));
+                bindings.appendChild(chip);
+            });
+
+            if (this.inputMap.getBindings(action.id).length < MAX_BINDINGS_PER_ACTION) {
+                const add = document.createElement('button');
+                add.className = 'settings-chip settings-add';
+                add.textContent = this.isCapturing(action.id, null) ? '…' : '+';
+                add.title = 'Add a binding';
+                add.addEventListener('click', () => this.startCapture(action.id, null));
+                bindings.appendChild(add);
+            }
+
+            row.appendChild(bindings);
+            this.bindingsList.appendChild(row);
+        });
+
+        this.conflictsElement.innerHTML = '';
+        conflicts.forEach(conflict => {
+            const line = document.createElement('div');
+            const actions = conflict.actions.map(actionId => getAction(actionId).label).join(' and ');
+            line.textContent = `⚠️ ${describeBinding(conflict.binding)} is bound to ${actions}`;
+            this.conflictsElement.appendChild(line);
+        });
+
+        this.refreshControlHints();
+    }
+
+    /**
+     * Update key hints on the start screen (elements with data-action)
+     */
+    refreshControlHints() {
+        document.querySelectorAll('.control-key[data-action]').forEach(element => {
+            const binding = this.inputMap.getBindings(element.dataset.action).find(candidate => candidate.startsWith('key:'));
+            element.textContent = binding ? describeBinding(binding) : '—';
+        });
+    }
+
+    showRealism() {
+        const realism = this.inputMap.realism;
+        let label = `${Math.round(realism * 100)}% realistic`;
+        if (realism === 0) label = 'Arcade';
+        else if (realism === 1) label = 'Realistic';
+        document.getElementById('settingsRealismValue').textContent = label;
+    }
+
+    isCapturing(actionId, slot) {
+        return this.capture !== null && this.capture.actionId === actionId && this.capture.slot === slot;
+    }
+
+    /**
+     * Wait for the next key, pad button or stick movement and bind it
+     * @param {number|null} slot - Binding to replace, null to add one
+     */
+    startCapture(actionId, slot) {
+        this.cancelCapture();
+
+        const pad = this.gamepad.getGamepad();
+        this.capture = { actionId, slot, restAxes: pad ? [...pad.axes] : [] };
+        this.controls.captureBlocked = true;
+
+        const action = getAction(actionId);
+        this.hintElement.textContent = slot === null
+            ? `Press a key or move a pad control for ${action.label} · Esc cancels`
+            : `Press a key or move a pad control for ${action.label} · Esc cancels · Delete removes`;
+
+        window.addEventListener('keydown', this.handleCaptureKey, true);
+        this.captureFrame = requestAnimationFrame(this.pollGamepadCapture);
+        this.render();
+    }
+
+    cancelCapture() {
+        if (!this.capture) return;
+
+        this.capture = null;
+        this.controls.captureBlocked = false;
+        this.hintElement.textContent = '';
+        window.removeEventListener('keydown', this.handleCaptureKey, true);
+        cancelAnimationFrame(this.captureFrame);
+        this.render();
+    }
+
+    handleCaptureKey(event) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        const { actionId, slot } = this.capture;
+        if (event.code === 'Escape') {
+            this.cancelCapture();
+            return;
+        }
+        if ((event.code === 'Delete' || event.code === 'Backspace') && slot !== null) {
+            this.inputMap.unbind(actionId, this.inputMap.getBindings(actionId)[slot]);
+            this.cancelCapture();
+            return;
+        }
+
+        this.finishCapture(`key:${event.code}`);
+    }
+
+    pollGamepadCapture() {
+        if (!this.capture) return;
+
+        const pad = this.gamepad.getGamepad();
+        const binding = pad ? this.gamepad.detectInput(pad, this.capture.restAxes) : null;
+        if (binding) {
+            this.finishCapture(binding);
+            return;
+        }
+        this.captureFrame = requestAnimationFrame(this.pollGamepadCapture);
+    }
+
+    finishCapture(binding) {
+        const { actionId, slot } = this.capture;
+        const others = this.inputMap.findConflicts(actionId, binding);
+
+        this.inputMap.bind(actionId, binding, slot);
+        this.cancelCapture();
+
+        if (others.length > 0) {
+            console.log(`⚠️ ${describeBinding(binding)} is also bound to ${others.join(', ')}`);
+        }
+    }
+
+    saveGamepadSettings() {
+        this.inputMap.setGamepadSettings(this.gamepad.getSettings());
+        this.render();
+    }
+}
@@ -1,17 +1,41 @@
+import { GamepadInput } from './gamepad.js';
+import { InputMap, INPUT_ACTIONS } from './input.js';
+import { ThrottleLever } from './throttle.js';
+
 /**
  * Simple and reliable aircraft controls
+ * Keyboard plus an optional gamepad or flight stick, read through the action bindings in input.js,
+ * and on-screen touch controls on mobile
  */
 export class AircraftControls {
     constructor() {
         this.keys = {};
         this.debug = false; // Debug flag for console logging
+        this.captureBlocked = false; // True while the settings screen is listening for a new binding
+        
+        // Action bindings (presets and saved custom bindings)
+        this.inputMap = new InputMap();
+        
+        // Analog input from gamepads and flight sticks
+        this.gamepad = new GamepadInput();
+        this.gamepad.applySettings(this.inputMap.gamepadSettings);
+        this.lastActionValues = {};
+        this.previousCameraCycle = false;
+        this.previousGear = false;
+        this.previousLeverAxis = null; // Last throttle lever axis reading, the lever follows it when it moves
+        
+        // On-screen controls on phones and tablets, see setTouchControls()
+        this.touch = null;
+        
+        // Throttle stays where it is set, the throttle actions move the lever
+        this.throttleLever = new ThrottleLever();
+        
         this.setupEventListeners();
         
         // Control sensitivity values - now used in input calculations
         this.pitchSensitivity = 0.3;
         this.yawSensitivity = 1.0;
         this.rollSensitivity = 0.5;
-        this.throttleSensitivity = 1.0;
         
         if (this.debug) console.log('Aircraft controls initialized');
     }
@@ -19,11 +43,12 @@ export class AircraftControls {
     setupEventListeners() {
         // Keyboard event listeners
         document.addEventListener('keydown', (event) => {
+            if (this.captureBlocked) return;
             this.keys[event.code] = true;
             if (this.debug) console.log('Control key pressed:', event.code);
             
-            // Prevent default for WASD, Space, Arrow keys, and R key to avoid page scrolling
-            if (['KeyW', 'KeyA', 'KeyS', 'KeyD', 'Space', 'ArrowUp', 'ArrowDown', 'KeyR'].includes(event.code)) {
+            // Prevent default for bound keys (Space, arrows...) to avoid page scrolling
+            if (this.inputMap.isKeyBound(event.code)) {
                 event.preventDefault();
             }
         });
@@ -33,77 +58,129 @@ export class AircraftControls {
             if (this.debug) console.log('Control key released:', event.code);
         });
         
+        // Keys released while the window is unfocused never send keyup
+        window.addEventListener('blur', () => {
+            this.keys = {};
+            if (this.debug) console.log('Window lost focus');
+        });
+        
         // Focus events for debugging only
         if (this.debug) {
             window.addEventListener('focus', () => {
                 console.log('Window gained focus');
             });
-            
-            window.addEventListener('blur', () => {
-                console.log('Window lost focus');
-            });
         }
         
         if (this.debug) console.log('Event listeners set up');
     }
     
     /**
-     * Get current input state for aircraft
-     * @returns {Object} Input state with throttle, pitch, yaw, roll
+     * Merge on-screen touch controls into the action values
+     * @param {TouchControls} touch
      */
-    getInputState() {
-        const isBoosting = this.keys['Space'];
-        const boostMultiplier = isBoosting ? 1.5 : 1.0;
+    setTouchControls(touch) {
+        this.touch = touch;
+    }
+    
+    /**
+     * Current value of every action, keys, gamepad and touch merged. Reads only, changes no state
+     * @returns {Object} Action values by action id
+     */
+    readActions() {
+        const pad = this.gamepad.getGamepad();
+        const value = (actionId) => this.inputMap.getActionValue(actionId, this.keys, this.gamepad, pad);
         
-        const input = {
-            throttle: 0,
-            pitch: 0,
-            yaw: 0,
-            roll: 0
-        };
+        const touchActions = this.touch ? this.touch.getActionValues() : {};
         
-        // Throttle (W = forward, S = reverse/brake) - apply sensitivity
-        if (this.keys['KeyW']) {
-            input.throttle = 1.0 * boostMultiplier * this.throttleSensitivity;
-        } else if (this.keys['KeyS']) {
-            input.throttle = -0.5 * this.throttleSensitivity;
-        }
+        const actions = {};
+        INPUT_ACTIONS.forEach(action => {
+            actions[action.id] = Math.max(value(action.id), touchActions[action.id] || 0);
+        });
+        return actions;
+    }
+    
+    /**
+     * Get current input state for aircraft
+     * @param {number} deltaTime - Tick length, moves the throttle lever
+     * @returns {Object} Input state with throttle (lever 0-1), afterburner, pitch, yaw, roll, brake, reset,
+     *   and cameraCycle and gearToggle (true on the tick they are pressed)
+     */
+    getInputState(deltaTime = 1 / 60) {
+        const actions = this.readActions();
+        this.lastActionValues = actions;
         
-        // Arrow Key Pitch Controls (dedicated pitch control) - apply sensitivity
-        if (this.keys['ArrowUp']) {
-            input.pitch = -0.8 * this.pitchSensitivity; // Nose up (negative pitch)
-        } else if (this.keys['ArrowDown']) {
-            input.pitch = 0.8 * this.pitchSensitivity; // Nose down (positive pitch)
+        // The touch slider and a throttle lever axis set the lever directly, keys and triggers step it
+        const touchThrottle = this.touch ? this.touch.takeThrottleSetting() : null;
+        if (touchThrottle !== null) {
+            this.throttleLever.set(touchThrottle);
         }
+        const leverAxis = this.inputMap.getLeverPosition(this.gamepad, this.gamepad.getGamepad());
+        if (leverAxis !== null && (this.previousLeverAxis === null || Math.abs(leverAxis - this.previousLeverAxis) > 0.01)) {
+            this.throttleLever.set(leverAxis);
+            this.previousLeverAxis = leverAxis;
+        }
+        this.throttleLever.update(actions.throttleUp, actions.throttleDown, actions.boost > 0, deltaTime);
+        if (this.touch) {
+            this.touch.showThrottle(this.throttleLever.position);
+        }
+        
+        const input = this.toInputState(actions);
         
-        // Yaw (A/D for turning) - apply sensitivity
-        if (this.keys['KeyA']) {
-            input.yaw = -1.0 * this.yawSensitivity; // Turn left
-        } else if (this.keys['KeyD']) {
-            input.yaw = 1.0 * this.yawSensitivity; // Turn right
+        // Camera cycling fires once per press
+        const cameraCycle = actions.cameraCycle > 0;
+        if (cameraCycle && !this.previousCameraCycle) {
+            input.cameraCycle = true;
         }
+        this.previousCameraCycle = cameraCycle;
         
-        // Roll (A/D for banking) - CORRECTED: A is positive roll, D is negative roll
-        if (this.keys['KeyA']) {
-            input.roll = 0.5 * this.rollSensitivity; // Bank left (positive)
-        } else if (this.keys['KeyD']) {
-            input.roll = -0.5 * this.rollSensitivity; // Bank right (negative)
+        // Gear toggles once per press
+        const gear = actions.gear > 0;
+        if (gear && !this.previousGear) {
+            input.gearToggle = true;
         }
+        this.previousGear = gear;
+        
+        return input;
+    }
+    
+    /**
+     * Input state as getInputState() would return it, without moving the throttle lever or using up
+     * camera and gear presses - for the console debug helpers
+     * @returns {Object}
+     */
+    peekInputState() {
+        return this.toInputState(this.readActions());
+    }
+    
+    toInputState(actions) {
+        // Opposing actions cancel - pitch is negative for nose up, roll positive for left bank
+        const input = {
+            throttle: this.throttleLever.position,
+            afterburner: this.throttleLever.afterburner,
+            pitch: (actions.pitchDown - actions.pitchUp) * this.pitchSensitivity,
+            yaw: (actions.yawRight - actions.yawLeft) * this.yawSensitivity,
+            roll: (actions.rollLeft - actions.rollRight) * this.rollSensitivity,
+            brake: actions.brake > 0
+        };
         
         // Reset functionality
-        if (this.keys['KeyR']) {
+        if (actions.reset) {
             input.reset = true;
         }
-        
         return input;
     }
     
+    // Back to idle, e.g. when the aircraft is reset
+    resetThrottle() {
+        this.throttleLever.reset();
+    }
+    
     /**
-     * Check if any control keys are pressed
+     * Check if any control is active
      * @returns {boolean}
      */
     hasInput() {
-        return this.keys['KeyW'] || this.keys['KeyS'] || this.keys['KeyA'] || this.keys['KeyD'] || this.keys['Space'] || this.keys['ArrowUp'] || this.keys['ArrowDown'] || this.keys['KeyR'];
+        return Object.values(this.lastActionValues).some(value => value > 0);
     }
     
     /**
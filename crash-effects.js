@@ -1,8 +1,10 @@
 import * as THREE from 'three';
+import { SeededRandom } from './random.js';
 
 export class CrashEffects {
-    constructor(scene) {
+    constructor(scene, random = new SeededRandom()) {
         this.scene = scene;
+        this.random = random; // Seeded stream so particle layouts repeat with the seed
         this.crashActive = false;
         this.smokeParticles = null;
         // Removed fire and explosion components for cleaner smoke-only effects
@@ -13,6 +15,21 @@ export class CrashEffects {
         this.particleCount = 200;
         this.smokeLifetime = 5.0; // seconds
         this.particleStartTime = [];
+        this.clock = 0; // Simulation time in seconds, advanced by update()
+        
+        // Trail behind a damaged aircraft in flight, particles in world space
+        this.trailParticles = null;
+        this.trailCount = 150;
+        this.trailLifetime = 2.5; // seconds
+        this.trailAge = new Float32Array(this.trailCount).fill(Infinity);
+        this.trailNext = 0; // Next particle to emit
+        this.trailEmitCarry = 0; // Fractional particles owed from earlier ticks
+        this.damageSmoke = { source: null, intensity: 0 }; // See setDamageSmoke()
+        
+        // Smoke drifts on the session's wind, see setWindField()
+        this.windField = null;
+        this.smokeDrift = new THREE.Vector3(); // World units per second at the crash site
+        this.trailDrift = new THREE.Vector3(); // At the aircraft, kept when the trail stops emitting
         
         console.log('Smoke-only Crash Effects system initialized');
     }
@@ -73,6 +90,7 @@ export class CrashEffects {
     createParticleSystems() {
         // Smoke-only particle system for cleaner, more realistic effects
         this.createSmokeSystem();
+        this.createTrailSystem();
         
         console.log('Smoke-only crash effects system created');
     }
@@ -92,18 +110,18 @@ export class CrashEffects {
             positions[i * 3 + 2] = 0;
             
             // Realistic gray colors for smoke
-            const gray = 0.4 + Math.random() * 0.3; // Darker, more realistic gray
+            const gray = 0.4 + this.random.next() * 0.3; // Darker, more realistic gray
             colors[i * 3] = gray;     // R
             colors[i * 3 + 1] = gray; // G
             colors[i * 3 + 2] = gray; // B
             
             // Varied sizes for more realistic smoke
-            sizes[i] = Math.random() * 15 + 10;
+            sizes[i] = this.random.next() * 15 + 10;
             
             // Random velocities (upward and outward)
-            velocities[i * 3] = (Math.random() - 0.5) * 2;     // X
-            velocities[i * 3 + 1] = Math.random() * 3 + 1;     // Y (upward)
-            velocities[i * 3 + 2] = (Math.random() - 0.5) * 2; // Z
+            velocities[i * 3] = this.random.centered() * 2;     // X
+            velocities[i * 3 + 1] = this.random.next() * 3 + 1; // Y (upward)
+            velocities[i * 3 + 2] = this.random.centered() * 2; // Z
             
             // Initialize start times
             this.particleStartTime[i] = -1; // Not started
@@ -134,6 +152,45 @@ export class CrashEffects {
         console.log('Enhanced smoke particle system created');
     }
 
+    createTrailSystem() {
+        const geometry = new THREE.BufferGeometry();
+        const positions = new Float32Array(this.trailCount * 3);
+        for (let i = 0; i < this.trailCount; i++) {
+            positions[i * 3 + 1] = -100000; // Unused particles wait far below the world
+        }
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        
+        const material = new THREE.PointsMaterial({
+            size: 12,
+            map: this.smokeTexture,
+            alphaTest: 0.05,
+            transparent: true,
+            color: 0x555555,
+            depthWrite: false,
+            opacity: 0
+        });
+        
+        this.trailParticles = new THREE.Points(geometry, material);
+        this.trailParticles.frustumCulled = false; // Particles are spread along the flight path
+        this.trailParticles.visible = false;
+        this.scene.add(this.trailParticles);
+    }
+
+    /**
+     * Smoke trailing a damaged aircraft, thicker and darker with more damage
+     * @param {THREE.Vector3|null} source - Aircraft position, followed while the trail is on
+     * @param {number} intensity - Aircraft damage, 0 (no smoke) to 1
+     */
+    setDamageSmoke(source, intensity) {
+        this.damageSmoke.source = source;
+        this.damageSmoke.intensity = Math.max(0, Math.min(1, intensity));
+    }
+
+    // Carry the smoke with the wind instead of still air
+    setWindField(windField) {
+        this.windField = windField;
+    }
+
     // Enhanced smoke-only crash effects for realistic impact visualization
     triggerCrash(position) {
         console.log('SMOKE-ONLY CRASH EFFECTS TRIGGERED at position:', position);
@@ -188,13 +245,14 @@ export class CrashEffects {
     }
 
     // Part-specific crash effects for enhanced collision detection (smoke-only)
-    triggerPartSpecificCrash(position, severity = 50, collisionPart = 'fuselage') {
+    // damage: aircraft damage before the crash, 0-1 - a battered aircraft smokes harder
+    triggerPartSpecificCrash(position, severity = 50, collisionPart = 'fuselage', damage = 0) {
         console.log(`PART-SPECIFIC SMOKE CRASH EFFECTS TRIGGERED! Part: ${collisionPart}`);
         console.log('Position:', position);
         console.log('Severity:', severity);
         
-        // Scale smoke effects based on severity and part type
-        let intensityScale = Math.min(severity / 100, 2.0); // Cap at 2x intensity
+        // Scale smoke effects based on severity, damage and part type
+        let intensityScale = Math.min(severity / 100, 2.0) * (1 + damage); // Cap at 2x intensity, more when damaged
         
         // Modify smoke effects based on collision part
         switch(collisionPart) {
@@ -241,23 +299,25 @@ export class CrashEffects {
 
     resetSmokeParticles(crashPosition, intensityScale = 1.0) {
         const positions = this.smokeParticles.geometry.attributes.position.array;
-        const currentTime = Date.now() / 1000;
+        const currentTime = this.clock;
         const spread = 6 * intensityScale; // Scale the particle spread
         
         for (let i = 0; i < this.particleCount; i++) {
             // Reset positions to crash site with scaled random offset
-            positions[i * 3] = (Math.random() - 0.5) * spread;     // X spread
-            positions[i * 3 + 1] = Math.random() * 2;              // Y start low
-            positions[i * 3 + 2] = (Math.random() - 0.5) * spread; // Z spread
+            positions[i * 3] = this.random.centered() * spread;     // X spread
+            positions[i * 3 + 1] = this.random.next() * 2;          // Y start low
+            positions[i * 3 + 2] = this.random.centered() * spread; // Z spread
             
             // Stagger particle start times for continuous effect
-            this.particleStartTime[i] = currentTime + Math.random() * 2;
+            this.particleStartTime[i] = currentTime + this.random.next() * 2;
         }
         
         this.smokeParticles.geometry.attributes.position.needsUpdate = true;
     }
 
     update(deltaTime) {
+        this.clock += deltaTime;
+        this.updateTrailParticles(deltaTime);
         if (!this.crashActive) return;
         
         // Only update smoke particles for cleaner, more realistic effects
@@ -269,7 +329,13 @@ export class CrashEffects {
         
         const positions = this.smokeParticles.geometry.attributes.position.array;
         const sizes = this.smokeParticles.geometry.attributes.size.array;
-        const currentTime = Date.now() / 1000;
+        const currentTime = this.clock;
+        
+        // One sample at the crash site drifts the whole column
+        if (this.windField) {
+            this.windField.getDrift(this.smokeParticles.position, this.smokeDrift);
+        }
+        const drift = this.smokeDrift;
         
         for (let i = 0; i < this.particleCount; i++) {
             const startTime = this.particleStartTime[i];
@@ -280,11 +346,11 @@ export class CrashEffects {
             
             if (age > this.smokeLifetime) {
                 // Restart particle
-                positions[i * 3] = (Math.random() - 0.5) * 6;
+                positions[i * 3] = this.random.centered() * 6;
                 positions[i * 3 + 1] = 0;
-                positions[i * 3 + 2] = (Math.random() - 0.5) * 6;
+                positions[i * 3 + 2] = this.random.centered() * 6;
                 this.particleStartTime[i] = currentTime;
-                sizes[i] = Math.random() * 15 + 10;
+                sizes[i] = this.random.next() * 15 + 10;
             } else {
                 // Update particle position
                 positions[i * 3] += this.smokeVelocities[i * 3] * deltaTime;
@@ -294,8 +360,10 @@ export class CrashEffects {
                 // Grow particle size over time for realistic smoke expansion
                 sizes[i] += deltaTime * 8;
                 
-                // Add wind effect
-                positions[i * 3] += Math.sin(currentTime + i) * deltaTime * 0.7;
+                // Drift with the wind
+                positions[i * 3] += drift.x * deltaTime;
+                positions[i * 3 + 1] += drift.y * deltaTime;
+                positions[i * 3 + 2] += drift.z * deltaTime;
             }
         }
         
@@ -303,6 +371,49 @@ export class CrashEffects {
         this.smokeParticles.geometry.attributes.size.needsUpdate = true;
     }
 
+    updateTrailParticles(deltaTime) {
+        if (!this.trailParticles) return;
+        
+        const { source, intensity } = this.damageSmoke;
+        const positions = this.trailParticles.geometry.attributes.position.array;
+        
+        // Emit from the aircraft, up to 60 particles a second when badly damaged
+        if (source && intensity > 0.05) {
+            if (this.windField) {
+                this.windField.getDrift(source, this.trailDrift);
+            }
+            this.trailEmitCarry += intensity * 60 * deltaTime;
+            while (this.trailEmitCarry >= 1) {
+                this.trailEmitCarry -= 1;
+                const i = this.trailNext;
+                this.trailNext = (this.trailNext + 1) % this.trailCount;
+                positions[i * 3] = source.x + this.random.centered() * 2;
+                positions[i * 3 + 1] = source.y + this.random.centered() * 2;
+                positions[i * 3 + 2] = source.z + this.random.centered() * 2;
+                this.trailAge[i] = 0;
+            }
+        }
+        
+        // Age, drift upward and park expired particles far below the world
+        let alive = 0;
+        for (let i = 0; i < this.trailCount; i++) {
+            if (this.trailAge[i] > this.trailLifetime) continue;
+            this.trailAge[i] += deltaTime;
+            if (this.trailAge[i] > this.trailLifetime) {
+                positions[i * 3 + 1] = -100000;
+                continue;
+            }
+            positions[i * 3] += this.trailDrift.x * deltaTime;
+            positions[i * 3 + 1] += (3 + this.trailDrift.y) * deltaTime;
+            positions[i * 3 + 2] += this.trailDrift.z * deltaTime;
+            alive++;
+        }
+        
+        this.trailParticles.visible = alive > 0;
+        this.trailParticles.material.opacity = 0.2 + 0.5 * intensity;
+        this.trailParticles.geometry.attributes.position.needsUpdate = true;
+    }
+
     stopCrashEffects() {
         console.log('Stopping smoke crash effects');
         
@@ -325,6 +436,12 @@ export class CrashEffects {
             this.smokeParticles.material.dispose();
         }
         
+        if (this.trailParticles) {
+            this.scene.remove(this.trailParticles);
+            this.trailParticles.geometry.dispose();
+            this.trailParticles.material.dispose();
+        }
+        
         if (this.smokeTexture) {
             this.smokeTexture.dispose();
         }
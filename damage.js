@@ -0,0 +1,93 @@
+import { AIRCRAFT_PARTS } from './config.js';
+
+/**
+ * Progressive Damage Model
+ * Health per collision part (see AIRCRAFT_PARTS). Terrain contact costs health in proportion
+ * to the speed into the ground plus a scrape cost for sliding along it; damaged parts degrade
+ * handling. Only a severe impact or a part at zero health is a crash.
+ */
+
+export const DEFAULT_DAMAGE_PARAMS = {
+    impactDamage: 0.08, // Health lost per unit of speed into the terrain
+    scrapeDamage: 0.01, // Health lost per second per unit of speed along the terrain
+    severeImpactSpeed: 12, // Speed into the terrain that destroys the aircraft outright (about 43 km/h)
+    restitution: 0.2, // Fraction of the speed into the terrain kept as a bounce
+    maxRollBias: 0.25, // Roll input a destroyed wing adds toward its own side
+    tailYawLoss: 0.7, // Rudder authority lost with the tail destroyed
+    tailPitchLoss: 0.4, // Elevator authority lost with the tail destroyed
+    noseThrustLoss: 0.2, // Thrust lost with the nose (intake) destroyed
+    fuselageThrustLoss: 0.4 // Thrust lost with the fuselage (engine) destroyed
+};
+
+export class DamageModel {
+    constructor(params = {}) {
+        this.params = { ...DEFAULT_DAMAGE_PARAMS, ...params };
+        this.health = {};
+        this.reset();
+    }
+
+    reset() {
+        AIRCRAFT_PARTS.forEach((part) => {
+            this.health[part] = 1;
+        });
+    }
+
+    /**
+     * Damage a part from terrain contact over one tick
+     * @param {string} part - One of AIRCRAFT_PARTS
+     * @param {number} normalSpeed - Speed into the terrain (velocity units)
+     * @param {number} tangentSpeed - Speed along the terrain
+     * @returns {boolean} true when the contact destroys the aircraft
+     */
+    applyImpact(part, normalSpeed, tangentSpeed, deltaTime) {
+        const { impactDamage, scrapeDamage, severeImpactSpeed } = this.params;
+        if (normalSpeed >= severeImpactSpeed) {
+            this.health[part] = 0;
+            return true;
+        }
+
+        const damage = normalSpeed * impactDamage + tangentSpeed * scrapeDamage * deltaTime;
+        this.health[part] = Math.max(0, this.health[part] - damage);
+        return this.health[part] === 0;
+    }
+
+    // 0 intact to 1 destroyed
+    getDamage(part) {
+        return 1 - this.health[part];
+    }
+
+    // Mean damage over all parts, drives the smoke trail
+    getTotalDamage() {
+        return AIRCRAFT_PARTS.reduce((sum, part) => sum + this.getDamage(part), 0) / AIRCRAFT_PARTS.length;
+    }
+
+    /**
+     * Flight input with the damage applied
+     * Uses the flight input conventions: roll positive banks left, so a damaged left wing
+     * (less lift on that side) adds positive roll.
+     * @param {Object} controls - { throttle, pitch, yaw, roll }, not modified
+     */
+    applyToControls(controls) {
+        const { maxRollBias, tailYawLoss, tailPitchLoss, noseThrustLoss, fuselageThrustLoss } = this.params;
+        const rollBias = (this.getDamage('leftWing') - this.getDamage('rightWing')) * maxRollBias;
+        const tail = this.getDamage('tail');
+        const thrustFactor = 1 - this.getDamage('nose') * noseThrustLoss - this.getDamage('fuselage') * fuselageThrustLoss;
+
+        return {
+            ...controls,
+            throttle: controls.throttle * thrustFactor,
+            pitch: controls.pitch * (1 - tail * tailPitchLoss),
+            yaw: controls.yaw * (1 - tail * tailYawLoss),
+            roll: Math.max(-1, Math.min(1, controls.roll + rollBias))
+        };
+    }
+
+    // Health per part as whole percentages
+    getStatus() {
+        const status = {};
+        AIRCRAFT_PARTS.forEach((part) => {
+            status[part] = Math.round(this.health[part] * 100);
+        });
+        return status;
+    }
+}
@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { sampleTerrainHeight, sampleTerrainNormal, sweepTerrain } from './terrain-sampling.js';
+import { Runway, DEFAULT_RUNWAY } from './runway.js';
 
 export class Environment {
     constructor(scene, config = {}) {
@@ -8,6 +10,7 @@ export class Environment {
         this.heightScale = config.heightScale || 400;
         this.terrainSegments = config.terrainSegments || 128;
         this.spawnHeight = config.spawnHeight || 200;
+        this.runway = new Runway(config.runway || this.getDefaultRunwayConfig());
         
         console.log('Simple Environment initialized - no complex asset loading');
     }
@@ -49,6 +52,11 @@ export class Environment {
             console.log('Could not load heightmap, using procedural terrain:', error.message);
         }
         
+        // Level the ground under the runway
+        this.runway.flattenTerrain(geometry.attributes.position.array, this.terrainSize / this.terrainSegments);
+        geometry.attributes.position.needsUpdate = true;
+        geometry.computeVertexNormals();
+        
         // Create simple material
         const material = new THREE.MeshLambertMaterial({
             color: 0x567d46, // Natural terrain green
@@ -75,13 +83,16 @@ export class Environment {
         this.terrain.castShadow = true;
         
         this.scene.add(this.terrain);
+        this.scene.add(this.runway.createMesh());
         console.log('Simple terrain created successfully');
         
         // Make terrain methods available for debugging
         window.terrainDebug = {
             getHeight: (x, z) => this.getTerrainHeightAt(x, z),
+            getNormal: (x, z) => this.getTerrainNormalAt(x, z),
             info: () => this.logTerrainInfo(),
-            spawn: () => this.getSpawnPosition()
+            spawn: () => this.getSpawnPosition(),
+            runway: () => this.runway.getStatus()
         };
     }
 
@@ -175,6 +186,7 @@ export class Environment {
         // Main directional light (sun)
         const directionalLight = new THREE.DirectionalLight(0xffffff, 1.0);
         directionalLight.position.set(100, 300, 100);
+        this.sunDirection = directionalLight.position.clone().normalize(); // Towards the sun, see getSunDirection()
         directionalLight.castShadow = true;
 
         // Shadow settings
@@ -211,18 +223,66 @@ export class Environment {
         return new THREE.Vector3(0, safeSpawnHeight, 0);
     }
 
-    // Get terrain height at specific world position
+    // Get spawn position above the north-east corner area, facing the centre of the terrain
+    getCornerSpawnPosition() {
+        const cornerOffset = this.terrainSize * 0.375; // 6000 units in on the 16000 unit world
+        const terrainHeight = this.getTerrainHeightAt(cornerOffset, cornerOffset);
+        return new THREE.Vector3(cornerOffset, terrainHeight + this.spawnHeight, cornerOffset);
+    }
+
+    // Runway for standing takeoffs and landings
+    getRunway() {
+        return this.runway;
+    }
+
+    // Unit vector towards the sun - thermals rise over the slopes it lights best
+    getSunDirection() {
+        return this.sunDirection;
+    }
+
+    // Default runway: starts under the corner spawn and runs toward the centre, along the corner spawn heading
+    getDefaultRunwayConfig() {
+        const cornerOffset = this.terrainSize * 0.375;
+        const heading = Math.PI * 0.25;
+        const halfLength = DEFAULT_RUNWAY.length / 2;
+        return {
+            x: cornerOffset - Math.sin(heading) * halfLength,
+            z: cornerOffset - Math.cos(heading) * halfLength,
+            heading
+        };
+    }
+
+    // One terrain mesh, nothing to stream - same interface as Environment.update()
+    update(viewerPosition, budget) {}
+
+    // Get terrain height at specific world position, interpolated over the mesh triangle under it
     getTerrainHeightAt(x, z) {
         if (!this.terrain) return 0;
         
-        // Simple height lookup - this is basic and can be improved
-        const geometry = this.terrain.geometry;
-        if (!geometry.attributes.position) return 0;
+        const vertices = this.terrain.geometry.attributes.position.array;
+        return sampleTerrainHeight(vertices, this.terrainSegments, this.terrainSize, x, z);
+    }
+
+    // Get the upward surface normal of the terrain at a world position
+    getTerrainNormalAt(x, z, target = new THREE.Vector3()) {
+        if (!this.terrain) return target.set(0, 1, 0);
+        
+        const vertices = this.terrain.geometry.attributes.position.array;
+        return sampleTerrainNormal(vertices, this.terrainSegments, this.terrainSize, x, z, target);
+    }
+
+    /**
+     * Swept terrain collision for a point moving from one position to another
+     * @param {number} margin - Clearance above the surface that counts as contact
+     * @returns {Object|null} { t, point, normal } at the first contact, t as a fraction of the segment
+     */
+    intersectTerrainSegment(from, to, margin = 0) {
+        const cellSize = this.terrainSize / this.terrainSegments;
+        const hit = sweepTerrain((x, z) => this.getTerrainHeightAt(x, z), from, to, cellSize / 4, margin);
+        if (!hit) return null;
         
-        // For now, return a simple height calculation
-        // In a real implementation, you'd do proper terrain height sampling
-        return Math.sin(x * 0.01) * Math.cos(z * 0.01) * 100 + 
-               Math.sin(x * 0.005) * Math.cos(z * 0.005) * 200;
+        hit.normal = this.getTerrainNormalAt(hit.point.x, hit.point.z);
+        return hit;
     }
 
     // Debug method to log terrain info
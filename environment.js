@@ -1,14 +1,24 @@
 import * as THREE from 'three';
 import { EXRLoader } from 'three/examples/jsm/loaders/EXRLoader.js';
+import { SeededRandom } from './random.js';
+import { sampleTerrainHeight, sweepTerrain } from './terrain-sampling.js';
+import { Runway, DEFAULT_RUNWAY } from './runway.js';
+import { ChunkedTerrain } from './terrain-chunks.js';
+import { generateHeightGrid } from './terrain-generator.js';
 
 export class Environment {
     constructor(scene, config = {}) {
         this.scene = scene;
-        this.terrain = null;
+        this.terrain = null; // ChunkedTerrain drawn and queried over getGeneratedHeight()
+        this.heightGrid = null; // Generated heights as PlaneGeometry positions (x, y, height), the terrain's large-scale shape
+        this.onProgress = null; // (stage, progress) while init() loads and generates the terrain, progress 0-1
         this.terrainSize = config.terrainSize || 16000; // 4x bigger world (was 4000)
         this.heightScale = config.heightScale || 800; // Dramatic mountains
-        this.terrainSegments = config.terrainSegments || 256; // High detail
+        this.terrainSegments = config.terrainSegments || 256; // Height grid resolution, the chunks add finer detail
+        this.chunkParams = config.chunks || {}; // Overrides for DEFAULT_CHUNK_PARAMS
         this.spawnHeight = config.spawnHeight || 300; // Higher spawn for taller mountains
+        this.random = config.random || new SeededRandom(); // Seeded stream so mountain placement repeats
+        this.runway = new Runway(config.runway || this.getDefaultRunwayConfig()); // Levelled into the terrain
         
         // Asset paths configuration
         this.assetPaths = {
@@ -27,44 +37,41 @@ export class Environment {
             console.log('Environment initialized successfully');
         } catch (error) {
             console.error('Error initializing environment:', error);
+            throw error; // main.js shows the failure on the start screen
         }
     }
 
     async createTerrain() {
         // Load heightmap (PNG)
+        this.reportProgress('textures', 0);
         const heightmapTexture = await this.loadPNGTexture(this.assetPaths.heightmap);
+        this.reportProgress('textures', 0.05);
         
         // Load diffuse texture (EXR)
         const diffuseTexture = await this.loadEXRTexture(this.assetPaths.diffuse);
+        this.reportProgress('textures', 0.12);
         
         // Load bump map (EXR)
         const bumpTexture = await this.loadEXRTexture(this.assetPaths.bumpMap);
-        
-        // Create terrain geometry
-        const geometry = new THREE.PlaneGeometry(
-            this.terrainSize, 
-            this.terrainSize, 
-            this.terrainSegments, 
-            this.terrainSegments
-        );
+        this.reportProgress('textures', 0.18);
         
         // Extract height data from heightmap
         const heightData = await this.extractHeightData(heightmapTexture);
+        this.reportProgress('textures', 0.2);
+        
+        // Heightmap, noise and mountains are generated in a worker, see terrain-generator.js
+        this.heightGrid = await this.generateHeightGridInWorker(heightData);
         
-        // Apply heightmap to geometry
-        this.applyHeightmapToGeometry(geometry, heightData);
+        // Level the ground under the runway - the detail noise is added per point, see getGeneratedHeight()
+        this.runway.flattenTerrain(this.heightGrid, this.terrainSize / this.terrainSegments);
         
         // Create material with diffuse and bump map
         const material = this.createTerrainMaterial(diffuseTexture, bumpTexture);
         
-        // Create terrain mesh
-        this.terrain = new THREE.Mesh(geometry, material);
-        this.terrain.rotation.x = -Math.PI / 2;
-        this.terrain.position.y = 0;
-        this.terrain.receiveShadow = true;
-        this.terrain.castShadow = true;
+        // Chunks stream in around the camera, see update()
+        this.terrain = new ChunkedTerrain(this.scene, (x, z) => this.getGeneratedHeight(x, z), material, this.terrainSize, this.chunkParams);
         
-        this.scene.add(this.terrain);
+        this.scene.add(this.runway.createMesh());
         
         console.log('Terrain created successfully');
         
@@ -75,11 +82,14 @@ export class Environment {
             // Make terrain methods available in console for debugging
             window.terrainDebug = {
                 getHeight: (x, z) => this.getTerrainHeightAt(x, z),
+                getNormal: (x, z) => this.getTerrainNormalAt(x, z),
                 info: () => this.logTerrainInfo(),
-                spawn: () => this.getSpawnPosition()
+                spawn: () => this.getSpawnPosition(),
+                runway: () => this.runway.getStatus(),
+                chunks: () => this.terrain.getStatus()
             };
             
-            console.log('Terrain debug methods available: terrainDebug.getHeight(x, z), terrainDebug.info(), terrainDebug.spawn()');
+            console.log('Terrain debug methods available: terrainDebug.getHeight(x, z), terrainDebug.getNormal(x, z), terrainDebug.info(), terrainDebug.spawn(), terrainDebug.runway(), terrainDebug.chunks()');
         }, 100);
     }
 
@@ -110,11 +120,10 @@ export class Environment {
                 ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
                 const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
                 
-                const heightData = [];
-                for (let i = 0; i < imageData.data.length; i += 4) {
+                const heightData = new Float32Array(imageData.data.length / 4);
+                for (let i = 0; i < heightData.length; i++) {
                     // Use red channel for height (grayscale)
-                    const height = imageData.data[i] / 255;
-                    heightData.push(height);
+                    heightData[i] = imageData.data[i * 4] / 255;
                 }
                 
                 resolve(heightData);
@@ -124,221 +133,85 @@ export class Environment {
         });
     }
 
-    applyHeightmapToGeometry(geometry, heightData) {
-        const vertices = geometry.attributes.position.array;
-        
-        // First pass: apply heightmap with dramatic scaling and add base noise
-        const flatAreas = [];
-        const heightThreshold = 0.15; // Adjusted for more varied terrain
+    /**
+     * Run the generation passes in a worker, falling back to the main thread where workers are unavailable
+     * or the worker fails
+     * @param {Float32Array} heightData - Heightmap samples, copied to the worker so the fallback can still use them
+     * @returns {Promise<Float32Array>} Height grid positions, transferred back from the worker
+     */
+    generateHeightGridInWorker(heightData) {
+        const options = { size: this.terrainSize, segments: this.terrainSegments, heightScale: this.heightScale };
+        const onProgress = (stage, progress) => this.reportProgress(stage, 0.2 + progress * 0.8);
+        const generateHere = (reason) => {
+            console.warn(`Terrain worker unavailable (${reason}), generating on the main thread`);
+            return generateHeightGrid(heightData, options, this.random, onProgress);
+        };
         
-        for (let i = 0; i < vertices.length; i += 3) {
-            const index = Math.floor(i / 3);
-            if (heightData[index] !== undefined) {
-                const x = vertices[i];
-                const y = vertices[i + 1];
-                
-                // Dramatically scale up the original heightmap mountains
-                let height = heightData[index] * this.heightScale * 2.5; // 2.5x scale increase
-                
-                // Add base terrain noise to make everything more uneven
-                height += this.generateTerrainNoise(x, y);
-                
-                // Add rolling hills to break up flat areas
-                height += this.generateRollingHills(x, y);
-                
-                vertices[i + 2] = height;
-                
-                // Identify relatively flat areas for mountain placement (after noise)
-                if (heightData[index] < heightThreshold) {
-                    flatAreas.push({ index, x, y, originalHeight: height });
-                }
-            }
+        if (typeof Worker === 'undefined') {
+            return Promise.resolve(generateHere('not supported'));
         }
         
-        // Find mountain regions in the heightmap for copying
-        const mountainRegions = this.findMountainRegions(heightData);
-        
-        // Place additional mountains in flat areas
-        this.placeMountainsInFlatAreas(vertices, flatAreas, mountainRegions, heightData);
-        
-        // Final pass: add detail noise to entire terrain
-        this.addDetailNoise(vertices);
-        
-        geometry.attributes.position.needsUpdate = true;
-        geometry.computeVertexNormals();
-    }
-
-    generateTerrainNoise(x, y) {
-        // Multi-octave noise for varied, uneven ground
-        let noise = 0;
-        
-        // Large geological features
-        noise += Math.sin(x * 0.001) * Math.cos(y * 0.001) * 80;
-        noise += Math.sin(x * 0.002) * Math.cos(y * 0.002) * 40;
-        
-        // Medium terrain variation
-        noise += Math.sin(x * 0.005) * Math.cos(y * 0.005) * 25;
-        noise += Math.sin(x * 0.01) * Math.cos(y * 0.01) * 15;
-        
-        // Fine surface detail
-        noise += Math.sin(x * 0.02) * Math.cos(y * 0.02) * 8;
-        
-        return noise;
-    }
-
-    generateRollingHills(x, y) {
-        // Create rolling hills across the terrain
-        let hills = 0;
-        
-        // Large rolling hills
-        hills += Math.sin(x * 0.0015) * Math.cos(y * 0.0015) * 60;
-        hills += Math.sin(x * 0.003) * Math.cos(y * 0.003) * 30;
-        
-        // Medium undulation
-        hills += Math.sin(x * 0.006) * Math.cos(y * 0.006) * 20;
-        
-        // Slight randomness
-        hills += Math.sin(x * 0.0123) * Math.cos(y * 0.0321) * 12;
-        
-        return hills;
-    }
-
-    addDetailNoise(vertices) {
-        // Add fine detail noise to entire terrain for realism
-        for (let i = 0; i < vertices.length; i += 3) {
-            const x = vertices[i];
-            const y = vertices[i + 1];
-            const currentHeight = vertices[i + 2];
+        return new Promise((resolve, reject) => {
+            // Called from the worker callbacks, where a throw would not reject the promise
+            const fallBack = (reason) => {
+                try {
+                    resolve(generateHere(reason));
+                } catch (error) {
+                    reject(new Error(`Terrain generation failed: ${error.message}`));
+                }
+            };
             
-            // Fine rocky/surface detail
-            const detail = Math.sin(x * 0.05) * Math.cos(y * 0.05) * 3 +
-                          Math.sin(x * 0.1) * Math.cos(y * 0.1) * 2 +
-                          Math.sin(x * 0.2) * Math.cos(y * 0.2) * 1;
+            let worker;
+            try {
+                worker = new Worker(new URL('./terrain-worker.js', import.meta.url), { type: 'module' });
+            } catch (error) {
+                fallBack(error.message);
+                return;
+            }
             
-            vertices[i + 2] = currentHeight + detail;
-        }
-    }
-
-    findMountainRegions(heightData) {
-        const mountainRegions = [];
-        const segmentSize = this.terrainSegments + 1;
-        const mountainThreshold = 0.7; // Areas above this are considered mountains
-        
-        // Scan for mountain regions
-        for (let y = 0; y < segmentSize; y++) {
-            for (let x = 0; x < segmentSize; x++) {
-                const index = y * segmentSize + x;
-                if (heightData[index] > mountainThreshold) {
-                    // Found a mountain peak, extract surrounding region
-                    const region = this.extractMountainRegion(heightData, x, y, segmentSize);
-                    if (region.size > 100) { // Only use significant mountain regions
-                        mountainRegions.push(region);
-                    }
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    onProgress(message.stage, message.progress);
+                } else if (message.type === 'done') {
+                    worker.terminate();
+                    // Carry on the terrain stream from where the worker left it
+                    this.random.state = message.randomState;
+                    resolve(message.positions);
+                } else if (message.type === 'error') {
+                    worker.terminate();
+                    fallBack(message.message);
                 }
-            }
-        }
-        
-        return mountainRegions;
+            };
+            
+            // The worker script itself failed to load or run
+            worker.onerror = (event) => {
+                event.preventDefault();
+                worker.terminate();
+                fallBack(event.message || 'failed to load');
+            };
+            
+            worker.postMessage({ heightData, options, randomState: this.random.state });
+        });
     }
 
-    extractMountainRegion(heightData, centerX, centerY, segmentSize) {
-        const region = { centerX, centerY, heights: [], size: 0 };
-        const radius = 20; // Extract 40x40 region around mountain peak
-        
-        for (let dy = -radius; dy <= radius; dy++) {
-            for (let dx = -radius; dx <= radius; dx++) {
-                const x = centerX + dx;
-                const y = centerY + dy;
-                
-                if (x >= 0 && x < segmentSize && y >= 0 && y < segmentSize) {
-                    const index = y * segmentSize + x;
-                    region.heights.push({
-                        offsetX: dx,
-                        offsetY: dy,
-                        height: heightData[index]
-                    });
-                    region.size++;
-                }
-            }
+    reportProgress(stage, progress) {
+        if (this.onProgress) {
+            this.onProgress(stage, progress);
         }
-        
-        return region;
     }
 
-    placeMountainsInFlatAreas(vertices, flatAreas, mountainRegions, heightData) {
-        if (mountainRegions.length === 0) return;
-        if (flatAreas.length === 0) return;
-        
-        // Randomly select 4-6 flat areas for mountain placement
-        // Ensure at least 1 mountain is placed if we have flat areas
-        const numMountains = Math.min(6, Math.max(1, Math.floor(flatAreas.length / 800)));
-        const selectedAreas = [];
-        
-        // Track used mountain patterns to avoid repetition
-        const usedPatterns = new Set();
-        
-        for (let i = 0; i < numMountains; i++) {
-            const randomIndex = Math.floor(Math.random() * flatAreas.length);
-            const area = flatAreas[randomIndex];
-            
-            // Ensure areas are spread out
-            const minDistance = 400;
-            const tooClose = selectedAreas.some(selected => 
-                Math.abs(selected.x - area.x) < minDistance || 
-                Math.abs(selected.y - area.y) < minDistance
-            );
-            
-            if (!tooClose) {
-                selectedAreas.push(area);
-            }
-        }
-        
-        // Place mountains in selected areas with more dramatic scaling
-        selectedAreas.forEach((area, mountainIndex) => {
-            // Select mountain pattern, avoiding repetition when possible
-            let selectedPatternIndex;
-            let attempts = 0;
-            const maxAttempts = mountainRegions.length * 2;
-            
-            do {
-                selectedPatternIndex = Math.floor(Math.random() * mountainRegions.length);
-                attempts++;
-            } while (usedPatterns.has(selectedPatternIndex) && 
-                     usedPatterns.size < mountainRegions.length && 
-                     attempts < maxAttempts);
-            
-            usedPatterns.add(selectedPatternIndex);
-            const mountainRegion = mountainRegions[selectedPatternIndex];
-            this.placeMountainAt(vertices, area.x, area.y, mountainRegion);
-        });
-        
-        console.log(`Placed ${selectedAreas.length} additional mountain regions using ${usedPatterns.size} different patterns`);
+    // Fine rocky/surface detail, finer than the height grid - only the small chunks near the camera show all of it
+    getDetailNoise(x, z) {
+        return Math.sin(x * 0.05) * Math.cos(z * 0.05) * 3 +
+               Math.sin(x * 0.1) * Math.cos(z * 0.1) * 2 +
+               Math.sin(x * 0.2) * Math.cos(z * 0.2) * 1;
     }
 
-    placeMountainAt(vertices, targetX, targetY, mountainRegion) {
-        const segmentSize = this.terrainSegments + 1;
-        const scale = 1.2 + Math.random() * 0.8; // Random scale 1.2-2.0 for more dramatic mountains
-        
-        mountainRegion.heights.forEach(point => {
-            const worldX = targetX + point.offsetX * (this.terrainSize / segmentSize);
-            const worldY = targetY + point.offsetY * (this.terrainSize / segmentSize);
-            
-            // Find closest vertex
-            for (let i = 0; i < vertices.length; i += 3) {
-                const vx = vertices[i];
-                const vy = vertices[i + 1];
-                const distance = Math.sqrt((vx - worldX) ** 2 + (vy - worldY) ** 2);
-                
-                if (distance < 25) { // Slightly larger influence radius
-                    const mountainHeight = point.height * this.heightScale * 2.5 * scale; // Increased scaling
-                    const currentHeight = vertices[i + 2];
-                    
-                    // Blend the mountain height with existing terrain
-                    const blendFactor = Math.max(0, 1 - distance / 25);
-                    vertices[i + 2] = Math.max(currentHeight, mountainHeight * blendFactor);
-                }
-            }
-        });
+    // Terrain height function the chunks are built from: the height grid plus detail, kept off the runway
+    getGeneratedHeight(x, z) {
+        const height = sampleTerrainHeight(this.heightGrid, this.terrainSegments, this.terrainSize, x, z);
+        return height + this.getDetailNoise(x, z) * this.runway.getTerrainBlend(x, z);
     }
 
     createTerrainMaterial(diffuseTexture, bumpTexture) {
@@ -368,6 +241,7 @@ export class Environment {
         // Main directional light (sun)
         const directionalLight = new THREE.DirectionalLight(0xffffff, 1.2);
         directionalLight.position.set(1000, 1000, 500);
+        this.sunDirection = directionalLight.position.clone().normalize(); // Towards the sun, see getSunDirection()
         directionalLight.castShadow = true;
 
         // Configure shadows - 4x bigger world
@@ -437,38 +311,68 @@ export class Environment {
         return new THREE.Vector3(0, safeSpawnHeight, 0);
     }
 
-    // Get terrain height at specific world position
+    // Get spawn position above the north-east corner area, facing the centre of the terrain
+    getCornerSpawnPosition() {
+        const cornerOffset = this.terrainSize * 0.375; // 6000 units in on the 16000 unit world
+        const terrainHeight = this.getTerrainHeightAt(cornerOffset, cornerOffset);
+        return new THREE.Vector3(cornerOffset, terrainHeight + this.spawnHeight, cornerOffset);
+    }
+
+    // Runway for standing takeoffs and landings
+    getRunway() {
+        return this.runway;
+    }
+
+    // Unit vector towards the sun - thermals rise over the slopes it lights best
+    getSunDirection() {
+        return this.sunDirection;
+    }
+
+    // Default runway: starts under the corner spawn and runs toward the centre, along the corner spawn heading
+    getDefaultRunwayConfig() {
+        const cornerOffset = this.terrainSize * 0.375;
+        const heading = Math.PI * 0.25;
+        const halfLength = DEFAULT_RUNWAY.length / 2;
+        return {
+            x: cornerOffset - Math.sin(heading) * halfLength,
+            z: cornerOffset - Math.cos(heading) * halfLength,
+            heading
+        };
+    }
+
+    // Stream terrain chunks in and out around the viewer (the camera), once per rendered frame
+    update(viewerPosition, budget) {
+        if (this.terrain) {
+            this.terrain.update(viewerPosition, budget);
+        }
+    }
+
+    // Get terrain height at specific world position, interpolated over the finest chunk triangle under it
     getTerrainHeightAt(x, z) {
         if (!this.terrain) return 0;
         
-        const geometry = this.terrain.geometry;
-        const vertices = geometry.attributes.position.array;
-        
-        // Convert world coordinates to terrain-local coordinates
-        const localX = x + this.terrainSize / 2;
-        const localZ = z + this.terrainSize / 2;
-        
-        // Convert to vertex indices
-        const segmentSizeX = this.terrainSize / this.terrainSegments;
-        const segmentSizeZ = this.terrainSize / this.terrainSegments;
-        
-        const gridX = Math.floor(localX / segmentSizeX);
-        const gridZ = Math.floor(localZ / segmentSizeZ);
-        
-        // Ensure we're within bounds
-        const clampedX = Math.max(0, Math.min(gridX, this.terrainSegments - 1));
-        const clampedZ = Math.max(0, Math.min(gridZ, this.terrainSegments - 1));
-        
-        // Get vertex index
-        const index = clampedZ * (this.terrainSegments + 1) + clampedX;
-        const vertexIndex = index * 3;
-        
-        // Return height (Y coordinate)
-        if (vertexIndex + 2 < vertices.length) {
-            return vertices[vertexIndex + 2];
-        }
+        return this.terrain.getHeightAt(x, z);
+    }
+
+    // Get the upward surface normal of the terrain at a world position
+    getTerrainNormalAt(x, z, target = new THREE.Vector3()) {
+        if (!this.terrain) return target.set(0, 1, 0);
         
-        return 0;
+        return this.terrain.getNormalAt(x, z, target);
+    }
+
+    /**
+     * Swept terrain collision for a point moving from one position to another
+     * @param {number} margin - Clearance above the surface that counts as contact
+     * @returns {Object|null} { t, point, normal } at the first contact, t as a fraction of the segment
+     */
+    intersectTerrainSegment(from, to, margin = 0) {
+        const cellSize = this.terrain ? this.terrain.getCellSize() : this.terrainSize / this.terrainSegments;
+        const hit = sweepTerrain((x, z) => this.getTerrainHeightAt(x, z), from, to, cellSize / 4, margin);
+        if (!hit) return null;
+        
+        hit.normal = this.getTerrainNormalAt(hit.point.x, hit.point.z);
+        return hit;
     }
 
     // Debug method to log terrain info
@@ -489,13 +393,15 @@ export class Environment {
         console.log(`Terrain size: ${this.terrainSize}`);
         console.log(`Height scale: ${this.heightScale}`);
         console.log(`Spawn height: ${this.spawnHeight}`);
+        console.log('Chunks:', this.terrain.getStatus());
         console.log('===================');
     }
 
+    // Extremes of the height grid - the detail noise adds a few units either way
     findMaxTerrainHeight() {
-        if (!this.terrain) return 0;
+        if (!this.heightGrid) return 0;
         
-        const vertices = this.terrain.geometry.attributes.position.array;
+        const vertices = this.heightGrid;
         let maxHeight = -Infinity;
         
         for (let i = 2; i < vertices.length; i += 3) {
@@ -506,9 +412,9 @@ export class Environment {
     }
 
     findMinTerrainHeight() {
-        if (!this.terrain) return 0;
+        if (!this.heightGrid) return 0;
         
-        const vertices = this.terrain.geometry.attributes.position.array;
+        const vertices = this.heightGrid;
         let minHeight = Infinity;
         
         for (let i = 2; i < vertices.length; i += 3) {
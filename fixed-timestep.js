@@ -0,0 +1,105 @@
+/**
+ * Fixed-timestep simulation helpers
+ * The simulation always advances in steps of the same size no matter how often the browser
+ * renders, so flight speed and lap times are identical on 30, 60 or 144 Hz displays.
+ */
+export class FixedTimestepLoop {
+    constructor(config = {}) {
+        this.step = config.step || 1 / 60; // Seconds per simulation tick
+        this.maxFrameTime = config.maxFrameTime || 0.25; // Longest frame we try to catch up on
+        this.maxStepsPerFrame = config.maxStepsPerFrame || 8;
+
+        this.accumulator = 0;
+        this.lastTimestamp = null;
+        this.tick = 0; // Simulation ticks since start
+    }
+
+    /**
+     * Run as many fixed steps as the elapsed frame time calls for
+     * @param {number} timestamp - Frame timestamp in milliseconds (requestAnimationFrame time)
+     * @param {Function} stepCallback - Called with the step size for every tick
+     * @returns {number} Interpolation factor (0-1) between the last two ticks for rendering
+     */
+    advance(timestamp, stepCallback) {
+        if (this.lastTimestamp === null) {
+            this.lastTimestamp = timestamp;
+        }
+
+        // Clamp long frames (tab switches, breakpoints) instead of simulating all of them
+        const frameTime = Math.min(Math.max((timestamp - this.lastTimestamp) / 1000, 0), this.maxFrameTime);
+        this.lastTimestamp = timestamp;
+        this.accumulator += frameTime;
+
+        let steps = 0;
+        while (this.accumulator >= this.step && steps < this.maxStepsPerFrame) {
+            stepCallback(this.step);
+            this.accumulator -= this.step;
+            this.tick++;
+            steps++;
+        }
+
+        // Still behind after the step budget: drop the backlog rather than spiral further behind
+        if (this.accumulator >= this.step) {
+            this.accumulator %= this.step;
+        }
+
+        return this.accumulator / this.step;
+    }
+
+    /**
+     * Forget the last frame time, e.g. when the page becomes visible again
+     */
+    resetClock() {
+        this.lastTimestamp = null;
+        this.accumulator = 0;
+    }
+}
+
+/**
+ * Render interpolation for an Object3D that the simulation moves in fixed ticks.
+ * snapshot() before every tick, apply() before rendering and restore() before simulating again.
+ */
+export class TransformInterpolator {
+    constructor(object) {
+        this.object = object;
+        this.previousPosition = object.position.clone();
+        this.previousQuaternion = object.quaternion.clone();
+        this.currentPosition = object.position.clone();
+        this.currentQuaternion = object.quaternion.clone();
+        this.interpolated = false;
+    }
+
+    // Remember the pose before the simulation moves the object
+    snapshot() {
+        this.restore();
+        this.previousPosition.copy(this.object.position);
+        this.previousQuaternion.copy(this.object.quaternion);
+    }
+
+    // Show the object between its previous and current simulated pose
+    apply(alpha) {
+        this.restore();
+        this.currentPosition.copy(this.object.position);
+        this.currentQuaternion.copy(this.object.quaternion);
+
+        this.object.position.lerpVectors(this.previousPosition, this.currentPosition, alpha);
+        this.object.quaternion.slerpQuaternions(this.previousQuaternion, this.currentQuaternion, alpha);
+        this.interpolated = true;
+    }
+
+    // Put the simulated pose back so the simulation never sees the interpolated one
+    restore() {
+        if (!this.interpolated) return;
+
+        this.object.position.copy(this.currentPosition);
+        this.object.quaternion.copy(this.currentQuaternion);
+        this.interpolated = false;
+    }
+
+    // Skip interpolation across a teleport (reset, respawn) - keeps the pose the object has now
+    reset() {
+        this.interpolated = false;
+        this.previousPosition.copy(this.object.position);
+        this.previousQuaternion.copy(this.object.quaternion);
+    }
+}
@@ -0,0 +1,116 @@
+import { THROTTLE_DETENTS } from './throttle.js';
+
+/**
+ * Fuel and Engine Management
+ * Fuel burns in proportion to engine thrust, with an extra burn while the afterburner is lit.
+ * The afterburner heats the engine; at full heat it overheats and stays unavailable until it
+ * has cooled. An empty tank flames the engine out - the aircraft glides until it refuels.
+ */
+
+export const DEFAULT_FUEL_PARAMS = {
+    capacity: 100, // Fuel units in a full tank, shown as a percentage
+    idleBurn: 0.05, // Units per second with the engine at idle
+    burnRate: 0.4, // Units per second per unit of engine level (military = 1)
+    afterburnerBurn: 1.2, // Extra units per second with the afterburner lit
+    heatRate: 0.2, // Heat per second with the afterburner lit (0-1, 5 s to overheat)
+    coolRate: 0.1, // Heat shed per second without the afterburner
+    overheatRecovery: 0.3, // Heat the engine must cool to before the afterburner relights
+    respawnReserve: 0.25 // Fraction of a tank a respawn tops up to, so an empty tank doesn't flame out again
+};
+
+export const ENGINE_STATES = {
+    running: 'Running',
+    afterburner: 'Afterburner',
+    overheated: 'Overheated',
+    flameout: 'Flame-out'
+};
+
+export class FuelSystem {
+    constructor(params = {}) {
+        this.params = { ...DEFAULT_FUEL_PARAMS, ...params };
+        this.reset();
+    }
+
+    reset() {
+        this.fuel = this.params.capacity;
+        this.heat = 0; // 0 cold, 1 overheated
+        this.overheated = false;
+        this.flamedOut = false;
+    }
+
+    /**
+     * Limit the thrust command to what the engine can give right now
+     * @param {number} command - Lever command from the throttle, up to the afterburner detent
+     * @returns {number} Command the engine spools toward
+     */
+    limitCommand(command) {
+        if (this.flamedOut) return 0;
+        if (this.overheated) return Math.min(command, THROTTLE_DETENTS.military);
+        return command;
+    }
+
+    /**
+     * Burn fuel and move heat for one tick
+     * @param {number} engineLevel - Spooled thrust level, 0 idle to 1.5 full afterburner
+     */
+    update(engineLevel, deltaTime) {
+        const { capacity, idleBurn, burnRate, afterburnerBurn, heatRate, coolRate, overheatRecovery } = this.params;
+        const afterburnerLit = engineLevel > THROTTLE_DETENTS.military;
+
+        if (!this.flamedOut) {
+            let burn = idleBurn + burnRate * engineLevel;
+            if (afterburnerLit) burn += afterburnerBurn;
+            this.fuel = Math.max(0, Math.min(capacity, this.fuel - burn * deltaTime));
+
+            if (this.fuel === 0) {
+                this.flamedOut = true;
+                console.log('⛽ Out of fuel - engine flame-out');
+            }
+        }
+
+        this.heat += (afterburnerLit ? heatRate : -coolRate) * deltaTime;
+        this.heat = Math.max(0, Math.min(1, this.heat));
+
+        if (!this.overheated && this.heat >= 1) {
+            this.overheated = true;
+            console.log('🔥 Engine overheated - afterburner locked out');
+        } else if (this.overheated && this.heat <= overheatRecovery) {
+            this.overheated = false;
+            console.log('🔥 Engine cooled - afterburner available');
+        }
+    }
+
+    /**
+     * Add fuel, relighting a flamed-out engine
+     * @returns {number} Fuel actually taken on
+     */
+    refuel(amount) {
+        const taken = Math.min(amount, this.params.capacity - this.fuel);
+        this.fuel += taken;
+        if (this.flamedOut && this.fuel > 0) {
+            this.flamedOut = false;
+            console.log('⛽ Refuelled - engine relit');
+        }
+        return taken;
+    }
+
+    // Cold, lit engine after a crash respawn, with at least the respawn reserve in the tank
+    restart() {
+        this.fuel = Math.max(this.fuel, this.params.capacity * this.params.respawnReserve);
+        this.heat = 0;
+        this.overheated = false;
+        this.flamedOut = false;
+    }
+
+    getFuelFraction() {
+        return this.fuel / this.params.capacity;
+    }
+
+    // One of the ENGINE_STATES keys
+    getEngineState(engineLevel) {
+        if (this.flamedOut) return 'flameout';
+        if (this.overheated) return 'overheated';
+        if (engineLevel > THROTTLE_DETENTS.military) return 'afterburner';
+        return 'running';
+    }
+}
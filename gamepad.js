@@ -0,0 +1,183 @@
+/**
+ * Gamepad and flight stick input through the Gamepad API
+ * Device layer for the input mapping in input.js: tracks the active pad across hot-plugs and
+ * reads buttons, half-axes and full-range axes with deadzones and per-axis response curves applied.
+ */
+
+export const DEFAULT_GAMEPAD_CONFIG = {
+    stickDeadzone: 0.15, // Ignore stick travel below this (worn sticks rarely centre exactly)
+    triggerDeadzone: 0.05,
+    // Response curve per axis: 0 = linear, 1 = fully cubic (fine control near centre)
+    curves: {
+        pitch: 0.4,
+        roll: 0.4,
+        yaw: 0.2,
+        throttle: 0
+    }
+};
+
+export class GamepadInput {
+    constructor(config = {}) {
+        this.config = {
+            ...DEFAULT_GAMEPAD_CONFIG,
+            ...config,
+            curves: { ...DEFAULT_GAMEPAD_CONFIG.curves, ...(config.curves || {}) }
+        };
+        this.activeIndex = null; // Gamepad in use, the most recently connected one
+        this.onConnectionChange = null; // Called with (gamepad | null) on hot-plug
+
+        this.supported = typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+        if (this.supported) {
+            this.setupEventListeners();
+        }
+    }
+
+    setupEventListeners() {
+        window.addEventListener('gamepadconnected', (event) => {
+            this.activeIndex = event.gamepad.index;
+            console.log(`🎮 Gamepad connected: ${event.gamepad.id} (${event.gamepad.mapping || 'non-standard'} mapping)`);
+            if (this.onConnectionChange) this.onConnectionChange(event.gamepad);
+        });
+
+        window.addEventListener('gamepaddisconnected', (event) => {
+            console.log(`🎮 Gamepad disconnected: ${event.gamepad.id}`);
+            if (event.gamepad.index === this.activeIndex) {
+                // Fall back to any other pad that is still plugged in
+                const remaining = this.getConnectedGamepads();
+                this.activeIndex = remaining.length > 0 ? remaining[0].index : null;
+            }
+            if (this.onConnectionChange) this.onConnectionChange(this.getGamepad());
+        });
+    }
+
+    getConnectedGamepads() {
+        if (!this.supported) return [];
+        return Array.from(navigator.getGamepads()).filter(gamepad => gamepad && gamepad.connected);
+    }
+
+    /**
+     * The gamepad in use. Chrome only hands out fresh state from getGamepads(), so poll every tick
+     */
+    getGamepad() {
+        const gamepads = this.getConnectedGamepads();
+        if (gamepads.length === 0) return null;
+
+        // Pads already connected before the page loaded never fire gamepadconnected
+        const active = gamepads.find(gamepad => gamepad.index === this.activeIndex);
+        if (active) return active;
+
+        this.activeIndex = gamepads[0].index;
+        return gamepads[0];
+    }
+
+    isConnected() {
+        return this.getGamepad() !== null;
+    }
+
+    /**
+     * Button pressure with the trigger deadzone applied
+     * @param {string|null} curve - Response curve name for analog actions
+     * @returns {number} 0-1
+     */
+    readButton(gamepad, index, curve = null) {
+        const value = buttonValue(gamepad.buttons, index);
+        return shapeAxis(value, this.config.triggerDeadzone, curve ? this.config.curves[curve] : 0);
+    }
+
+    /**
+     * One half of an axis with the stick deadzone applied
+     * @param {number} direction - -1 for the negative half, 1 for the positive half
+     * @returns {number} 0-1 deflection in that direction
+     */
+    readAxis(gamepad, index, direction, curve = null) {
+        const value = index < gamepad.axes.length ? gamepad.axes[index] * direction : 0;
+        if (value <= 0) return 0;
+        return shapeAxis(value, this.config.stickDeadzone, curve ? this.config.curves[curve] : 0);
+    }
+
+    /**
+     * Full travel of an axis, for throttle levers and triggers that rest at one end
+     * @param {number} direction - End that counts as full: -1 (most HOTAS levers) or 1
+     * @returns {number} 0 at the opposite end, 1 at the full end
+     */
+    readFullAxis(gamepad, index, direction, curve = null) {
+        if (index >= gamepad.axes.length) return 0;
+        const value = (1 + gamepad.axes[index] * direction) / 2;
+        return shapeAxis(value, this.config.triggerDeadzone, curve ? this.config.curves[curve] : 0);
+    }
+
+    /**
+     * First button pressed or axis pushed well away from its rest position, for rebinding
+     * @param {number[]} restAxes - Axis values when capture started (some triggers rest at -1)
+     * @returns {string|null} Binding string such as 'button:7', 'axis:1-' or 'axis:6~-'
+     */
+    detectInput(gamepad, restAxes = []) {
+        const pressed = gamepad.buttons.findIndex(button => buttonValue([button], 0) > 0.5);
+        if (pressed >= 0) return `button:${pressed}`;
+
+        for (let i = 0; i < gamepad.axes.length; i++) {
+            const rest = restAxes[i] || 0;
+            const travel = gamepad.axes[i] - rest;
+            if (Math.abs(travel) > 0.6) {
+                // Levers and triggers resting at one end bind their full travel
+                return `axis:${i}${Math.abs(rest) > 0.9 ? '~' : ''}${travel < 0 ? '-' : '+'}`;
+            }
+        }
+        return null;
+    }
+
+    setDeadzone(stickDeadzone, triggerDeadzone = this.config.triggerDeadzone) {
+        this.config.stickDeadzone = clamp(stickDeadzone, 0, 0.9);
+        this.config.triggerDeadzone = clamp(triggerDeadzone, 0, 0.9);
+    }
+
+    setCurve(axisName, amount) {
+        this.config.curves[axisName] = clamp(amount, 0, 1);
+    }
+
+    // Deadzones and curves for saving with the control bindings
+    getSettings() {
+        return {
+            stickDeadzone: this.config.stickDeadzone,
+            triggerDeadzone: this.config.triggerDeadzone,
+            curves: { ...this.config.curves }
+        };
+    }
+
+    applySettings(settings) {
+        if (!settings) return;
+        this.setDeadzone(
+            settings.stickDeadzone !== undefined ? settings.stickDeadzone : this.config.stickDeadzone,
+            settings.triggerDeadzone !== undefined ? settings.triggerDeadzone : this.config.triggerDeadzone
+        );
+        Object.entries(settings.curves || {}).forEach(([axisName, amount]) => {
+            if (axisName in this.config.curves) this.setCurve(axisName, amount);
+        });
+    }
+}
+
+/**
+ * Apply deadzone then response curve to an axis value
+ * The deadzone is rescaled so output still starts at 0 and reaches ±1 at full travel.
+ * @param {number} value - Raw axis value, -1..1 (or 0..1 for triggers)
+ * @param {number} deadzone - Fraction of travel ignored around centre
+ * @param {number} curve - 0 linear, 1 cubic
+ */
+export function shapeAxis(value, deadzone, curve) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= deadzone) return 0;
+
+    const scaled = Math.min((magnitude - deadzone) / (1 - deadzone), 1);
+    const shaped = (1 - curve) * scaled + curve * scaled * scaled * scaled;
+    return Math.sign(value) * shaped;
+}
+
+function buttonValue(buttons, index) {
+    const button = buttons[index];
+    if (!button) return 0;
+    return typeof button === 'object' ? button.value : button;
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
@@ -0,0 +1,217 @@
+import * as THREE from 'three';
+import { hashSeed } from './random.js';
+
+/**
+ * Ghost Replay System
+ * Records the aircraft pose every simulation tick during a timed run, keeps the best run
+ * per course in localStorage and plays it back as a translucent copy of the jet.
+ */
+export class GhostReplay {
+    constructor(scene, config = {}) {
+        this.scene = scene;
+        this.storageKey = config.storageKey || 'airMania.ghosts';
+        this.opacity = config.opacity || 0.35;
+
+        this.courseKey = null;
+        this.bestRun = null; // { total, seed, times, positions, quaternions }
+        this.recording = null;
+        this.enabled = true;
+
+        this.ghost = null;
+        this.cursor = 0; // Last sample index used, playback usually moves forward
+
+        console.log('Ghost replay system initialized');
+    }
+
+    /**
+     * Build the translucent ghost from the loaded aircraft model, replacing any earlier one
+     */
+    createGhostModel(sourceModel) {
+        if (!sourceModel) return;
+
+        if (this.ghost) {
+            this.scene.remove(this.ghost);
+            this.ghost.traverse((child) => {
+                if (child.isMesh) child.material.dispose();
+            });
+        }
+
+        const model = sourceModel.clone(true);
+        model.traverse((child) => {
+            if (child.isMesh) {
+                child.material = new THREE.MeshBasicMaterial({
+                    color: 0x88ccff,
+                    transparent: true,
+                    opacity: this.opacity,
+                    depthWrite: false
+                });
+                child.castShadow = false;
+                child.receiveShadow = false;
+            }
+        });
+
+        // Same structure as AircraftSystem: model inside a group that carries the pose
+        this.ghost = new THREE.Group();
+        this.ghost.name = 'GhostAircraft';
+        this.ghost.add(model);
+        this.ghost.visible = false;
+        this.scene.add(this.ghost);
+    }
+
+    /**
+     * Switch to another course and load its stored best run
+     */
+    setCourse(courseKey) {
+        this.courseKey = courseKey;
+        this.bestRun = this.loadBestRun();
+        this.recording = null;
+        this.hide();
+
+        if (this.bestRun) {
+            console.log(`👻 Ghost loaded: ${this.bestRun.total.toFixed(3)}s`);
+        }
+    }
+
+    /**
+     * @param {number} seed - Session random seed, kept with the run so it can be re-simulated
+     */
+    startRecording(seed = null) {
+        this.recording = { seed, times: [], positions: [], quaternions: [] };
+        this.cursor = 0;
+    }
+
+    /**
+     * Store one tick of the current run
+     * @param {number} time - Run time in seconds
+     */
+    record(time, aircraft) {
+        if (!this.recording) return;
+
+        const { position, quaternion } = aircraft;
+        this.recording.times.push(round(time, 4));
+        this.recording.positions.push(round(position.x, 2), round(position.y, 2), round(position.z, 2));
+        this.recording.quaternions.push(round(quaternion.x, 4), round(quaternion.y, 4), round(quaternion.z, 4), round(quaternion.w, 4));
+    }
+
+    /**
+     * Finish the recording; it replaces the stored ghost when it beats the one for this course
+     */
+    finishRecording(total) {
+        if (this.recording && (!this.bestRun || total < this.bestRun.total)) {
+            this.bestRun = { total, ...this.recording };
+            this.saveBestRun();
+            console.log(`👻 New ghost saved: ${total.toFixed(3)}s`);
+        }
+        this.recording = null;
+    }
+
+    cancelRecording() {
+        this.recording = null;
+        this.cursor = 0;
+    }
+
+    /**
+     * Place the ghost at a run time, interpolating between the recorded ticks
+     * @param {number|null} time - Run time in seconds, null before the run starts
+     */
+    update(time) {
+        if (!this.ghost || !this.bestRun || !this.enabled) {
+            this.hide();
+            return;
+        }
+
+        const { times, positions, quaternions } = this.bestRun;
+        const sampleTime = time === null ? times[0] : time;
+
+        // The ghost disappears once it has crossed the finish
+        if (sampleTime > times[times.length - 1]) {
+            this.hide();
+            return;
+        }
+
+        const index = this.findSample(sampleTime);
+        const next = Math.min(index + 1, times.length - 1);
+        const span = times[next] - times[index];
+        const alpha = span > 0 ? THREE.MathUtils.clamp((sampleTime - times[index]) / span, 0, 1) : 0;
+
+        this.ghost.position.set(
+            positions[index * 3] + (positions[next * 3] - positions[index * 3]) * alpha,
+            positions[index * 3 + 1] + (positions[next * 3 + 1] - positions[index * 3 + 1]) * alpha,
+            positions[index * 3 + 2] + (positions[next * 3 + 2] - positions[index * 3 + 2]) * alpha
+        );
+
+        const from = new THREE.Quaternion().fromArray(quaternions, index * 4);
+        const to = new THREE.Quaternion().fromArray(quaternions, next * 4);
+        this.ghost.quaternion.slerpQuaternions(from, to, alpha);
+
+        this.ghost.visible = true;
+    }
+
+    // Index of the last sample at or before the given time
+    findSample(time) {
+        const times = this.bestRun.times;
+
+        if (this.cursor >= times.length || times[this.cursor] > time) {
+            this.cursor = 0;
+        }
+        while (this.cursor < times.length - 1 && times[this.cursor + 1] <= time) {
+            this.cursor++;
+        }
+        return this.cursor;
+    }
+
+    hide() {
+        if (this.ghost) {
+            this.ghost.visible = false;
+        }
+    }
+
+    toggle() {
+        this.enabled = !this.enabled;
+        if (!this.enabled) {
+            this.hide();
+        }
+        console.log(`👻 Ghost ${this.enabled ? 'enabled' : 'disabled'}`);
+        return this.enabled;
+    }
+
+    hasGhost() {
+        return !!this.bestRun;
+    }
+
+    loadBestRun() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            return stored[this.courseKey] || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveBestRun() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            stored[this.courseKey] = this.bestRun;
+            localStorage.setItem(this.storageKey, JSON.stringify(stored));
+        } catch (error) {
+            console.log('Could not save ghost:', error.message);
+        }
+    }
+}
+
+/**
+ * Ghosts are only comparable through the same gates from the same spawn over the same terrain
+ */
+export function getGhostKey(raceTrack, environment) {
+    const terrainSeed = environment.random ? environment.random.seed : 'unseeded';
+    const spawn = raceTrack.spawnDefinition || { x: 'corner', z: 'corner', heading: 'default' };
+    const heading = typeof spawn.heading === 'number' ? spawn.heading.toFixed(3) : spawn.heading;
+    const gates = hashSeed(JSON.stringify(raceTrack.gateDefinitions)).toString(16);
+    const terrain = `${environment.terrainSize}/${environment.heightScale}/${environment.assetPaths ? environment.assetPaths.heightmap : 'procedural'}/${terrainSeed}`;
+    return `${raceTrack.trackId}|${spawn.x},${spawn.z},${heading}|${gates}|${terrain}`;
+}
+
+function round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
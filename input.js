@@ -0,0 +1,417 @@
+/**
+ * Input Mapping
+ * Flight actions are bound to keys, gamepad buttons and gamepad half-axes instead of fixed key
+ * codes. Bindings come from a preset (arcade, realistic, left-handed) or are edited on the
+ * controls settings screen, and are saved to localStorage.
+ *
+ * Binding strings:
+ *   'key:KeyW'   - keyboard key by KeyboardEvent.code
+ *   'button:7'   - gamepad button by index (analog triggers report their pressure)
+ *   'axis:1-'    - one half of a gamepad axis, '-' for the negative direction, '+' for positive
+ *   'axis:6~-'   - the full travel of a gamepad axis, 0 at one end and 1 at the end given by the sign
+ *                  (HOTAS throttle levers run from +1 at idle to -1 at full)
+ */
+
+// keyValue: how far a key deflects an analog action (keys are digital, so some are softened)
+// curve: which gamepad response curve applies to axes bound to the action
+// lever: full-range axes bound to the action position the throttle lever instead of stepping it
+export const INPUT_ACTIONS = [
+    { id: 'throttleUp', label: 'Throttle Up', analog: true, keyValue: 1.0, curve: 'throttle', lever: true },
+    { id: 'throttleDown', label: 'Throttle Down', analog: true, keyValue: 1.0, curve: 'throttle', lever: true },
+    { id: 'pitchUp', label: 'Pitch Up (Nose Up)', analog: true, keyValue: 0.8, curve: 'pitch' },
+    { id: 'pitchDown', label: 'Pitch Down (Nose Down)', analog: true, keyValue: 0.8, curve: 'pitch' },
+    { id: 'rollLeft', label: 'Roll Left', analog: true, keyValue: 0.5, curve: 'roll' },
+    { id: 'rollRight', label: 'Roll Right', analog: true, keyValue: 0.5, curve: 'roll' },
+    { id: 'yawLeft', label: 'Yaw Left', analog: true, keyValue: 1.0, curve: 'yaw' },
+    { id: 'yawRight', label: 'Yaw Right', analog: true, keyValue: 1.0, curve: 'yaw' },
+    { id: 'boost', label: 'Afterburner', analog: false },
+    { id: 'gear', label: 'Landing Gear', analog: false },
+    { id: 'brake', label: 'Wheel Brakes', analog: false },
+    { id: 'reset', label: 'Reset Aircraft', analog: false },
+    { id: 'cameraCycle', label: 'Cycle Camera', analog: false }
+];
+
+export const MAX_BINDINGS_PER_ACTION = 3;
+
+// Gamepad bindings assume the standard (Xbox/PlayStation) layout, except the flight stick preset
+export const CONTROL_PRESETS = {
+    arcade: {
+        name: 'Arcade',
+        description: 'W/S throttle, A/D roll, Q/E rudder, arrows pitch and yaw. Pad: triggers throttle, left stick fly, right stick yaw',
+        bindings: {
+            throttleUp: ['key:KeyW', 'button:7'],
+            throttleDown: ['key:KeyS', 'button:6'],
+            pitchUp: ['key:ArrowUp', 'axis:1+'],
+            pitchDown: ['key:ArrowDown', 'axis:1-'],
+            rollLeft: ['key:KeyA', 'axis:0-'],
+            rollRight: ['key:KeyD', 'axis:0+'],
+            yawLeft: ['key:KeyQ', 'key:ArrowLeft', 'axis:2-'],
+            yawRight: ['key:KeyE', 'key:ArrowRight', 'axis:2+'],
+            boost: ['key:Space', 'button:0'],
+            gear: ['key:KeyG', 'button:2'],
+            brake: ['key:KeyB', 'button:1'],
+            reset: ['key:KeyR', 'button:9'],
+            cameraCycle: ['key:KeyC', 'button:3']
+        }
+    },
+    realistic: {
+        name: 'Realistic',
+        description: 'W/S stick pitch, A/D roll, Q/E rudder, Shift/Ctrl throttle. Pad: right stick throttle, triggers rudder',
+        bindings: {
+            throttleUp: ['key:ShiftLeft', 'axis:3-'],
+            throttleDown: ['key:ControlLeft', 'axis:3+'],
+            pitchUp: ['key:KeyS', 'axis:1+'],
+            pitchDown: ['key:KeyW', 'axis:1-'],
+            rollLeft: ['key:KeyA', 'axis:0-'],
+            rollRight: ['key:KeyD', 'axis:0+'],
+            yawLeft: ['key:KeyQ', 'button:6'],
+            yawRight: ['key:KeyE', 'button:7'],
+            boost: ['key:Space', 'button:0'],
+            gear: ['key:KeyG', 'button:2'],
+            brake: ['key:KeyB', 'button:1'],
+            reset: ['key:KeyR', 'button:9'],
+            cameraCycle: ['key:KeyC', 'button:3']
+        }
+    },
+    leftHanded: {
+        name: 'Left-Handed',
+        description: 'I/K throttle, J/L roll, W/S pitch, A/D yaw. Pad: sticks swapped',
+        bindings: {
+            throttleUp: ['key:KeyI', 'button:7'],
+            throttleDown: ['key:KeyK', 'button:6'],
+            pitchUp: ['key:KeyW', 'axis:3+'],
+            pitchDown: ['key:KeyS', 'axis:3-'],
+            rollLeft: ['key:KeyJ', 'axis:2-'],
+            rollRight: ['key:KeyL', 'axis:2+'],
+            yawLeft: ['key:KeyA', 'axis:0-'],
+            yawRight: ['key:KeyD', 'axis:0+'],
+            boost: ['key:Enter', 'button:0'],
+            gear: ['key:KeyH', 'button:2'],
+            brake: ['key:KeyN', 'button:1'],
+            reset: ['key:KeyP', 'button:9'],
+            cameraCycle: ['key:KeyU', 'button:3']
+        }
+    },
+    flightStick: {
+        name: 'Flight Stick',
+        description: 'Sticks without the standard mapping: stick roll and pitch, twist rudder, throttle lever on axis 6. Keys as Arcade',
+        bindings: {
+            throttleUp: ['key:KeyW', 'axis:6~-'],
+            throttleDown: ['key:KeyS'],
+            pitchUp: ['key:ArrowUp', 'axis:1+'],
+            pitchDown: ['key:ArrowDown', 'axis:1-'],
+            rollLeft: ['key:KeyA', 'axis:0-'],
+            rollRight: ['key:KeyD', 'axis:0+'],
+            yawLeft: ['key:KeyQ', 'key:ArrowLeft', 'axis:5-'],
+            yawRight: ['key:KeyE', 'key:ArrowRight', 'axis:5+'],
+            boost: ['key:Space', 'button:1'],
+            gear: ['key:KeyG', 'button:2'],
+            brake: ['key:KeyB', 'button:3'],
+            reset: ['key:KeyR', 'button:7'],
+            cameraCycle: ['key:KeyC', 'button:4']
+        }
+    }
+};
+
+export const DEFAULT_PRESET = 'arcade';
+
+// Coordinated-turn assist levels a player can pick, fed to the flight model's turnAssist
+export const TURN_ASSIST_LEVELS = {
+    off: { name: 'Off', strength: 0 },
+    low: { name: 'Low', strength: 0.25 },
+    medium: { name: 'Medium', strength: 0.5 },
+    full: { name: 'Full', strength: 1 }
+};
+
+// How pitch/roll/yaw are flown; throttle, boost, gear, brakes, reset and camera always use the bindings
+export const CONTROL_MODES = {
+    standard: { name: 'Keyboard / Gamepad' },
+    mouseAim: { name: 'Mouse Aim' }
+};
+
+export class InputMap {
+    constructor(storageKey = 'airMania.controls') {
+        this.storageKey = storageKey;
+        this.preset = DEFAULT_PRESET; // Preset id, or 'custom' once a binding is edited
+        this.bindings = copyBindings(CONTROL_PRESETS[DEFAULT_PRESET].bindings);
+        this.gamepadSettings = null; // Deadzones and curves saved with the bindings
+        this.turnAssist = 'medium'; // Key of TURN_ASSIST_LEVELS, a player preference independent of the preset
+        this.controlMode = 'standard'; // Key of CONTROL_MODES
+        this.realism = 1; // Flight model, 0 arcade to 1 realistic aerodynamics
+        this.onChange = null; // Called after any binding change
+
+        this.load();
+    }
+
+    applyPreset(presetId) {
+        const preset = CONTROL_PRESETS[presetId];
+        if (!preset) {
+            console.log(`Unknown control preset: ${presetId}`);
+            return false;
+        }
+
+        this.preset = presetId;
+        this.bindings = copyBindings(preset.bindings);
+        this.changed();
+        console.log(`🎮 Control preset: ${preset.name}`);
+        return true;
+    }
+
+    getBindings(actionId) {
+        return this.bindings[actionId] || [];
+    }
+
+    /**
+     * Bind an input to an action
+     * @param {number} slot - Replace this slot, or append when omitted
+     */
+    bind(actionId, binding, slot = null) {
+        if (!parseBinding(binding)) return false;
+
+        const bindings = [...this.getBindings(actionId)].filter(existing => existing !== binding);
+        if (slot !== null && slot < bindings.length) {
+            bindings[slot] = binding;
+        } else if (bindings.length < MAX_BINDINGS_PER_ACTION) {
+            bindings.push(binding);
+        } else {
+            bindings[bindings.length - 1] = binding;
+        }
+
+        this.bindings[actionId] = bindings;
+        this.preset = 'custom';
+        this.changed();
+        return true;
+    }
+
+    unbind(actionId, binding) {
+        this.bindings[actionId] = this.getBindings(actionId).filter(existing => existing !== binding);
+        this.preset = 'custom';
+        this.changed();
+    }
+
+    /**
+     * Inputs bound to more than one action
+     * @returns {Array} [{ binding, actions: [actionId, ...] }]
+     */
+    getConflicts() {
+        const users = new Map();
+        INPUT_ACTIONS.forEach(action => {
+            this.getBindings(action.id).forEach(binding => {
+                if (!users.has(binding)) users.set(binding, []);
+                users.get(binding).push(action.id);
+            });
+        });
+
+        return [...users.entries()]
+            .filter(([, actions]) => actions.length > 1)
+            .map(([binding, actions]) => ({ binding, actions }));
+    }
+
+    // Actions other than this one that already use the binding
+    findConflicts(actionId, binding) {
+        return INPUT_ACTIONS
+            .filter(action => action.id !== actionId && this.getBindings(action.id).includes(binding))
+            .map(action => action.id);
+    }
+
+    isKeyBound(code) {
+        const binding = `key:${code}`;
+        return INPUT_ACTIONS.some(action => this.getBindings(action.id).includes(binding));
+    }
+
+    /**
+     * Current value of an action, the strongest of its bindings
+     * @param {Object} keys - Pressed keys by KeyboardEvent.code
+     * @param {Object} gamepad - GamepadInput, reads buttons and axes of the active pad
+     * @param {Gamepad|null} pad - Active pad state for this tick
+     * @returns {number} 0-1 for analog actions, 0 or 1 for buttons
+     */
+    getActionValue(actionId, keys, gamepad = null, pad = null) {
+        const action = getAction(actionId);
+        if (!action) return 0;
+
+        let value = 0;
+        this.getBindings(actionId).forEach(binding => {
+            const parsed = parseBinding(binding);
+            let bindingValue = 0;
+
+            if (parsed.type === 'key') {
+                bindingValue = keys[parsed.code] ? (action.analog ? action.keyValue : 1) : 0;
+            } else if (pad && parsed.type === 'button') {
+                bindingValue = gamepad.readButton(pad, parsed.index, action.analog ? action.curve : null);
+            } else if (pad && parsed.type === 'axis' && !(parsed.full && action.lever)) {
+                const read = parsed.full ? gamepad.readFullAxis : gamepad.readAxis;
+                bindingValue = read.call(gamepad, pad, parsed.index, parsed.direction, action.analog ? action.curve : null);
+            }
+
+            value = Math.max(value, bindingValue);
+        });
+
+        // Digital actions trigger past half travel
+        return action.analog ? value : (value > 0.5 ? 1 : 0);
+    }
+
+    /**
+     * Throttle lever position from a full-range axis bound to a throttle action, e.g. a HOTAS lever
+     * @returns {number|null} 0 (idle) to 1 (military), null when no such axis is bound or no pad is connected
+     */
+    getLeverPosition(gamepad, pad) {
+        if (!pad) return null;
+
+        for (const action of INPUT_ACTIONS.filter(action => action.lever)) {
+            const parsed = this.getBindings(action.id).map(parseBinding).find(parsed => parsed.type === 'axis' && parsed.full);
+            if (!parsed) continue;
+
+            const value = gamepad.readFullAxis(pad, parsed.index, parsed.direction, action.curve);
+            return action.id === 'throttleDown' ? 1 - value : value;
+        }
+        return null;
+    }
+
+    setTurnAssist(level) {
+        if (!TURN_ASSIST_LEVELS[level]) return;
+        this.turnAssist = level;
+        this.changed();
+    }
+
+    setControlMode(mode) {
+        if (!CONTROL_MODES[mode]) return;
+        this.controlMode = mode;
+        this.changed();
+    }
+
+    setRealism(realism) {
+        this.realism = Math.max(0, Math.min(1, realism));
+        this.changed();
+    }
+
+    getTurnAssistStrength() {
+        return TURN_ASSIST_LEVELS[this.turnAssist].strength;
+    }
+
+    setGamepadSettings(settings) {
+        this.gamepadSettings = settings;
+        this.save();
+    }
+
+    changed() {
+        this.save();
+        if (this.onChange) this.onChange();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (!stored) return;
+
+            if (stored.preset && stored.preset !== 'custom' && CONTROL_PRESETS[stored.preset]) {
+                this.preset = stored.preset;
+                this.bindings = copyBindings(CONTROL_PRESETS[stored.preset].bindings);
+            } else if (stored.bindings) {
+                this.preset = 'custom';
+                // Keep only valid bindings for known actions, new actions fall back to the default preset
+                INPUT_ACTIONS.forEach(action => {
+                    const saved = stored.bindings[action.id];
+                    if (Array.isArray(saved)) {
+                        this.bindings[action.id] = saved.filter(binding => parseBinding(binding)).slice(0, MAX_BINDINGS_PER_ACTION);
+                    }
+                });
+            }
+            this.gamepadSettings = stored.gamepad || null;
+            if (TURN_ASSIST_LEVELS[stored.turnAssist]) {
+                this.turnAssist = stored.turnAssist;
+            }
+            if (CONTROL_MODES[stored.controlMode]) {
+                this.controlMode = stored.controlMode;
+            }
+            if (typeof stored.realism === 'number') {
+                this.realism = Math.max(0, Math.min(1, stored.realism));
+            }
+        } catch (error) {
+            console.log('Could not load control bindings:', error.message);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                preset: this.preset,
+                bindings: this.preset === 'custom' ? this.bindings : undefined,
+                gamepad: this.gamepadSettings || undefined,
+                turnAssist: this.turnAssist,
+                controlMode: this.controlMode,
+                realism: this.realism
+            }));
+        } catch (error) {
+            console.log('Could not save control bindings:', error.message);
+        }
+    }
+}
+
+export function getAction(actionId) {
+    return INPUT_ACTIONS.find(action => action.id === actionId) || null;
+}
+
+/**
+ * @returns {Object|null} { type: 'key', code } | { type: 'button', index } | { type: 'axis', index, direction: ±1, full }
+ */
+export function parseBinding(binding) {
+    if (typeof binding !== 'string') return null;
+
+    const [type, value] = binding.split(':');
+    if (type === 'key' && value) {
+        return { type, code: value };
+    }
+    if (type === 'button' && /^\d+$/.test(value)) {
+        return { type, index: Number(value) };
+    }
+    if (type === 'axis' && /^\d+~?[+-]$/.test(value)) {
+        return { type, index: parseInt(value, 10), direction: value.endsWith('-') ? -1 : 1, full: value.includes('~') };
+    }
+    return null;
+}
+
+// Standard layout names for the settings screen
+const BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D-Up', 'D-Down', 'D-Left', 'D-Right', 'Home'];
+const AXIS_NAMES = {
+    '0-': 'Left Stick ←', '0+': 'Left Stick →', '1-': 'Left Stick ↑', '1+': 'Left Stick ↓',
+    '2-': 'Right Stick ←', '2+': 'Right Stick →', '3-': 'Right Stick ↑', '3+': 'Right Stick ↓'
+};
+const KEY_NAMES = {
+    ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+    Space: 'Space', ShiftLeft: 'L-Shift', ShiftRight: 'R-Shift', ControlLeft: 'L-Ctrl', ControlRight: 'R-Ctrl',
+    AltLeft: 'L-Alt', AltRight: 'R-Alt', Enter: 'Enter', Backspace: 'Backspace', Tab: 'Tab'
+};
+
+/**
+ * Short readable label for a binding, e.g. 'W', '↑', 'Pad RT', 'Left Stick ←', 'Axis 6 full −'
+ */
+export function describeBinding(binding) {
+    const parsed = parseBinding(binding);
+    if (!parsed) return '?';
+
+    if (parsed.type === 'key') {
+        if (KEY_NAMES[parsed.code]) return KEY_NAMES[parsed.code];
+        if (parsed.code.startsWith('Key')) return parsed.code.slice(3);
+        if (parsed.code.startsWith('Digit')) return parsed.code.slice(5);
+        if (parsed.code.startsWith('Numpad')) return `Num ${parsed.code.slice(6)}`;
+        return parsed.code;
+    }
+    if (parsed.type === 'button') {
+        return `Pad ${BUTTON_NAMES[parsed.index] || `Button ${parsed.index}`}`;
+    }
+
+    if (parsed.full) {
+        return `Axis ${parsed.index} full ${parsed.direction < 0 ? '−' : '+'}`;
+    }
+    const axisKey = `${parsed.index}${parsed.direction < 0 ? '-' : '+'}`;
+    return AXIS_NAMES[axisKey] || `Axis ${parsed.index} ${parsed.direction < 0 ? '−' : '+'}`;
+}
+
+function copyBindings(bindings) {
+    const copy = {};
+    INPUT_ACTIONS.forEach(action => {
+        copy[action.id] = [...(bindings[action.id] || [])];
+    });
+    return copy;
+}
@@ -0,0 +1,134 @@
+/**
+ * Landing Gear and Ground Roll
+ * Gear up or down (down adds drag), the touchdown check and the wheels-down ground physics on
+ * the runway: rolling friction, brakes, nosewheel steering and a rotation speed below which the
+ * nose stays on the ground. Works on the physics.js flight state, after stepFlight() each tick.
+ */
+
+export const DEFAULT_GEAR_PARAMS = {
+    height: 3.2, // Wheel contact below the aircraft origin - keeps the belly and level wings clear of the collision margin
+    drag: 0.0015, // Extra drag per speed² with the gear down (about 10% off top speed)
+    rollingFriction: 0.4, // Deceleration on the wheels, velocity units per second²
+    brakeDeceleration: 5, // Extra deceleration with the brakes on
+    steeringRate: 0.5, // Nosewheel steering in rad/s at full rudder
+    rotationSpeed: 22, // Speed from which the nose can be lifted (the stall speed is 20)
+    maxGroundPitch: 0.26, // Nose-up limit on the wheels (about 15°), the tail is close to the runway
+    maxSinkRate: 3, // Fastest safe touchdown descent (velocity units, m/s on the HUD)
+    maxTouchdownBank: 0.1, // Largest safe bank at touchdown (about 6°) before a wing scrapes
+    stopSpeed: 1 // Below this speed on the runway the aircraft has come to a stop
+};
+
+export class LandingGear {
+    constructor(params = {}) {
+        this.params = { ...DEFAULT_GEAR_PARAMS, ...params };
+        this.reset(false);
+    }
+
+    /**
+     * @param {boolean} onGround - Standing on the runway (gear down) or airborne (gear up)
+     */
+    reset(onGround) {
+        this.down = onGround;
+        this.onGround = onGround;
+        this.wheelsClear = !onGround; // Wheels above the terrain last tick, a touchdown needs them to come down from above
+    }
+
+    // Raise or lower the gear - it stays down while the weight is on the wheels
+    toggle() {
+        if (this.onGround) {
+            console.log('🛞 Gear locked down on the ground');
+            return false;
+        }
+        this.down = !this.down;
+        console.log(`🛞 Gear ${this.down ? 'down' : 'up'}`);
+        return true;
+    }
+
+    // Drag of the lowered gear against the direction of motion
+    applyDrag(state, deltaTime) {
+        if (!this.down) return;
+
+        const velocity = state.velocity;
+        const speed = Math.hypot(velocity.x, velocity.y, velocity.z);
+        if (speed < 0.01) return;
+
+        const slow = Math.min(speed, this.params.drag * speed * speed * deltaTime) / speed;
+        velocity.x -= velocity.x * slow;
+        velocity.y -= velocity.y * slow;
+        velocity.z -= velocity.z * slow;
+    }
+
+    /**
+     * Whether the wheels meeting the ground now is a safe landing
+     * @param {Object} state - Flight state at touchdown
+     * @param {boolean} onRunway - Touching down on the runway
+     * @returns {Object} { safe, reason, sinkRate, bank } with reason null when safe
+     */
+    checkTouchdown(state, onRunway) {
+        const sinkRate = Math.max(0, -state.velocity.y);
+        const bank = Math.abs(state.bankAngle);
+
+        let reason = null;
+        if (!this.down) reason = 'gear up';
+        else if (!onRunway) reason = 'off the runway';
+        else if (sinkRate > this.params.maxSinkRate) reason = 'sink rate';
+        else if (bank > this.params.maxTouchdownBank) reason = 'bank';
+
+        return { safe: reason === null, reason, sinkRate, bank };
+    }
+
+    /**
+     * Hold the aircraft on its wheels for one tick: on the surface, wings level, rolling along
+     * its heading with friction and brakes. Lifts off when the wing carries it above the rotation speed.
+     * @param {Object} controls - Flight controls, uses yaw (nosewheel) and brake
+     * @param {number} groundHeight - Terrain height under the aircraft
+     * @returns {boolean} Still on the ground
+     */
+    roll(state, controls, groundHeight, deltaTime) {
+        const { height, rollingFriction, brakeDeceleration, steeringRate, rotationSpeed, maxGroundPitch } = this.params;
+        const { velocity, angularVelocity } = state;
+
+        // Forward along the runway surface for the current heading
+        const forwardX = -Math.sin(state.heading);
+        const forwardZ = -Math.cos(state.heading);
+        let along = velocity.x * forwardX + velocity.z * forwardZ;
+
+        // The wing flies on airspeed - a headwind shortens the roll, a tailwind lengthens it
+        const headwind = state.wind ? -(state.wind.x * forwardX + state.wind.z * forwardZ) : 0;
+
+        // Enough speed and lift to climb away
+        if (along + headwind >= rotationSpeed && velocity.y > 0) {
+            this.onGround = false;
+            this.wheelsClear = true;
+            console.log(`🛫 Lift-off at ${((along + headwind) * 3.6).toFixed(0)} km/h airspeed`);
+            return false;
+        }
+
+        // Wheels roll along the heading and don't skid sideways; friction and brakes slow them
+        const deceleration = rollingFriction + (controls.brake ? brakeDeceleration : 0);
+        along = Math.sign(along) * Math.max(0, Math.abs(along) - deceleration * deltaTime);
+        velocity.x = forwardX * along;
+        velocity.y = 0;
+        velocity.z = forwardZ * along;
+        state.position.y = groundHeight + height;
+
+        // Nosewheel steering, fading in as the aircraft starts to roll (yaw input is negative for left)
+        state.heading -= (controls.yaw || 0) * steeringRate * Math.min(1, Math.abs(along) / 2) * deltaTime;
+
+        // Wings level on the wheels; the nose only lifts from the rotation speed
+        state.bankAngle = 0;
+        angularVelocity.z = 0;
+        if (along + headwind < rotationSpeed) {
+            state.pitch *= 0.9; // Nosewheel settles back onto the runway
+            angularVelocity.x = 0;
+        } else {
+            state.pitch = Math.max(0, Math.min(maxGroundPitch, state.pitch));
+        }
+        return true;
+    }
+
+    // Rolling slower than stopSpeed on the wheels
+    isStopped(state) {
+        return this.onGround && Math.hypot(state.velocity.x, state.velocity.z) < this.params.stopSpeed;
+    }
+}
@@ -6,30 +6,80 @@ import { AircraftControls } from './controls.js';
 import { DebugGrid } from './grid.js';
 import { CrashEffects } from './crash-effects.js';
 import { CameraSystem } from './camera-system.js';
+import { RaceTrack, loadTrackDefinition } from './racetrack.js';
+import { RaceTimer, formatTime, formatDelta } from './race-timer.js';
+import { TrackEditor } from './track-editor.js';
+import { GhostReplay, getGhostKey } from './ghost.js';
+import { FixedTimestepLoop, TransformInterpolator } from './fixed-timestep.js';
+import { RandomService } from './random.js';
+import { ControlsSettings } from './controls-settings.js';
+import { MouseAimControls } from './mouse-aim.js';
+import { TouchControls } from './touch-controls.js';
+import { DEFAULT_AIRCRAFT, DEFAULT_AIRCRAFT_DEFINITION, loadAircraftCatalog } from './config.js';
+import { DEFAULT_FLIGHT_PARAMS } from './physics.js';
+import { RefuelPickups } from './refuel-pickups.js';
+import { ENGINE_STATES } from './fuel-system.js';
+import { WindField, WIND_CONDITIONS } from './wind.js';
 
 // Game state
-let scene, camera, renderer, aircraftSystem, debugGrid, crashEffects, cameraSystem;
+let scene, camera, renderer, aircraftSystem, debugGrid, crashEffects, cameraSystem, raceTrack, raceTimer;
 let gameStarted = false;
+let trackEditor;
+let ghostReplay;
+let editorActive = false;
 let controls; // New controls system
+let controlsSettings;
+let mouseAim; // Alternative input provider, see settings "Flight control"
+let touchControls; // On-screen stick, throttle and buttons on phones and tablets
+let refuelPickups; // Fuel canisters placed along the course
 let speed = 0;
 let altitude = 500;
 let score = 0;
 let environment;
 let frameCount = 0;
+let simulationLoop;
+let randomService; // Seeded randomness for every gameplay system
+let windField; // Wind, gusts, ridge turbulence and thermals, picked per session
+let aircraftInterpolator, cameraInterpolator;
 
 // Jet display state
 let jetDisplayScene, jetDisplayCamera, jetDisplayRenderer, jetModel;
 let jetDisplayActive = false;
+const jetModels = new Map(); // Display models already loaded, by aircraft id
+
+// Plane-select carousel
+let aircraftCatalog = [DEFAULT_AIRCRAFT_DEFINITION];
+let selectedAircraft = 0; // Index into aircraftCatalog
+let aircraftChange = null; // Pending AircraftSystem.setDefinition(), awaited before take-off
+
+// Start-screen session options, see applySessionOptions()
+let sessionOptions = { standingTakeoff: false, landingFinish: false, wind: 'random' };
+let touchdownMessage = null; // { text, color, timer } shown for a few seconds after the wheels meet the ground
 
 // Game settings
 const SPEED_INCREMENT = 0.5;
 const MAX_SPEED = 200;
 const BOOST_MULTIPLIER = 2;
+const DEFAULT_TRACK = 'valley-loop'; // Override with ?track=<id> to fly tracks/<id>.json
+const FIXED_TIMESTEP = 1 / 60; // Simulation tick in seconds, independent of the display rate
+const AIRCRAFT_STORAGE_KEY = 'airMania.aircraft';
+const SESSION_STORAGE_KEY = 'airMania.session';
+const LOADING_SHARE_TERRAIN = 0.9; // Of the start screen loading bar, the aircraft and effects take the rest
+const LOADING_LABELS = {
+    textures: 'Loading terrain textures',
+    heights: 'Shaping the terrain',
+    mountains: 'Raising mountains',
+    done: 'Building the world',
+    aircraft: 'Preparing the aircraft'
+};
 
 // Initialize the game
 async function init() {
-    // Initialize jet display first
+    // Initialize jet display first, then fill the plane-select carousel
     initJetDisplay();
+    aircraftCatalog = await loadAircraftCatalog();
+    selectedAircraft = getSavedAircraftIndex();
+    showSelectedAircraft();
 
     // Create main game scene
     scene = new THREE.Scene();
@@ -48,21 +98,65 @@ async function init() {
     const gameContainer = document.getElementById('gameContainer');
     gameContainer.appendChild(renderer.domElement);
 
+    // Load the track definition first - it references the terrain config to build
+    const trackDefinition = await loadTrack();
+
+    // One seed per session: ?seed=<value>, else the track's seed, else its id
+    randomService = new RandomService(getSessionSeed(trackDefinition));
+
     // Create and initialize environment
-    environment = new Environment(scene);
+    environment = new Environment(scene, {
+        ...(trackDefinition ? trackDefinition.terrain : {}),
+        random: randomService.stream('terrain')
+    });
+    environment.onProgress = (stage, progress) => updateLoadingBar(stage, progress * LOADING_SHARE_TERRAIN);
     await environment.init();
+    
+    // Shared wind over the terrain - the conditions are set with the session options
+    windField = new WindField(environment, randomService.stream('wind'));
 
     // Create and initialize invisible debug grid system
     debugGrid = new DebugGrid(scene, 16000); // 4x world size
     debugGrid.createGrid();
 
-    // Create aircraft system
-    aircraftSystem = new AircraftSystem(scene, environment);
+    // Create race course over the terrain
+    raceTrack = new RaceTrack(scene, environment, trackDefinition || {});
+    raceTrack.createCourse();
+
+    // Fuel canisters between the gates
+    refuelPickups = new RefuelPickups(scene, environment);
+    refuelPickups.createPickups(raceTrack.getPickupPositions());
+
+    // Create aircraft system, spawning where the track says
+    aircraftSystem = new AircraftSystem(scene, environment, aircraftCatalog[selectedAircraft]);
+    aircraftSystem.setSpawn(raceTrack.getSpawn());
+    aircraftSystem.setRandom(randomService.stream('flight'));
+    aircraftSystem.setWindField(windField);
+    aircraftSystem.onTouchdown = showTouchdown;
+    updateLoadingBar('aircraft', LOADING_SHARE_TERRAIN);
     await aircraftSystem.init();
+    if (aircraftSystem.definition !== aircraftCatalog[selectedAircraft]) {
+        await aircraftSystem.setDefinition(aircraftCatalog[selectedAircraft]); // Changed while loading
+    }
+
+    // Ghost of the personal best run on this course
+    ghostReplay = new GhostReplay(scene);
+    ghostReplay.createGhostModel(aircraftSystem.aircraftModel);
+    ghostReplay.setCourse(getGhostKey(raceTrack, environment));
+
+    // Time-trial timer using the course start, finish and checkpoint planes
+    raceTimer = new RaceTimer();
+    raceTimer.setPlanes(raceTrack.getTimingPlanes(), raceTrack.trackId, getGhostKey(raceTrack, environment));
+    raceTimer.onStart = () => ghostReplay.startRecording(randomService.getSeed());
+    raceTimer.onFinish = (results) => {
+        ghostReplay.finishRecording(results.total);
+        showResults(results);
+    };
 
     // Initialize crash effects system
     console.log('Loading crash effects...');
-    crashEffects = new CrashEffects(scene);
+    crashEffects = new CrashEffects(scene, randomService.stream('effects'));
+    crashEffects.setWindField(windField);
     await crashEffects.init();
     
     // Make crash effects globally accessible for aircraft system
@@ -74,26 +168,144 @@ async function init() {
     
     // Make camera system globally accessible for aircraft system
     window.cameraSystem = cameraSystem;
+    // Fly on from the last safe position once the crash has been shown
+    cameraSystem.onCrashSequenceComplete = respawnAfterCrash;
     console.log('Camera system initialized');
 
+    // Simulation runs in fixed ticks, rendering interpolates between the last two
+    simulationLoop = new FixedTimestepLoop({ step: FIXED_TIMESTEP });
+    cameraInterpolator = new TransformInterpolator(camera);
+
+    // Track editor reuses the race track and the debug grid as reference
+    trackEditor = new TrackEditor(camera, renderer, environment, raceTrack, debugGrid);
+    trackEditor.onStatus = (message) => {
+        document.getElementById('editorStatus').textContent = message;
+    };
+
     // Initialize controls
     controls = new AircraftControls();
+    controlsSettings = new ControlsSettings(controls);
+    controlsSettings.refreshControlHints();
+
+    mouseAim = new MouseAimControls(controls, renderer.domElement);
+    touchControls = new TouchControls();
+    controls.setTouchControls(touchControls);
+
+    // Turn assist, control mode and flight model are per-player settings saved with the bindings
+    aircraftSystem.setTurnAssist(controls.inputMap.getTurnAssistStrength());
+    aircraftSystem.setRealism(controls.inputMap.realism);
+    controls.inputMap.onChange = () => {
+        aircraftSystem.setTurnAssist(controls.inputMap.getTurnAssistStrength());
+        aircraftSystem.setRealism(controls.inputMap.realism);
+        updateControlMode();
+    };
     console.log('Controls system initialized');
+    
+    // Standing takeoff, landing finish and wind, as last picked on the start screen
+    sessionOptions = loadSessionOptions();
+    applySessionOptions();
 
     // Setup event listeners
     setupEventListeners();
 
     // Setup UI
     setupUI();
+    finishLoading();
+
+    // Don't try to catch up on the time the tab spent hidden
+    document.addEventListener('visibilitychange', () => simulationLoop.resetClock());
 
     // Start render loop (but don't start game logic yet)
-    animate();
+    requestAnimationFrame(animate);
+}
+
+// Start screen loading bar, filled while init() runs - the terrain is generated in a worker so the page stays live
+function updateLoadingBar(stage, progress) {
+    const percent = Math.round(progress * 100);
+    document.getElementById('loadingBarFill').style.width = `${percent}%`;
+    document.getElementById('loadingStatus').textContent = `${LOADING_LABELS[stage] || 'Loading'}... ${percent}%`;
+}
+
+// Everything is in place, let the player take off
+function finishLoading() {
+    document.getElementById('worldLoading').classList.add('hidden');
+    document.getElementById('startButton').disabled = false;
+    console.log('✅ World loaded');
+}
+
+// The world could not be built - say so instead of leaving the start button disabled
+function showLoadingError(error) {
+    console.error('❌ World failed to load:', error);
+    document.getElementById('worldLoading').classList.add('failed');
+    document.getElementById('loadingStatus').textContent = `Could not build the world (${error.message}) - reload to try again`;
+}
+
+// Numeric ?seed= values are used as is, anything else is hashed like a track id
+function getSessionSeed(trackDefinition) {
+    const seedParam = new URLSearchParams(window.location.search).get('seed');
+    if (seedParam !== null && seedParam !== '') {
+        return /^\d+$/.test(seedParam) ? Number(seedParam) : seedParam;
+    }
+    if (trackDefinition && trackDefinition.seed !== undefined) {
+        return trackDefinition.seed;
+    }
+    return trackDefinition ? trackDefinition.id : 'default';
+}
+
+// Load the requested track file, falling back to the built-in course if it is missing or invalid
+async function loadTrack() {
+    const trackId = new URLSearchParams(window.location.search).get('track') || DEFAULT_TRACK;
+    
+    try {
+        const trackDefinition = await loadTrackDefinition(`tracks/${trackId}.json`);
+        console.log(`Track loaded: ${trackDefinition.name}`);
+        return trackDefinition;
+    } catch (error) {
+        console.error(error.message);
+        console.log('Using built-in course');
+        return null;
+    }
 }
 
 function setupEventListeners() {
     // Start button
     document.getElementById('startButton').addEventListener('click', startGame);
 
+    // Results screen
+    document.getElementById('flyAgainButton').addEventListener('click', resetFlight);
+
+    // Ghost toggle in the HUD
+    const ghostButton = document.getElementById('ghostToggle');
+    ghostButton.addEventListener('click', () => {
+        const enabled = ghostReplay.toggle();
+        ghostButton.textContent = `👻 Ghost: ${enabled ? 'ON' : 'OFF'}`;
+        ghostButton.blur(); // Keep Space/keys going to the flight controls
+    });
+
+    // Session options
+    ['optionStandingTakeoff', 'optionLandingFinish', 'optionWind'].forEach((id) => {
+        document.getElementById(id).addEventListener('change', () => {
+            sessionOptions = {
+                standingTakeoff: document.getElementById('optionStandingTakeoff').checked,
+                landingFinish: document.getElementById('optionLandingFinish').checked,
+                wind: document.getElementById('optionWind').value
+            };
+            saveSessionOptions();
+            applySessionOptions();
+        });
+    });
+    
+    // Plane-select carousel
+    document.getElementById('planePrev').addEventListener('click', () => selectAircraft(-1));
+    document.getElementById('planeNext').addEventListener('click', () => selectAircraft(1));
+
+    // Track editor
+    document.getElementById('editorButton').addEventListener('click', startEditor);
+
+    // Controls settings
+    document.getElementById('settingsButton').addEventListener('click', () => controlsSettings.open());
+    setupEditorPanel();
+
     // Window resize
     window.addEventListener('resize', onWindowResize);
 }
@@ -102,10 +314,38 @@ function setupUI() {
     // Initially hide the game UI
     const ui = document.getElementById('ui');
     ui.classList.remove('visible');
+    
+    // Show which gamepad is in use as pads come and go
+    controls.gamepad.onConnectionChange = updateGamepadStatus;
+    updateGamepadStatus(controls.gamepad.getGamepad());
 }
 
-function startGame() {
+// Mouse aim only steers while flying
+function updateControlMode() {
+    const useMouseAim = controls.inputMap.controlMode === 'mouseAim' && gameStarted;
+    if (useMouseAim !== mouseAim.enabled) {
+        mouseAim.setEnabled(useMouseAim);
+    }
+}
+
+function updateGamepadStatus(gamepad) {
+    const status = document.getElementById('gamepadStatus');
+    if (gamepad) {
+        status.textContent = `🎮 ${gamepad.id.split('(')[0].trim()} connected - bindings under ⚙️ Controls`;
+        status.classList.add('connected');
+    } else {
+        status.textContent = '🎮 Gamepad or flight stick: plug in and press any button';
+        status.classList.remove('connected');
+    }
+}
+
+async function startGame() {
     console.log('Starting game...');
+    
+    // Fly the plane picked in the carousel
+    if (aircraftChange) {
+        await aircraftChange;
+    }
     gameStarted = true;
     
     // Stop jet display animation
@@ -117,10 +357,204 @@ function startGame() {
     // Show game UI
     document.getElementById('ui').classList.add('visible');
     
+    // Start simulating from this frame, not from when the page loaded
+    simulationLoop.resetClock();
+    updateControlMode();
+    touchControls.setVisible(true);
+    
     console.log('Game started, animate loop will handle updates');
 }
 
-function gameLoop() {
+// Put the aircraft back at the spawn and cancel any race in progress
+function resetFlight() {
+    aircraftSystem.reset();
+    // Full terrain detail at the spawn before the first frame, instead of streaming it in
+    environment.update(aircraftSystem.flightState.position, Infinity);
+    // Reset camera system to follow mode
+    if (cameraSystem) {
+        cameraSystem.setFollowMode();
+    }
+    // Reset score when aircraft is reset
+    score = 0;
+    // Clear any active crash effects
+    if (crashEffects && crashEffects.isCrashActive()) {
+        crashEffects.stopCrashEffects();
+    }
+    // Restart the race from the first gate
+    if (raceTrack) {
+        raceTrack.reset();
+    }
+    if (refuelPickups) {
+        refuelPickups.reset();
+    }
+    // Abandon the timed run and close the results screen
+    if (raceTimer) {
+        raceTimer.cancel();
+    }
+    if (ghostReplay) {
+        ghostReplay.cancelRecording();
+    }
+    // Every run starts from the same random sequence and meets the same gusts
+    randomService.reset('flight', 'effects');
+    windField.reset();
+    hideResults();
+    // Don't interpolate the jump back to the spawn
+    if (aircraftInterpolator) {
+        aircraftInterpolator.reset();
+    }
+    mouseAim.syncToAircraft();
+    controls.resetThrottle();
+}
+
+/**
+ * Spawn, finish and wind for the picked session options, then start over from the spawn
+ * A standing takeoff starts at the runway threshold instead of the track spawn; a landing finish
+ * needs a landing after the finish gate. Each combination keeps its own best times and ghost.
+ */
+function applySessionOptions() {
+    document.getElementById('optionStandingTakeoff').checked = sessionOptions.standingTakeoff;
+    document.getElementById('optionLandingFinish').checked = sessionOptions.landingFinish;
+    document.getElementById('optionWind').value = sessionOptions.wind;
+    
+    windField.setConditions(sessionOptions.wind);
+    
+    aircraftSystem.setSpawn(sessionOptions.standingTakeoff
+        ? { ...environment.getRunway().getTakeoffPoint(), standing: true }
+        : raceTrack.getSpawn());
+    raceTimer.setStandingTakeoff(sessionOptions.standingTakeoff);
+    raceTimer.setLandingFinish(sessionOptions.landingFinish);
+    ghostReplay.setCourse(raceTimer.getRecordKey()); // Same course, takeoff and finish as the best times
+    resetFlight();
+}
+
+function loadSessionOptions() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || '{}');
+        return {
+            standingTakeoff: stored.standingTakeoff === true,
+            landingFinish: stored.landingFinish === true,
+            wind: WIND_CONDITIONS[stored.wind] ? stored.wind : 'random'
+        };
+    } catch (error) {
+        return { standingTakeoff: false, landingFinish: false, wind: 'random' }; // Storage unavailable or corrupt
+    }
+}
+
+function saveSessionOptions() {
+    try {
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(sessionOptions));
+    } catch (error) {
+        console.log('Could not save session options:', error.message);
+    }
+}
+
+// Landing verdict in the HUD for a few seconds
+const TOUCHDOWN_PROBLEMS = {
+    'gear up': 'Gear up!',
+    'off the runway': 'Off the runway',
+    'sink rate': 'Hard landing',
+    bank: 'Wing low'
+};
+
+function showTouchdown(touchdown) {
+    touchdownMessage = touchdown.safe
+        ? { text: `🛬 Touchdown - sinking ${touchdown.sinkRate.toFixed(1)} m/s`, color: '#88ff88', timer: 3 }
+        : { text: `💥 ${TOUCHDOWN_PROBLEMS[touchdown.reason]} - no landing`, color: '#ff8888', timer: 3 };
+}
+
+// Put a crashed aircraft back at its last safe state - the score and race carry on, less a penalty
+function respawnAfterCrash() {
+    if (!aircraftSystem || !aircraftSystem.crashed) return;
+    
+    aircraftSystem.respawn();
+    environment.update(aircraftSystem.flightState.position, Infinity);
+    
+    // The jump from the wreck is not flown - it must not pass gates or cross timing planes
+    if (raceTrack) {
+        raceTrack.resetSweep(aircraftSystem.aircraft.position);
+    }
+    if (raceTimer) {
+        raceTimer.resetSweep(aircraftSystem.aircraft.position);
+    }
+    
+    const { scorePenalty, timePenalty } = aircraftSystem.safeStates.params;
+    score = Math.max(0, score - scorePenalty);
+    if (raceTimer) {
+        raceTimer.addPenalty(timePenalty);
+    }
+    
+    // Don't interpolate the jump from the wreck
+    if (aircraftInterpolator) {
+        aircraftInterpolator.reset();
+    }
+    mouseAim.syncToAircraft();
+    console.log(`🛡️ Respawn penalty: -${scorePenalty} points, +${timePenalty} s`);
+}
+
+function startEditor() {
+    console.log('Opening track editor...');
+    editorActive = true;
+    
+    stopJetDisplay();
+    document.getElementById('startScreen').classList.add('hidden');
+    document.getElementById('editorPanel').classList.remove('hidden');
+    
+    trackEditor.enter();
+}
+
+// Leave the editor and fly the edited course from the start screen
+function stopEditor() {
+    trackEditor.exit();
+    editorActive = false;
+    
+    // Timing planes and spawn follow the edited course
+    raceTimer.setPlanes(raceTrack.getTimingPlanes(), raceTrack.trackId, getGhostKey(raceTrack, environment));
+    refuelPickups.createPickups(raceTrack.getPickupPositions());
+    applySessionOptions();
+    
+    document.getElementById('editorPanel').classList.add('hidden');
+    document.getElementById('startScreen').classList.remove('hidden');
+    
+    jetDisplayActive = true;
+    animateJetDisplay();
+}
+
+function setupEditorPanel() {
+    const modeButtons = document.querySelectorAll('[data-editor-mode]');
+    modeButtons.forEach((button) => {
+        button.addEventListener('click', () => {
+            modeButtons.forEach(other => other.classList.toggle('active', other === button));
+            trackEditor.setMode(button.dataset.editorMode);
+        });
+    });
+    
+    const snapButton = document.getElementById('editorSnap');
+    snapButton.addEventListener('click', () => {
+        const snapping = trackEditor.toggleSnap();
+        snapButton.textContent = `Snap: ${snapping ? 'ON' : 'OFF'}`;
+        snapButton.classList.toggle('active', snapping);
+    });
+    
+    document.getElementById('editorSnapSelected').addEventListener('click', () => trackEditor.snapSelected());
+    document.getElementById('editorDelete').addEventListener('click', () => trackEditor.deleteSelected());
+    document.getElementById('editorEarlier').addEventListener('click', () => trackEditor.moveSelected(-1));
+    document.getElementById('editorLater').addEventListener('click', () => trackEditor.moveSelected(1));
+    document.getElementById('editorExport').addEventListener('click', () => trackEditor.exportJSON());
+    document.getElementById('editorExit').addEventListener('click', stopEditor);
+    
+    const importInput = document.getElementById('editorImportFile');
+    document.getElementById('editorImport').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        if (file) {
+            trackEditor.importJSON(await file.text());
+        }
+        importInput.value = '';
+    });
+}
+
+// One fixed simulation tick
+function gameLoop(deltaTime) {
     frameCount++;
     
     if (!gameStarted || !aircraftSystem || !controls) {
@@ -130,28 +564,36 @@ function gameLoop() {
         return;
     }
 
-    // Log every 60 frames (once per second at 60fps)
+    // Log every 60 ticks (once per second of simulated time)
     if (frameCount % 60 === 0) {
-        console.log('Game loop running, frame:', frameCount);
+        console.log('Game loop running, tick:', frameCount);
     }
 
-    // Get input from controls system
-    const input = controls.getInputState();
+    // The aircraft model loads asynchronously, interpolate it once it exists
+    if (!aircraftInterpolator && aircraftSystem.aircraft) {
+        aircraftInterpolator = new TransformInterpolator(aircraftSystem.aircraft);
+    }
+    
+    // Remember the poses before this tick for render interpolation
+    if (aircraftInterpolator) {
+        aircraftInterpolator.snapshot();
+    }
+    cameraInterpolator.snapshot();
+
+    // Get input from the selected provider - mouse aim reads the bindings for everything but steering
+    const input = mouseAim.enabled
+        ? mouseAim.getInputState(aircraftSystem.flightState, aircraftSystem.flightParams, deltaTime)
+        : controls.getInputState(deltaTime);
     
     // Handle reset input
     if (input.reset && aircraftSystem) {
         console.log('Reset requested by user');
-        aircraftSystem.reset();
-        // Reset camera system to follow mode
-        if (cameraSystem) {
-            cameraSystem.setFollowMode();
-        }
-        // Reset score when aircraft is reset
-        score = 0;
-        // Clear any active crash effects
-        if (crashEffects && crashEffects.isCrashActive()) {
-            crashEffects.stopCrashEffects();
-        }
+        resetFlight();
+    }
+    
+    // Cycle follow camera views
+    if (input.cameraCycle && cameraSystem) {
+        cameraSystem.cycleView();
     }
     
     // Debug: Log input if any keys are pressed
@@ -160,12 +602,50 @@ function gameLoop() {
         console.log('Pressed keys:', controls.getPressedKeys());
     }
     
+    // Gusts and thermals move on, then the aircraft flies through the air as it is this tick
+    windField.update(deltaTime);
+    
     // Update aircraft system
-    const deltaTime = 1/60; // Assuming 60 FPS
     aircraftSystem.update(deltaTime, input);
+    updateScore(deltaTime);
+    
+    // Fly through fuel canisters to refuel
+    if (refuelPickups && aircraftSystem.aircraft && !aircraftSystem.crashed) {
+        const fuel = refuelPickups.update(deltaTime, aircraftSystem.aircraft.position);
+        if (fuel > 0) {
+            aircraftSystem.refuel(fuel);
+        }
+    }
+    
+    // Check gate progress along the race course
+    if (raceTrack && !aircraftSystem.crashed) {
+        raceTrack.update(aircraftSystem.aircraft);
+    }
+    
+    // Advance the race clock and check start/split/finish planes
+    if (raceTimer && aircraftSystem.aircraft) {
+        raceTimer.update(deltaTime, aircraftSystem.aircraft.position);
+    }
+    
+    // Landing finish - the clock stops once the aircraft has rolled to a stop on the runway
+    if (raceTimer && raceTimer.awaitingLanding && aircraftSystem.landingGear.isStopped(aircraftSystem.flightState)) {
+        raceTimer.land();
+    }
+    
+    if (touchdownMessage) {
+        touchdownMessage.timer -= deltaTime;
+        if (touchdownMessage.timer <= 0) touchdownMessage = null;
+    }
+    
+    // Record this run for the best-run ghost
+    if (ghostReplay && raceTimer && raceTimer.state === 'running') {
+        ghostReplay.record(raceTimer.getElapsed(), aircraftSystem.aircraft);
+    }
     
-    // Update crash effects
+    // Update crash effects, with smoke trailing a damaged aircraft
     if (crashEffects) {
+        const smokeSource = aircraftSystem.crashed ? null : aircraftSystem.aircraft.position;
+        crashEffects.setDamageSmoke(smokeSource, aircraftSystem.damage.getTotalDamage());
         crashEffects.update(deltaTime);
     }
     
@@ -173,6 +653,29 @@ function gameLoop() {
     if (cameraSystem && aircraftSystem.aircraft) {
         cameraSystem.update(deltaTime, aircraftSystem.aircraft);
     }
+}
+
+// Show the world between the last two ticks - alpha is how far the clock is past the last one
+function renderFrame(alpha) {
+    if (aircraftInterpolator) {
+        aircraftInterpolator.apply(alpha);
+    }
+    cameraInterpolator.apply(alpha);
+    mouseAim.updateReticle(camera, aircraftSystem.aircraft);
+    
+    // The rendered aircraft is one tick behind the race clock, keep the ghost level with it
+    if (ghostReplay && raceTimer) {
+        switch (raceTimer.state) {
+            case 'running':
+                ghostReplay.update(Math.max(raceTimer.getElapsed() - (1 - alpha) * FIXED_TIMESTEP, 0));
+                break;
+            case 'ready':
+                ghostReplay.update(null); // Wait at the start of the recorded run
+                break;
+            default:
+                ghostReplay.hide();
+        }
+    }
     
     // Update UI with aircraft metrics
     updateUI();
@@ -234,7 +737,7 @@ console.log('Camera debug available: cameraDebug.setBehind(), cameraDebug.setFro
 window.controlsDebug = {
     testInput: () => {
         if (controls) {
-            const input = controls.getInputState();
+            const input = controls.peekInputState();
             console.log('Current control input:', input);
             console.log('Pressed keys:', controls.getPressedKeys());
             console.log('Has input:', controls.hasInput());
@@ -284,13 +787,13 @@ window.quickTest = function() {
     
     if (controls) {
         console.log('Testing controls...');
-        const input = controls.getInputState();
+        const input = controls.peekInputState();
         console.log('Current input:', input);
         
         // FIXED: Use proper encapsulation methods
         controls.simulateKeyPress('KeyW');
-        const inputWithW = controls.getInputState();
-        console.log('Input with W pressed:', inputWithW);
+        const actionsWithW = controls.readActions();
+        console.log('Actions with W pressed:', actionsWithW);
         controls.simulateKeyRelease('KeyW');
     }
     
@@ -410,6 +913,175 @@ console.log('  crashDebug.testBigCrash() - Test severe crash');
 console.log('  crashDebug.forceCrash() - Force aircraft to crash');
 console.log('  crashDebug.checkSmokeTexture() - Check if smoke texture is loaded');
 
+// Gamepad Debug Functions
+window.gamepadDebug = {
+    status: () => {
+        const gamepad = controls ? controls.gamepad.getGamepad() : null;
+        if (!gamepad) {
+            console.log('🎮 No gamepad connected - press a button on the pad');
+            return null;
+        }
+        console.log(`🎮 ${gamepad.id} (${gamepad.mapping || 'non-standard'} mapping)`);
+        console.log('Axes:', gamepad.axes.map(value => value.toFixed(2)).join(', '));
+        console.log('Flight input:', controls.peekInputState());
+        return gamepad;
+    },
+    setDeadzone: (stick, trigger) => {
+        controls.gamepad.setDeadzone(stick, trigger);
+        console.log('🎮 Deadzones:', controls.gamepad.config.stickDeadzone, controls.gamepad.config.triggerDeadzone);
+    },
+    setCurve: (axis, amount) => {
+        controls.gamepad.setCurve(axis, amount);
+        console.log('🎮 Response curves:', controls.gamepad.config.curves);
+    }
+};
+
+console.log('🎮 Gamepad debug functions available: gamepadDebug.status(), gamepadDebug.setDeadzone(stick, trigger), gamepadDebug.setCurve(axis, 0-1)');
+
+// Mouse Aim Debug Functions
+window.mouseAimDebug = {
+    status: () => mouseAim ? mouseAim.getStatus() : null,
+    enable: () => controls.inputMap.setControlMode('mouseAim'),
+    disable: () => controls.inputMap.setControlMode('standard'),
+    setSensitivity: (radiansPerPixel) => {
+        mouseAim.config.mouseSensitivity = radiansPerPixel;
+        console.log('🖱️ Mouse aim sensitivity:', radiansPerPixel);
+    }
+};
+
+console.log('🖱️ Mouse aim debug functions available: mouseAimDebug.status(), mouseAimDebug.enable(), mouseAimDebug.disable(), mouseAimDebug.setSensitivity(radiansPerPixel)');
+
+// Touch Debug Functions
+window.touchDebug = {
+    status: () => touchControls ? touchControls.getStatus() : null,
+    show: () => touchControls.setVisible(true),
+    calibrateTilt: () => touchControls.calibrateTilt()
+};
+
+console.log('📱 Touch debug functions available: touchDebug.status(), touchDebug.show(), touchDebug.calibrateTilt()');
+
+// Aircraft Debug Functions
+window.aircraftDebug = {
+    list: () => aircraftCatalog.map(definition => definition.id),
+    current: () => aircraftSystem ? aircraftSystem.definition : aircraftCatalog[selectedAircraft],
+    select: (id) => {
+        const index = aircraftCatalog.findIndex(definition => definition.id === id);
+        if (index === -1) {
+            console.log(`✈️ Unknown aircraft "${id}" - try aircraftDebug.list()`);
+            return;
+        }
+        selectAircraft(index - selectedAircraft);
+    }
+};
+
+console.log('✈️ Aircraft debug functions available: aircraftDebug.list(), aircraftDebug.current(), aircraftDebug.select(id)');
+
+// Fuel Debug Functions
+window.fuelDebug = {
+    status: () => {
+        if (!aircraftSystem) return null;
+        const fuelSystem = aircraftSystem.fuelSystem;
+        return {
+            fuel: Math.round(fuelSystem.fuel * 10) / 10,
+            heat: Math.round(fuelSystem.heat * 100),
+            engineState: fuelSystem.getEngineState(aircraftSystem.engineLevel),
+            pickups: refuelPickups ? refuelPickups.getStatus() : null
+        };
+    },
+    setFuel: (amount) => {
+        aircraftSystem.fuelSystem.fuel = Math.max(0, Math.min(aircraftSystem.fuelSystem.params.capacity, amount));
+        console.log(`⛽ Fuel set to ${aircraftSystem.fuelSystem.fuel}`);
+    },
+    refill: () => aircraftSystem.refuel(aircraftSystem.fuelSystem.params.capacity),
+    overheat: () => {
+        aircraftSystem.fuelSystem.heat = 1;
+        aircraftSystem.fuelSystem.overheated = true;
+    }
+};
+
+console.log('⛽ Fuel debug functions available: fuelDebug.status(), fuelDebug.setFuel(amount), fuelDebug.refill(), fuelDebug.overheat()');
+
+// Damage Debug Functions
+window.damageDebug = {
+    status: () => aircraftSystem ? aircraftSystem.damage.getStatus() : null,
+    // Take health off a part (0-1) to feel the handling, e.g. damageDebug.damage('leftWing', 0.5)
+    damage: (part, amount) => {
+        const damage = aircraftSystem.damage;
+        if (!(part in damage.health)) {
+            console.log(`💥 Unknown part "${part}" - one of ${Object.keys(damage.health).join(', ')}`);
+            return;
+        }
+        damage.health[part] = Math.max(0, damage.health[part] - amount);
+        return damage.getStatus();
+    },
+    repair: () => aircraftSystem.damage.reset()
+};
+
+console.log('💥 Damage debug functions available: damageDebug.status(), damageDebug.damage(part, amount), damageDebug.repair()');
+
+// Respawn Debug Functions
+window.respawnDebug = {
+    // Recorded safe states, newest last
+    states: () => {
+        const history = aircraftSystem.safeStates;
+        return Array.from({ length: history.count }, (_, i) => {
+            const state = history.states[(history.next - history.count + i + history.states.length) % history.states.length];
+            return { x: Math.round(state.position.x), y: Math.round(state.position.y), z: Math.round(state.position.z), speed: Math.round(state.speed * 3.6) };
+        });
+    },
+    respawn: () => {
+        aircraftSystem.crashed = true; // Respawn as if the crash camera had just finished
+        respawnAfterCrash();
+    },
+    // e.g. respawnDebug.setPenalty(250, 10) for 250 points and 10 seconds
+    setPenalty: (score, seconds) => {
+        Object.assign(aircraftSystem.safeStates.params, { scorePenalty: score, timePenalty: seconds });
+    }
+};
+
+console.log('🛡️ Respawn debug functions available: respawnDebug.states(), respawnDebug.respawn(), respawnDebug.setPenalty(score, seconds)');
+
+// Wind Debug Functions
+window.windDebug = {
+    status: () => windField.getStatus(),
+    // One of the WIND_CONDITIONS keys or 'random', for this session only
+    set: (conditions) => {
+        windField.setConditions(conditions);
+        return windField.getStatus();
+    },
+    // Wind at the aircraft, or at (x, y, z), in km/h
+    sample: (x, y, z) => {
+        const position = x === undefined ? aircraftSystem.flightState.position : { x, y, z };
+        const wind = windField.sample(position);
+        return { x: Math.round(wind.x * 3.6), y: Math.round(wind.y * 3.6), z: Math.round(wind.z * 3.6) };
+    },
+    thermals: () => windField.thermals.map(thermal => ({
+        x: Math.round(thermal.x),
+        z: Math.round(thermal.z),
+        radius: Math.round(thermal.radius),
+        strength: Math.round(thermal.strength * 3.6)
+    }))
+};
+
+console.log('🌬️ Wind debug functions available: windDebug.status(), windDebug.set(conditions), windDebug.sample(x, y, z), windDebug.thermals()');
+
+// Seed Debug Functions
+window.seedDebug = {
+    getSeed: () => {
+        const seed = randomService ? randomService.getSeed() : null;
+        console.log(`🎲 Session seed: ${seed}`);
+        return seed;
+    },
+    // Terrain is built once, so a new seed needs a reload
+    reloadWithSeed: (seed) => {
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', seed);
+        window.location.href = url.toString();
+    }
+};
+
+console.log('🎲 Seed debug functions available: seedDebug.getSeed(), seedDebug.reloadWithSeed(seed)');
+
 function updateUI() {
     if (!aircraftSystem) return;
     
@@ -422,7 +1094,7 @@ function updateUI() {
         
         switch(cameraInfo.mode) {
             case 'follow':
-                cameraElement.textContent = '📹 Follow Cam';
+                cameraElement.textContent = `📹 ${cameraInfo.view} Cam`;
                 cameraElement.style.color = '#88ff88';
                 break;
             case 'crash':
@@ -436,11 +1108,55 @@ function updateUI() {
         }
     }
     
-    document.getElementById('speed').textContent = `Speed: ${metrics.speed} km/h`;
+    document.getElementById('speed').textContent = `Speed: ${metrics.speed} km/h  GS: ${metrics.groundSpeed}`;
     document.getElementById('altitude').textContent = `Altitude: ${metrics.altitude} m`;
+    updateWindDisplay(metrics);
     document.getElementById('score').textContent = `Score: ${Math.round(score)}`;
     document.getElementById('bankAngle').textContent = `Bank: ${metrics.bankAngle}°`;
     document.getElementById('gForce').textContent = `G-Force: ${metrics.gForce}`;
+    document.getElementById('angleOfAttack').textContent = `AoA: ${metrics.angleOfAttack}°  Slip: ${metrics.sideslip}°`;
+    updateThrottleGauge(metrics);
+    updateFuelGauges(metrics);
+    updateDamageDisplay(metrics);
+    updateGearDisplay(metrics);
+    
+    // Update race progress
+    if (raceTrack) {
+        const race = raceTrack.getStatus();
+        const raceElement = document.getElementById('raceStatus');
+        
+        switch(race.state) {
+            case 'idle':
+                raceElement.textContent = '🏁 Fly through the start gate';
+                break;
+            case 'racing':
+                raceElement.textContent = race.laps > 1
+                    ? `Lap: ${race.lap}/${race.laps}  Gate: ${race.nextGate}/${race.totalGates}  Missed: ${race.missed}`
+                    : `Gate: ${race.nextGate}/${race.totalGates}  Missed: ${race.missed}`;
+                break;
+            case 'finished':
+                raceElement.textContent = raceTimer && raceTimer.awaitingLanding
+                    ? '🛬 Land on the runway and stop to finish'
+                    : `🏆 Finished! Missed: ${race.missed}`;
+                break;
+        }
+    }
+    
+    // Update race timer and split delta
+    if (raceTimer) {
+        document.getElementById('raceTimer').textContent = `⏱️ ${formatTime(raceTimer.getElapsed())}`;
+        
+        const splitElement = document.getElementById('splitDelta');
+        const lastSplit = raceTimer.getLastSplit();
+        
+        if (raceTimer.state === 'running' && lastSplit && lastSplit.delta !== null) {
+            splitElement.textContent = `Split ${raceTimer.splits.length}: ${formatDelta(lastSplit.delta)}`;
+            splitElement.style.color = lastSplit.delta <= 0 ? '#88ff88' : '#ff8888';
+            splitElement.style.display = 'block';
+        } else {
+            splitElement.style.display = 'none';
+        }
+    }
     
     // Show stall warning
     const stallWarning = document.getElementById('stallWarning');
@@ -449,7 +1165,10 @@ function updateUI() {
     if (metrics.crashed) {
         // Hide stall warning when crashed
         stallWarning.style.display = 'none';
-        // Show crash warning
+        // Show crash warning, and say why the aircraft stopped the first time it is shown
+        if (crashWarning.style.display !== 'block') {
+            console.log('Aircraft crashed - all movement halted. Respawning after the crash camera, or press R to reset.');
+        }
         crashWarning.style.display = 'block';
         
         // Display crash status in the UI
@@ -457,39 +1176,170 @@ function updateUI() {
         document.getElementById('altitude').textContent = `Status: AIRCRAFT DOWN`;
         document.getElementById('bankAngle').textContent = `Bank: --`;
         document.getElementById('gForce').textContent = `G-Force: --`;
-        
-        // Stop score accumulation when crashed
-        console.log('Aircraft crashed - all movement halted. Press R to reset.');
     } else {
         // Hide crash warning when not crashed
         crashWarning.style.display = 'none';
         
+        // Just respawned - terrain can't hurt the aircraft yet
+        const respawnStatus = document.getElementById('respawnStatus');
+        respawnStatus.style.display = metrics.invulnerable > 0 ? 'block' : 'none';
+        respawnStatus.textContent = `🛡️ Respawned - invulnerable ${metrics.invulnerable} s`;
+        
         // Show stall warning only when not crashed
         if (metrics.stallWarning) {
             stallWarning.style.display = 'block';
         } else {
             stallWarning.style.display = 'none';
         }
+    }
+}
+
+// Score speed and banking performance per simulated second, so it doesn't depend on the frame rate
+function updateScore(deltaTime) {
+    if (aircraftSystem.crashed) return;
+    
+    const metrics = aircraftSystem.getMetrics();
+    if (metrics.speed > 0) {
+        score += metrics.speed * 0.06 * deltaTime;
         
-        // Update score based on speed and banking performance (only when not crashed)
-        if (metrics.speed > 0) {
-            score += metrics.speed * 0.001;
-            
-            // Bonus points for coordinated turns (banking without excessive G-force)
-            if (Math.abs(metrics.bankAngle) > 15 && metrics.gForce < 2.5) {
-                score += Math.abs(metrics.bankAngle) * 0.01; // Banking bonus
-            }
+        // Bonus points for coordinated turns (banking without excessive G-force)
+        if (Math.abs(metrics.bankAngle) > 15 && metrics.gForce < 2.5) {
+            score += Math.abs(metrics.bankAngle) * 0.6 * deltaTime; // Banking bonus
         }
     }
 }
 
-function animate() {
+// Bar shows spooled engine thrust, the marker shows where the lever is set
+function updateThrottleGauge(metrics) {
+    const leverLevel = metrics.afterburner ? 150 : metrics.throttle;
+    const engine = document.getElementById('throttleEngine');
+    engine.style.width = `${metrics.engine / 150 * 100}%`;
+    engine.classList.toggle('afterburner', metrics.engine > 100);
+    document.getElementById('throttleLeverMark').style.left = `calc(${leverLevel / 150 * 100}% - 3px)`;
+    
+    let label = `${metrics.throttle}%`;
+    if (metrics.afterburner) label = 'AB';
+    else if (metrics.throttle === 100) label = 'MIL';
+    else if (metrics.throttle === 0) label = 'IDLE';
+    document.getElementById('throttleValue').textContent = label;
+}
+
+// Fuel and afterburner heat bars, with the engine state when it is not simply running
+function updateFuelGauges(metrics) {
+    const fuel = document.getElementById('fuelLevel');
+    fuel.style.width = `${metrics.fuel}%`;
+    fuel.classList.toggle('low', metrics.fuel <= 20);
+    document.getElementById('fuelValue').textContent = `${metrics.fuel}%`;
+    
+    const heat = document.getElementById('heatLevel');
+    heat.style.width = `${metrics.heat}%`;
+    heat.classList.toggle('overheated', metrics.overheated);
+    document.getElementById('heatValue').textContent = metrics.overheated ? 'HOT' : `${metrics.heat}%`;
+    
+    const engineElement = document.getElementById('engineState');
+    const warning = metrics.engineState === 'flameout' || metrics.engineState === 'overheated';
+    engineElement.style.display = warning && !metrics.crashed ? 'block' : 'none';
+    engineElement.textContent = metrics.engineState === 'flameout'
+        ? `⛽ ${ENGINE_STATES.flameout} - glide to a fuel pickup`
+        : `🔥 ${ENGINE_STATES.overheated} - afterburner cooling`;
+}
+
+// Health per part, coloured from green (intact) to red
+function updateDamageDisplay(metrics) {
+    document.querySelectorAll('#damageStatus [data-part]').forEach((element) => {
+        const health = metrics.damage[element.dataset.part];
+        element.querySelector('.damage-value').textContent = `${health}%`;
+        element.classList.toggle('damaged', health < 67 && health >= 34);
+        element.classList.toggle('critical', health < 34);
+    });
+}
+
+// Arrows for where the air moves relative to the nose, counter-clockwise from straight ahead (a tailwind)
+const WIND_ARROWS = ['↑', '↖', '←', '↙', '↓', '↘', '→', '↗'];
+
+// Wind speed at the aircraft and an arrow showing which way it blows relative to the nose
+function updateWindDisplay(metrics) {
+    const wind = document.getElementById('windStatus');
+    if (metrics.windSpeed < 1) {
+        wind.textContent = '🌬️ Wind: calm';
+        return;
+    }
+    const arrow = WIND_ARROWS[(Math.round(metrics.windAngle / 45) + 8) % 8];
+    wind.textContent = `🌬️ Wind: ${metrics.windSpeed} km/h ${arrow}`;
+}
+
+// Gear, brakes and vertical speed, and the verdict of the last touchdown
+function updateGearDisplay(metrics) {
+    const gear = document.getElementById('gearStatus');
+    let text = `🛞 Gear: ${metrics.gearDown ? 'DOWN' : 'UP'}`;
+    if (metrics.onGround) {
+        text += metrics.brake ? '  BRAKES' : '  ROLLING';
+    } else {
+        text += `  VS: ${metrics.verticalSpeed.toFixed(1)} m/s`;
+    }
+    gear.textContent = text;
+    gear.style.color = metrics.gearDown ? '#88ff88' : '#cccccc';
+    
+    const message = document.getElementById('touchdownMessage');
+    message.style.display = touchdownMessage ? 'block' : 'none';
+    if (touchdownMessage) {
+        message.textContent = touchdownMessage.text;
+        message.style.color = touchdownMessage.color;
+    }
+}
+
+// Show the results screen after crossing the finish plane
+function showResults(results) {
+    // Free the cursor for the results buttons
+    mouseAim.release();
+    document.getElementById('resultsTime').textContent = formatTime(results.total);
+    
+    const medal = raceTrack ? raceTrack.getMedal(results.total) : null;
+    const medalIcons = { gold: '🥇 Gold', silver: '🥈 Silver', bronze: '🥉 Bronze' };
+    document.getElementById('resultsMedal').textContent = medal ? medalIcons[medal] : '';
+    
+    const bestElement = document.getElementById('resultsBest');
+    if (results.isNewBest) {
+        bestElement.textContent = results.previousBest !== null
+            ? `🏆 New best! (${formatDelta(results.delta)})`
+            : '🏆 First recorded time!';
+        bestElement.style.color = '#88ff88';
+    } else {
+        bestElement.textContent = `Best: ${formatTime(results.previousBest)} (${formatDelta(results.delta)})`;
+        bestElement.style.color = '#ff8888';
+    }
+    
+    const splitsElement = document.getElementById('resultsSplits');
+    splitsElement.innerHTML = '';
+    results.splits.forEach((split, index) => {
+        const row = document.createElement('div');
+        row.className = 'control-item';
+        const delta = split.delta !== null ? ` (${formatDelta(split.delta)})` : '';
+        row.textContent = split.time !== null
+            ? `Split ${index + 1}: ${formatTime(split.time)}${delta}`
+            : `Split ${index + 1}: --`;
+        splitsElement.appendChild(row);
+    });
+    
+    document.getElementById('resultsScreen').classList.remove('hidden');
+}
+
+function hideResults() {
+    document.getElementById('resultsScreen').classList.add('hidden');
+}
+
+function animate(timestamp) {
     requestAnimationFrame(animate);
     
-    if (gameStarted) {
-        gameLoop();
+    if (editorActive) {
+        trackEditor.update();
+    } else if (gameStarted) {
+        const alpha = simulationLoop.advance(timestamp, gameLoop);
+        renderFrame(alpha);
     }
     
+    // Terrain detail follows the camera
+    environment.update(camera.position);
     renderer.render(scene, camera);
 }
 
@@ -554,28 +1404,50 @@ function initJetDisplay() {
     rimLight.position.set(0, 2, -8);
     jetDisplayScene.add(rimLight);
     
-    // Load GLB model
-    loadJetModel(loadingElement);
-    
+    // The selected plane's model is loaded by showSelectedAircraft()
     jetDisplayActive = true;
     animateJetDisplay();
 }
 
-function loadJetModel(loadingElement) {
+// Spin another plane in the jet display, loading its model the first time it is shown
+function showJetModel(definition) {
+    const loadingElement = document.getElementById('jetLoading');
+    
+    if (jetModel) {
+        jetDisplayScene.remove(jetModel);
+        jetModel = null;
+    }
+    
+    if (jetModels.has(definition.id)) {
+        jetModel = jetModels.get(definition.id);
+        jetDisplayScene.add(jetModel);
+        loadingElement.style.display = 'none';
+        return;
+    }
+    
+    loadingElement.style.display = 'block';
+    loadJetModel(definition, loadingElement);
+}
+
+function loadJetModel(definition, loadingElement) {
     const loader = new GLTFLoader();
     
     // Try to load the GLB file
     loader.load(
-        './visuals/airManiaJet.glb', // Using the actual GLB file
+        definition.model.path,
         function(gltf) {
-            jetModel = gltf.scene;
+            const model = gltf.scene;
+            
+            // Orientation fix from the definition; the display spins the outer group
+            const rotation = definition.model.rotation;
+            model.rotation.set(rotation.x, rotation.y, rotation.z);
             
-            // Much smaller scale to see the entire plane clearly
-            jetModel.scale.set(0.8, 0.8, 0.8); // Much smaller - from 2 to 0.8
-            jetModel.position.set(0, 0, 0); // Centered
+            const displayGroup = new THREE.Group();
+            displayGroup.add(model);
+            displayGroup.scale.setScalar(definition.model.displayScale);
             
             // Enable shadows and preserve original colors
-            jetModel.traverse(function(child) {
+            model.traverse(function(child) {
                 if (child.isMesh) {
                     child.castShadow = true;
                     child.receiveShadow = true;
@@ -589,12 +1461,8 @@ function loadJetModel(loadingElement) {
                 }
             });
             
-            jetDisplayScene.add(jetModel);
-            
-            // Immediately hide loading indicator and prevent it from showing again
-            loadingElement.style.display = 'none';
-            
-            console.log('Modern jet loaded successfully!');
+            addJetModel(definition, displayGroup, loadingElement);
+            console.log(`${definition.name} loaded successfully!`);
         },
         function(progress) {
             const percentage = Math.round((progress.loaded / progress.total * 100));
@@ -603,18 +1471,28 @@ function loadJetModel(loadingElement) {
             // Update loading text with progress
             const loadingText = loadingElement.querySelector('div:last-child');
             if (loadingText) {
-                loadingText.textContent = `Loading Modern Jet... ${percentage}%`;
+                loadingText.textContent = `Loading ${definition.name}... ${percentage}%`;
             }
         },
         function(error) {
             console.log('Error loading jet model:', error);
             // Fallback: create a simple jet representation
-            createFallbackJet(loadingElement);
+            createFallbackJet(definition, loadingElement);
         }
     );
 }
 
-function createFallbackJet(loadingElement) {
+// Cache a loaded display model and show it if that plane is still selected
+function addJetModel(definition, model, loadingElement) {
+    jetModels.set(definition.id, model);
+    if (aircraftCatalog[selectedAircraft].id !== definition.id) return;
+    
+    jetModel = model;
+    jetDisplayScene.add(jetModel);
+    loadingElement.style.display = 'none';
+}
+
+function createFallbackJet(definition, loadingElement) {
     console.log('Creating fallback jet model...');
     
     const jetGroup = new THREE.Group();
@@ -659,13 +1537,75 @@ function createFallbackJet(loadingElement) {
     jetGroup.add(cockpit);
     
     // Scale the entire group to match the GLB scale
-    jetGroup.scale.set(0.8, 0.8, 0.8);
+    jetGroup.scale.setScalar(definition.model.displayScale);
     
-    jetModel = jetGroup;
-    jetDisplayScene.add(jetModel);
+    addJetModel(definition, jetGroup, loadingElement);
+}
+
+/**
+ * Step through the plane-select carousel and fly the new plane
+ * @param {number} offset - -1 for the previous plane, 1 for the next
+ */
+function selectAircraft(offset) {
+    const count = aircraftCatalog.length;
+    selectedAircraft = (selectedAircraft + offset + count) % count;
+    const definition = aircraftCatalog[selectedAircraft];
+    showSelectedAircraft();
     
-    // Hide loading indicator
-    loadingElement.style.display = 'none';
+    try {
+        localStorage.setItem(AIRCRAFT_STORAGE_KEY, definition.id);
+    } catch (error) {
+        console.log('Could not save aircraft choice:', error.message);
+    }
+    
+    // Before init has built the aircraft, init picks up the selection itself
+    if (!aircraftSystem || !aircraftSystem.aircraft) return;
+    
+    // Queue behind any change still loading so quick clicks apply in order
+    aircraftChange = (aircraftChange || Promise.resolve())
+        .then(() => aircraftSystem.setDefinition(definition))
+        .then(() => ghostReplay.createGhostModel(aircraftSystem.aircraftModel))
+        .catch(error => console.error(`Could not switch to ${definition.name}:`, error));
+}
+
+function getSavedAircraftIndex() {
+    let saved = DEFAULT_AIRCRAFT;
+    try {
+        saved = localStorage.getItem(AIRCRAFT_STORAGE_KEY) || DEFAULT_AIRCRAFT;
+    } catch (error) {
+        // Storage unavailable - use the default plane
+    }
+    return Math.max(aircraftCatalog.findIndex(definition => definition.id === saved), 0);
+}
+
+// Name, description and stat bars for the selected plane
+function showSelectedAircraft() {
+    const definition = aircraftCatalog[selectedAircraft];
+    const params = { ...DEFAULT_FLIGHT_PARAMS, ...definition.performance };
+    
+    document.getElementById('planeName').textContent = definition.name;
+    document.getElementById('planeDescription').textContent = definition.description;
+    document.getElementById('planeIndex').textContent = `${selectedAircraft + 1} / ${aircraftCatalog.length}`;
+    
+    // Bars are relative to the stock jet at 50%
+    const stats = [
+        { label: 'Power', value: (params.maxThrust / params.mass) / 20 },
+        { label: 'Agility', value: params.pitchSensitivity / 4 },
+        { label: 'Low speed', value: 10 / params.stallSpeed }
+    ];
+    document.getElementById('planeStats').innerHTML = stats.map(stat => `
+        <div class="plane-stat">
+            <span>${stat.label}</span>
+            <div class="plane-stat-bar"><div style="width: ${Math.round(Math.min(stat.value, 1) * 100)}%"></div></div>
+        </div>`).join('');
+    
+    const single = aircraftCatalog.length < 2;
+    document.getElementById('planePrev').disabled = single;
+    document.getElementById('planeNext').disabled = single;
+    
+    if (jetDisplayScene) {
+        showJetModel(definition);
+    }
 }
 
 function animateJetDisplay() {
@@ -712,7 +1652,7 @@ function resizeJetDisplay() {
 }
 
 // Initialize the game when the script loads
-init();
+init().catch(showLoadingError);
 
 // Function to add noise to terrain if heightmap is too flat
 window.addTerrainNoise = function(intensity = 0.5) {
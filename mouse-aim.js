@@ -0,0 +1,200 @@
+import * as THREE from 'three';
+import { DEFAULT_FLIGHT_PARAMS } from './physics.js';
+
+/**
+ * Mouse Aim Controls
+ * The mouse moves a reticle around the sky (pointer lock) and an instructor steers the nose
+ * toward it - banking into turns, pulling up or down and trimming with rudder. Throttle, boost,
+ * reset and camera still come from the keyboard/gamepad bindings, and keyboard pitch/roll/yaw
+ * override the instructor while held.
+ */
+
+export const DEFAULT_INSTRUCTOR_CONFIG = {
+    mouseSensitivity: 0.0025, // Radians of aim per pixel of mouse movement
+    maxAimPitch: Math.PI * 0.4, // Aim is kept away from straight up/down
+    maxBank: Math.PI / 3, // Steepest bank the instructor will fly
+    bankGain: 2.0, // Bank angle per radian of heading error
+    pitchGain: 1.5, // Pitch input per radian of pitch error
+    maxPitchInput: 0.3,
+    yawGain: 3.0, // Rudder per radian of heading error, trims the last few degrees
+    maxYawInput: 0.3,
+    aimDistance: 1000 // How far ahead the reticle is drawn
+};
+
+/**
+ * Pitch/roll/yaw input that turns the aircraft toward an aim direction
+ * Uses the flight input conventions: pitch negative for nose up, roll positive for left bank
+ * (roll commands a bank angle as a fraction of maxBankAngle), yaw negative for left.
+ * @param {Object} state - Flight state from physics.js
+ * @param {Object} aim - { heading, pitch } in radians, heading positive to the left
+ * @returns {Object} { pitch, roll, yaw }
+ */
+export function computeInstructorInput(state, aim, params = DEFAULT_FLIGHT_PARAMS, config = DEFAULT_INSTRUCTOR_CONFIG) {
+    const headingError = wrapAngle(aim.heading - state.heading); // Positive when the aim is to the left
+    const pitchError = aim.pitch - state.pitch; // Positive when the aim is above the nose
+
+    const targetBank = clamp(headingError * config.bankGain, -config.maxBank, config.maxBank);
+
+    return {
+        pitch: -clamp(pitchError * config.pitchGain, -config.maxPitchInput, config.maxPitchInput),
+        roll: targetBank / params.maxBankAngle,
+        yaw: -clamp(headingError * config.yawGain, -config.maxYawInput, config.maxYawInput)
+    };
+}
+
+export class MouseAimControls {
+    constructor(controls, canvas, config = {}) {
+        this.controls = controls; // AircraftControls, still read for throttle, boost, reset and camera
+        this.canvas = canvas;
+        this.config = { ...DEFAULT_INSTRUCTOR_CONFIG, ...config };
+
+        this.enabled = false;
+        this.locked = false; // Pointer lock held, mouse movement moves the aim
+        this.aim = { heading: 0, pitch: 0 };
+        this.needsSync = true; // Snap the aim to the nose on the next tick
+
+        this.reticle = document.getElementById('mouseAimReticle');
+        this.noseMarker = document.getElementById('mouseAimNose');
+        this.hint = document.getElementById('mouseAimHint');
+
+        this.aimVector = new THREE.Vector3();
+        this.screenPoint = new THREE.Vector3();
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.canvas.addEventListener('click', () => {
+            if (this.enabled && !this.locked) {
+                this.canvas.requestPointerLock();
+            }
+        });
+
+        document.addEventListener('pointerlockchange', () => {
+            this.locked = document.pointerLockElement === this.canvas;
+            console.log(this.locked ? '🖱️ Mouse aim captured' : '🖱️ Mouse aim released');
+        });
+
+        document.addEventListener('mousemove', (event) => {
+            if (!this.enabled || !this.locked) return;
+
+            // Moving right turns right, which is negative heading
+            this.aim.heading = wrapAngle(this.aim.heading - event.movementX * this.config.mouseSensitivity);
+            this.aim.pitch = clamp(
+                this.aim.pitch - event.movementY * this.config.mouseSensitivity,
+                -this.config.maxAimPitch,
+                this.config.maxAimPitch
+            );
+        });
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.needsSync = true;
+        if (!enabled) {
+            this.release();
+            this.hideReticle();
+        }
+        console.log(`🖱️ Mouse aim ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    // Let go of the mouse, e.g. when a menu opens
+    release() {
+        if (this.locked) {
+            document.exitPointerLock();
+        }
+    }
+
+    // Point the aim straight down the nose, after a reset or respawn
+    syncToAircraft() {
+        this.needsSync = true;
+    }
+
+    /**
+     * Same shape as AircraftControls.getInputState(), with the instructor flying pitch/roll/yaw
+     * @param {Object} flightState - AircraftSystem.flightState
+     * @param {Object} flightParams - AircraftSystem.flightParams
+     * @param {number} deltaTime - Tick length, passed on for the throttle lever
+     */
+    getInputState(flightState, flightParams, deltaTime = 1 / 60) {
+        const input = this.controls.getInputState(deltaTime);
+
+        if (this.needsSync) {
+            this.aim.heading = flightState.heading;
+            this.aim.pitch = clamp(flightState.pitch, -this.config.maxAimPitch, this.config.maxAimPitch);
+            this.needsSync = false;
+        }
+
+        const instructor = computeInstructorInput(flightState, this.aim, flightParams, this.config);
+
+        // Keyboard or stick input on an axis takes over from the instructor
+        const manual = this.controls.lastActionValues;
+        if (!(manual.pitchUp || manual.pitchDown)) input.pitch = instructor.pitch;
+        if (!(manual.rollLeft || manual.rollRight)) input.roll = instructor.roll;
+        if (!(manual.yawLeft || manual.yawRight)) input.yaw = instructor.yaw;
+
+        return input;
+    }
+
+    /**
+     * Draw the aim reticle and the nose marker over the view
+     * @param {THREE.Camera} camera
+     * @param {THREE.Object3D} aircraft - Rendered (interpolated) aircraft
+     */
+    updateReticle(camera, aircraft) {
+        if (!this.enabled || !aircraft) {
+            this.hideReticle();
+            return;
+        }
+
+        const cosPitch = Math.cos(this.aim.pitch);
+        this.aimVector.set(
+            -Math.sin(this.aim.heading) * cosPitch,
+            Math.sin(this.aim.pitch),
+            -Math.cos(this.aim.heading) * cosPitch
+        );
+        this.placeMarker(this.reticle, camera, aircraft.position, this.aimVector);
+
+        this.aimVector.set(0, 0, -1).applyQuaternion(aircraft.quaternion);
+        this.placeMarker(this.noseMarker, camera, aircraft.position, this.aimVector);
+
+        this.hint.style.display = this.locked ? 'none' : 'block';
+    }
+
+    placeMarker(element, camera, origin, direction) {
+        this.screenPoint.copy(direction).multiplyScalar(this.config.aimDistance).add(origin).project(camera);
+
+        // Behind the camera
+        if (this.screenPoint.z > 1) {
+            element.style.display = 'none';
+            return;
+        }
+
+        element.style.display = 'block';
+        element.style.left = `${(this.screenPoint.x + 1) / 2 * window.innerWidth}px`;
+        element.style.top = `${(1 - this.screenPoint.y) / 2 * window.innerHeight}px`;
+    }
+
+    hideReticle() {
+        this.reticle.style.display = 'none';
+        this.noseMarker.style.display = 'none';
+        this.hint.style.display = 'none';
+    }
+
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            locked: this.locked,
+            aimHeading: Math.round(this.aim.heading * 180 / Math.PI),
+            aimPitch: Math.round(this.aim.pitch * 180 / Math.PI)
+        };
+    }
+}
+
+function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
@@ -0,0 +1,440 @@
+/**
+ * Flight Physics
+ * The aircraft force model (thrust, lift, drag, banking, stall, gravity) as pure functions on a
+ * plain state object. No scene graph, no DOM and no three.js dependency, so the same code runs
+ * in the browser and in Node.
+ *
+ * Vectors are any object with x, y and z - AircraftSystem passes THREE.Vector3s, Node scripts
+ * can pass plain objects. Functions update the vectors in place and never replace them.
+ *
+ * Orientation is heading (yaw about +Y, 0 faces -Z, positive turns left), pitch (positive is
+ * nose up) and bankAngle (positive is left wing down), applied in that order - Euler order 'YXZ'.
+ *
+ * state.wind is the velocity of the air (wind.js). Lift, drag, stall and turning work on the
+ * velocity relative to it (airspeed), the position moves with the velocity over the ground.
+ */
+
+export const DEFAULT_FLIGHT_PARAMS = {
+    maxThrust: 10000,
+    mass: 1000,
+    gravity: -1.5, // Reduced gravity for easier flight
+
+    // Control rates
+    pitchSensitivity: 2.0, // Pitch rate in rad/s per unit of pitch input
+    yawSensitivity: 0.15, // Rudder yaw rate in rad/s per unit of yaw input
+    maxBankAngle: Math.PI * 0.7, // Maximum bank angle (about 125 degrees)
+    bankingRate: 0.08, // Fraction of the way to the target bank per tick
+    bankReturnRate: 0.95, // Bank kept per tick when rolling back to level
+    turnRateFactor: 0.02, // Turn rate in rad/s per unit of sin(bank) * speed
+    adverseYawFactor: 0.002, // Yaw rate against the roll per unit of roll input * speed
+    turnAssist: 0.5, // Coordinated-turn assist, 0 = rudder only from the player, 1 = full auto rudder
+    coordinationGain: 4.0, // Auto rudder at full assist, in yawSensitivity per unit of sin(bank)
+    minimumSpeedForTurn: 10, // No banking effects below this speed
+
+    // Aerodynamics
+    realism: 1.0, // Blend of the arcade (0) and angle-of-attack (1) force models
+    liftCoefficient: 0.8, // Arcade lift per speed²
+    dragCoefficient: 0.03, // Arcade drag per speed², also the parasitic drag coefficient
+    stallSpeed: 20, // Speed below which the aircraft becomes unstable (full throttle cruise is about 30)
+    stallAngle: Math.PI / 6, // Angle of attack past which the wing stalls
+    arcadeLift: 0.3, // Extra upward push as a fraction of thrust when flying
+
+    // Angle-of-attack model (realism > 0)
+    aeroScale: 0.012, // Acceleration per unit of coefficient per speed²
+    liftCurveSlope: 4.0, // Lift coefficient per radian of angle of attack
+    zeroLiftAngle: -0.033, // Cambered wing, still lifts with the nose on the flight path
+    stallFalloff: 0.2, // Radians past the stall over which lift fades to flat-plate
+    postStallLift: 0.9, // Flat-plate lift, times sin(2 * angle of attack)
+    postStallDrag: 1.2, // Flat-plate drag, times sin²(angle of attack)
+    inducedDrag: 0.08, // Drag per lift coefficient²
+    sideslipDrag: 0.5, // Drag per sin²(sideslip)
+    sideForceSlope: 4.0, // Side force coefficient per radian of sideslip
+    stallPitchDown: 0.05, // Nose-down pitch rate per radian past the stall, per step
+
+    // Integration
+    velocityDamping: 0.995, // Airspeed kept per tick
+    angularDamping: 0.92, // Angular velocity kept per tick
+    positionScale: 15 // World units moved per unit of velocity per second
+};
+
+/**
+ * Create a flight state at rest
+ * @param {Object} options - Optional position, heading and vector objects to use for the state
+ */
+export function createFlightState(options = {}) {
+    const state = {
+        position: options.position || { x: 0, y: 0, z: 0 },
+        velocity: options.velocity || { x: 0, y: 0, z: 0 },
+        acceleration: options.acceleration || { x: 0, y: 0, z: 0 },
+        angularVelocity: options.angularVelocity || { x: 0, y: 0, z: 0 },
+        wind: options.wind || { x: 0, y: 0, z: 0 }, // Air velocity, set by the caller before each step
+        heading: 0,
+        pitch: 0,
+        bankAngle: 0,
+        thrust: 0,
+        turnRate: 0,
+        gForce: 1.0,
+        angleOfAttack: 0, // Radians, see updateAirflow()
+        sideslip: 0
+    };
+
+    stopFlight(state);
+    state.heading = options.heading || 0;
+    return state;
+}
+
+/**
+ * Put the aircraft at rest at a position and heading (spawn, reset)
+ */
+export function placeFlightState(state, position, heading = 0) {
+    setVector(state.position, position.x, position.y, position.z);
+    stopFlight(state);
+    state.heading = heading;
+    state.pitch = 0;
+    state.bankAngle = 0;
+    return state;
+}
+
+/**
+ * Stop all motion and forces, keeping position and orientation (crash)
+ */
+export function stopFlight(state) {
+    setVector(state.velocity, 0, 0, 0);
+    setVector(state.acceleration, 0, 0, 0);
+    setVector(state.angularVelocity, 0, 0, 0);
+    state.thrust = 0;
+    state.turnRate = 0;
+    state.gForce = 1.0;
+    state.angleOfAttack = 0;
+    state.sideslip = 0;
+    return state;
+}
+
+/**
+ * Advance the flight state by one step
+ * @param {Object} state - Flight state from createFlightState()
+ * @param {Object} controls - { throttle, pitch, yaw, roll } as produced by the input system
+ * @param {Object} params - Flight parameters, defaults to DEFAULT_FLIGHT_PARAMS
+ * @param {number} deltaTime - Step length in seconds
+ * @param {Object} options - { random } source for stall buffeting, defaults to Math.random
+ */
+export function stepFlight(state, controls, params = DEFAULT_FLIGHT_PARAMS, deltaTime = 1 / 60, options = {}) {
+    const random = options.random || Math.random;
+
+    state.thrust = (controls.throttle || 0) * params.maxThrust;
+    updateBanking(state, controls, params);
+    computeAcceleration(state, params, random);
+    integrate(state, params, deltaTime);
+    return state;
+}
+
+/**
+ * Bank towards the roll input and derive turn rate, G-force and yaw from it
+ */
+export function updateBanking(state, controls, params = DEFAULT_FLIGHT_PARAMS) {
+    const speed = getAirspeed(state);
+    const rollInput = controls.roll || 0;
+    const angularVelocity = state.angularVelocity;
+
+    // Smooth banking transition towards the commanded angle
+    const targetBankAngle = rollInput * params.maxBankAngle;
+    state.bankAngle += (targetBankAngle - state.bankAngle) * params.bankingRate;
+    state.bankAngle = clamp(state.bankAngle, -params.maxBankAngle, params.maxBankAngle);
+
+    if (Math.abs(state.bankAngle) > 0.1 && speed > params.minimumSpeedForTurn) {
+        // Turn rate proportional to bank and speed, towards the lowered wing
+        state.turnRate = Math.sin(state.bankAngle) * speed * params.turnRateFactor;
+        state.gForce = 1.0 / Math.cos(state.bankAngle);
+        angularVelocity.y = state.turnRate;
+    } else {
+        state.turnRate = 0;
+        state.gForce = 1.0;
+        // Banking stability - return to level when there is no roll input
+        if (Math.abs(rollInput) < 0.1) {
+            state.bankAngle *= params.bankReturnRate;
+        }
+    }
+
+    // Pitch control is independent of banking - input is negative for nose up
+    angularVelocity.x = -(controls.pitch || 0) * params.pitchSensitivity;
+
+    // Rudder plus adverse yaw, which pulls the nose away from the roll and grows with airspeed
+    if (speed > params.minimumSpeedForTurn) {
+        const adverseYaw = -rollInput * params.adverseYawFactor * speed;
+        const rudderYaw = -(controls.yaw || 0) * params.yawSensitivity; // Input is negative for left
+        angularVelocity.y += rudderYaw + adverseYaw + getAssistRudder(state, rollInput, speed, params);
+    }
+
+    return state;
+}
+
+/**
+ * Coordinated-turn assist: automatic rudder that cancels adverse yaw and yaws into the bank.
+ * Player rudder is added on top, so slips and flat turns stay possible with the assist on.
+ */
+export function getAssistRudder(state, rollInput, speed, params = DEFAULT_FLIGHT_PARAMS) {
+    const assist = params.turnAssist || 0;
+    if (assist <= 0) return 0;
+
+    const cancelAdverseYaw = rollInput * params.adverseYawFactor * speed;
+    const coordinatedYaw = Math.sin(state.bankAngle) * params.yawSensitivity * params.coordinationGain;
+    return assist * (cancelAdverseYaw + coordinatedYaw);
+}
+
+/**
+ * Sum thrust, lift, drag, gravity and stall into state.acceleration
+ * Lift and drag come from the arcade model, the aerodynamic model or a blend of the two,
+ * set by params.realism (0 arcade, 1 fully aerodynamic).
+ */
+export function computeAcceleration(state, params = DEFAULT_FLIGHT_PARAMS, random = Math.random) {
+    const speed = getAirspeed(state);
+    const basis = getOrientationBasis(state);
+    const { forward } = basis;
+    const acceleration = state.acceleration;
+    const realism = clamp(params.realism || 0, 0, 1);
+
+    // Thrust along the nose
+    const thrustAcceleration = state.thrust / params.mass;
+    setVector(acceleration,
+        forward.x * thrustAcceleration,
+        forward.y * thrustAcceleration,
+        forward.z * thrustAcceleration
+    );
+
+    updateAirflow(state, basis, speed);
+
+    if (realism < 1) {
+        addArcadeForces(state, params, basis, speed, random, 1 - realism);
+    }
+    if (realism > 0) {
+        addAerodynamicForces(state, params, basis, speed, random, realism);
+    }
+
+    // Gravity - the arcade model makes it heavier in turns, aerodynamic lift already pays for that
+    acceleration.y += params.gravity * (state.gForce * (1 - realism) + realism);
+
+    return acceleration;
+}
+
+/**
+ * Angle of attack and sideslip from the velocity in the body frame
+ * Angle of attack is positive when the airflow meets the wing from below (nose above the
+ * flight path), sideslip is positive when the aircraft drifts to its right.
+ */
+export function updateAirflow(state, basis = getOrientationBasis(state), speed = getAirspeed(state)) {
+    if (speed < 0.5) {
+        state.angleOfAttack = 0;
+        state.sideslip = 0;
+        return state;
+    }
+
+    const velocity = getAirVelocity(state);
+    const alongNose = dot(velocity, basis.forward);
+    const alongUp = dot(velocity, basis.up);
+    const alongRight = dot(velocity, basis.right);
+
+    state.angleOfAttack = Math.atan2(-alongUp, alongNose);
+    state.sideslip = Math.asin(clamp(alongRight / speed, -1, 1));
+    return state;
+}
+
+/**
+ * Lift coefficient for an angle of attack
+ * Linear up to the stall, then fades to flat-plate lift over params.stallFalloff radians.
+ */
+export function getLiftCoefficient(angleOfAttack, params = DEFAULT_FLIGHT_PARAMS) {
+    const alpha = angleOfAttack - params.zeroLiftAngle;
+    const magnitude = Math.abs(alpha);
+    if (magnitude <= params.stallAngle) {
+        return params.liftCurveSlope * alpha;
+    }
+
+    const peak = Math.sign(alpha) * params.liftCurveSlope * params.stallAngle;
+    const flatPlate = Math.sin(2 * alpha) * params.postStallLift;
+    const fade = Math.min((magnitude - params.stallAngle) / params.stallFalloff, 1);
+    return peak * (1 - fade) + flatPlate * fade;
+}
+
+/**
+ * Drag coefficient: parasitic + induced (grows with lift²) + sideslip, and flat-plate drag past the stall
+ */
+export function getDragCoefficient(angleOfAttack, sideslip, params = DEFAULT_FLIGHT_PARAMS) {
+    const lift = getLiftCoefficient(angleOfAttack, params);
+    const sinSlip = Math.sin(sideslip);
+    let drag = params.dragCoefficient + params.inducedDrag * lift * lift + params.sideslipDrag * sinSlip * sinSlip;
+
+    if (Math.abs(angleOfAttack - params.zeroLiftAngle) > params.stallAngle) {
+        const sinAlpha = Math.sin(angleOfAttack);
+        drag += params.postStallDrag * sinAlpha * sinAlpha;
+    }
+    return drag;
+}
+
+// Original feel: lift from speed² along the body up axis, drag along the nose, stall by speed
+function addArcadeForces(state, params, basis, speed, random, weight) {
+    const { forward, up, right } = basis;
+    const acceleration = state.acceleration;
+
+    if (speed > 0) {
+        // Lift grows with speed² and is lost as the wings bank away from vertical
+        const liftMagnitude = speed * speed * params.liftCoefficient * 0.0001;
+        addScaled(acceleration, up, liftMagnitude * Math.cos(state.bankAngle) * weight);
+
+        // Banked lift pulls the aircraft sideways into the turn
+        if (Math.abs(state.bankAngle) > 0.1) {
+            addScaled(acceleration, right, -liftMagnitude * Math.sin(state.bankAngle) * 0.5 * weight);
+        }
+
+        // Drag grows with speed² and banking
+        const dragMagnitude = speed * speed * params.dragCoefficient * (1 + Math.abs(state.bankAngle) * 0.5);
+        addScaled(acceleration, forward, -dragMagnitude / params.mass * weight);
+    }
+
+    // Stall - loss of lift and control at low speed
+    if (speed < params.stallSpeed && speed > 5) {
+        const deficit = params.stallSpeed - speed;
+        state.angularVelocity.x -= deficit * 0.001 * weight; // Nose drops
+        state.angularVelocity.z += (random() - 0.5) * 0.02 * weight; // Wing rocks
+        acceleration.y -= deficit * 0.02 * weight;
+    }
+
+    // Throttle helps hold altitude once flying
+    if (state.thrust > 0 && speed > params.stallSpeed * 0.5) {
+        acceleration.y += state.thrust / params.mass * params.arcadeLift * weight;
+    }
+}
+
+// Lift perpendicular to the airflow in the plane of symmetry, drag against the airflow and a side
+// force that straightens out sideslip, all scaled by dynamic pressure (speed²)
+function addAerodynamicForces(state, params, basis, speed, random, weight) {
+    if (speed < 0.5) return;
+
+    const acceleration = state.acceleration;
+    const velocity = getAirVelocity(state);
+    const flow = { x: velocity.x / speed, y: velocity.y / speed, z: velocity.z / speed };
+    const pressure = speed * speed * params.aeroScale * weight;
+
+    const liftCoefficient = getLiftCoefficient(state.angleOfAttack, params);
+    const dragCoefficient = getDragCoefficient(state.angleOfAttack, state.sideslip, params);
+    const sideCoefficient = -params.sideForceSlope * state.sideslip;
+
+    // Lift direction: right × flow, which is the body up axis when there is no sideslip
+    const liftDirection = normalize(cross(basis.right, flow));
+    addScaled(acceleration, liftDirection, liftCoefficient * pressure);
+    addScaled(acceleration, flow, -dragCoefficient * pressure);
+    addScaled(acceleration, basis.right, sideCoefficient * pressure);
+
+    // Past the stall the nose drops and the wings rock
+    const beyondStall = Math.abs(state.angleOfAttack - params.zeroLiftAngle) - params.stallAngle;
+    if (beyondStall > 0) {
+        state.angularVelocity.x -= Math.sign(state.angleOfAttack) * beyondStall * params.stallPitchDown * weight;
+        state.angularVelocity.z += (random() - 0.5) * 0.04 * weight;
+    }
+}
+
+// Apply acceleration and angular velocity for one step
+function integrate(state, params, deltaTime) {
+    const { position, velocity, acceleration, angularVelocity, wind } = state;
+
+    // Damping is air resistance, it slows the aircraft towards the wind rather than towards the ground
+    addScaled(velocity, acceleration, deltaTime);
+    setVector(velocity,
+        wind.x + (velocity.x - wind.x) * params.velocityDamping,
+        wind.y + (velocity.y - wind.y) * params.velocityDamping,
+        wind.z + (velocity.z - wind.z) * params.velocityDamping
+    );
+    addScaled(position, velocity, deltaTime * params.positionScale);
+
+    state.heading = wrapAngle(state.heading + angularVelocity.y * deltaTime);
+    state.pitch = wrapAngle(state.pitch + angularVelocity.x * deltaTime);
+    state.bankAngle = clamp(state.bankAngle + angularVelocity.z * deltaTime, -params.maxBankAngle, params.maxBankAngle);
+
+    scaleVector(angularVelocity, params.angularDamping);
+}
+
+/**
+ * Unit forward, up and right vectors for the current heading, pitch and bank
+ */
+export function getOrientationBasis(state) {
+    const sh = Math.sin(state.heading), ch = Math.cos(state.heading);
+    const sp = Math.sin(state.pitch), cp = Math.cos(state.pitch);
+    const sb = Math.sin(state.bankAngle), cb = Math.cos(state.bankAngle);
+
+    return {
+        forward: { x: -cp * sh, y: sp, z: -cp * ch },
+        up: { x: -sb * ch + cb * sp * sh, y: cb * cp, z: sb * sh + cb * sp * ch },
+        right: { x: cb * ch + sb * sp * sh, y: sb * cp, z: -cb * sh + sb * sp * ch }
+    };
+}
+
+/**
+ * Velocity relative to the air - the ground velocity less the wind
+ */
+export function getAirVelocity(state) {
+    const { velocity, wind } = state;
+    return { x: velocity.x - wind.x, y: velocity.y - wind.y, z: velocity.z - wind.z };
+}
+
+export function getAirspeed(state) {
+    const { x, y, z } = getAirVelocity(state);
+    return Math.sqrt(x * x + y * y + z * z);
+}
+
+export function getGroundSpeed(state) {
+    const { x, y, z } = state.velocity;
+    return Math.sqrt(x * x + y * y + z * z);
+}
+
+/**
+ * Too slow for the arcade model, or past the stall angle once the aerodynamic model has a say
+ */
+export function isStalling(state, params = DEFAULT_FLIGHT_PARAMS) {
+    const speed = getAirspeed(state);
+    if (speed < params.stallSpeed) return true;
+    return (params.realism || 0) > 0 &&
+        Math.abs(state.angleOfAttack - params.zeroLiftAngle) > params.stallAngle;
+}
+
+function setVector(vector, x, y, z) {
+    vector.x = x;
+    vector.y = y;
+    vector.z = z;
+}
+
+function addScaled(vector, other, scale) {
+    vector.x += other.x * scale;
+    vector.y += other.y * scale;
+    vector.z += other.z * scale;
+}
+
+function scaleVector(vector, scale) {
+    vector.x *= scale;
+    vector.y *= scale;
+    vector.z *= scale;
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+    return {
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    };
+}
+
+function normalize(vector) {
+    const length = Math.sqrt(dot(vector, vector)) || 1;
+    return { x: vector.x / length, y: vector.y / length, z: vector.z / length };
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+// Keep angles in -π..π so they don't grow without bound over a long flight
+function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
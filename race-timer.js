@@ -0,0 +1,312 @@
+/**
+ * Time-trial timing system
+ * Runs a simulation clock between a start and a finish trigger plane, with optional
+ * split planes in between. Crossings are interpolated inside the physics step so times
+ * are accurate to a fraction of a tick rather than rounded to whole frames.
+ */
+export class RaceTimer {
+    constructor(config = {}) {
+        this.trackId = config.trackId || 'default';
+        this.courseKey = config.courseKey || this.trackId; // Best runs are kept per course layout, see setPlanes()
+        this.storageKey = config.storageKey || 'airMania.bestTimes';
+
+        // Trigger planes: { position: {x, y, z}, normal: {x, y, z}, radius }
+        this.startPlane = config.startPlane || null;
+        this.finishPlane = config.finishPlane || null;
+        this.splitPlanes = config.splitPlanes || [];
+
+        this.state = 'ready'; // 'ready', 'running', 'finished'
+        this.clock = 0; // Simulation seconds since the timer was created
+        this.startTime = 0;
+        this.finalTime = 0;
+        this.splits = [];
+        this.nextSplitIndex = 0;
+        this.previousPosition = null;
+        this.lastResults = null;
+        this.landingFinish = false; // Crossing the finish only arms it and the run ends on landing, see land()
+        this.standingTakeoff = false; // Runs from the runway threshold instead of the track spawn
+        this.awaitingLanding = false;
+
+        this.bestRun = this.loadBestRun();
+
+        // Called when the start plane is crossed, and with the results object at the finish
+        this.onStart = null;
+        this.onFinish = null;
+
+        console.log('Race timer initialized');
+    }
+
+    /**
+     * Replace the trigger planes, e.g. after a different course is loaded or the course is edited
+     * @param {string} courseKey - Key of this gate layout, spawn and terrain, as the ghost uses (getGhostKey())
+     */
+    setPlanes({ start, finish, splits = [] }, trackId = this.trackId, courseKey = trackId) {
+        this.startPlane = start;
+        this.finishPlane = finish;
+        this.splitPlanes = splits;
+        this.trackId = trackId;
+        this.courseKey = courseKey;
+        this.bestRun = this.loadBestRun();
+        this.cancel();
+    }
+
+    /**
+     * Advance the clock by one physics step and check for plane crossings
+     * @param {number} deltaTime - Simulation step in seconds
+     * @param {Object} position - Aircraft position at the end of the step
+     */
+    update(deltaTime, position) {
+        const tickStart = this.clock;
+        this.clock += deltaTime;
+
+        if (!this.previousPosition) {
+            this.previousPosition = { x: position.x, y: position.y, z: position.z };
+            return;
+        }
+
+        const from = this.previousPosition;
+
+        if (this.state === 'ready' && this.startPlane) {
+            const fraction = this.getCrossingFraction(this.startPlane, from, position);
+            if (fraction !== null) {
+                this.startRun(tickStart + fraction * deltaTime);
+            }
+        }
+
+        if (this.state === 'running') {
+            const splitPlane = this.splitPlanes[this.nextSplitIndex];
+            if (splitPlane) {
+                const fraction = this.getCrossingFraction(splitPlane, from, position);
+                if (fraction !== null) {
+                    this.recordSplit(tickStart + fraction * deltaTime - this.startTime);
+                } else {
+                    // Crossing the plane after the pending split means the split was skipped
+                    const followingPlane = this.splitPlanes[this.nextSplitIndex + 1] || this.finishPlane;
+                    const followingFraction = followingPlane ? this.getCrossingFraction(followingPlane, from, position) : null;
+                    if (followingFraction !== null) {
+                        this.skipSplit();
+                        if (followingPlane !== this.finishPlane) {
+                            this.recordSplit(tickStart + followingFraction * deltaTime - this.startTime);
+                        }
+                    }
+                }
+            }
+
+            // The finish only counts once every split has been crossed or skipped, so closed
+            // courses whose finish is the start plane do not end after the first lap
+            if (this.finishPlane && this.nextSplitIndex >= this.splitPlanes.length && !this.awaitingLanding) {
+                const fraction = this.getCrossingFraction(this.finishPlane, from, position);
+                if (fraction !== null) {
+                    if (this.landingFinish) {
+                        this.awaitingLanding = true;
+                        console.log('⏱️ Finish crossed - land to stop the clock');
+                    } else {
+                        this.finishRun(tickStart + fraction * deltaTime - this.startTime);
+                    }
+                }
+            }
+        }
+
+        this.previousPosition.x = position.x;
+        this.previousPosition.y = position.y;
+        this.previousPosition.z = position.z;
+    }
+
+    /**
+     * Fraction of the segment from -> to at which it crosses the plane, entering from
+     * behind the normal and within the plane radius
+     * @returns {number|null}
+     */
+    getCrossingFraction(plane, from, to) {
+        const { position, normal } = plane;
+        const fromDistance = (from.x - position.x) * normal.x + (from.y - position.y) * normal.y + (from.z - position.z) * normal.z;
+        const toDistance = (to.x - position.x) * normal.x + (to.y - position.y) * normal.y + (to.z - position.z) * normal.z;
+
+        if (fromDistance >= 0 || toDistance < 0) return null;
+
+        const fraction = fromDistance / (fromDistance - toDistance);
+
+        if (plane.radius) {
+            const x = from.x + (to.x - from.x) * fraction - position.x;
+            const y = from.y + (to.y - from.y) * fraction - position.y;
+            const z = from.z + (to.z - from.z) * fraction - position.z;
+            if (x * x + y * y + z * z > plane.radius * plane.radius) return null;
+        }
+
+        return fraction;
+    }
+
+    startRun(startTime) {
+        this.state = 'running';
+        this.startTime = startTime;
+        this.splits = [];
+        this.nextSplitIndex = 0;
+        this.lastResults = null;
+        this.awaitingLanding = false;
+        console.log('⏱️ Timer started');
+
+        if (this.onStart) {
+            this.onStart();
+        }
+    }
+
+    recordSplit(time) {
+        const bestSplit = this.bestRun ? this.bestRun.splits[this.nextSplitIndex] : undefined;
+        const delta = bestSplit !== undefined && bestSplit !== null ? time - bestSplit : null;
+
+        this.splits.push({ time, delta });
+        this.nextSplitIndex++;
+
+        console.log(`⏱️ Split ${this.splits.length}: ${formatTime(time)}${delta !== null ? ` (${formatDelta(delta)})` : ''}`);
+    }
+
+    skipSplit() {
+        this.splits.push({ time: null, delta: null });
+        this.nextSplitIndex++;
+        console.log(`⏱️ Split ${this.splits.length} skipped`);
+    }
+
+    // Require a landing after the finish plane - landing runs keep their own best times
+    setLandingFinish(enabled) {
+        this.landingFinish = enabled;
+        this.bestRun = this.loadBestRun();
+        this.cancel();
+    }
+
+    // Runs that start from a standing takeoff keep their own best times too
+    setStandingTakeoff(enabled) {
+        this.standingTakeoff = enabled;
+        this.bestRun = this.loadBestRun();
+        this.cancel();
+    }
+
+    // Key of this course's best run in storage
+    getRecordKey() {
+        return `${this.courseKey}${this.standingTakeoff ? ':standing' : ''}${this.landingFinish ? ':landing' : ''}`;
+    }
+
+    // Stop the clock for a landing run once the finish has been crossed
+    land() {
+        if (this.state !== 'running' || !this.awaitingLanding) return;
+        this.finishRun(this.clock - this.startTime);
+    }
+
+    finishRun(time) {
+        this.state = 'finished';
+        this.finalTime = time;
+        this.awaitingLanding = false;
+
+        const previousBest = this.bestRun;
+        const isNewBest = !previousBest || time < previousBest.total;
+
+        // Skipped splits are stored as null so later runs get no delta for them
+        if (isNewBest) {
+            this.bestRun = {
+                total: time,
+                splits: this.splits.map(split => split.time)
+            };
+            this.saveBestRun();
+        }
+
+        this.lastResults = {
+            trackId: this.trackId,
+            standing: this.standingTakeoff,
+            landing: this.landingFinish,
+            total: time,
+            splits: this.splits.slice(),
+            previousBest: previousBest ? previousBest.total : null,
+            delta: previousBest ? time - previousBest.total : null,
+            isNewBest
+        };
+
+        console.log(`🏁 Finish: ${formatTime(time)}${isNewBest ? ' - NEW BEST!' : ''}`);
+
+        if (this.onFinish) {
+            this.onFinish(this.lastResults);
+        }
+    }
+
+    /**
+     * Abandon the current run (used by the reset path)
+     */
+    cancel() {
+        if (this.state === 'running') {
+            console.log('⏱️ Run cancelled');
+        }
+
+        this.state = 'ready';
+        this.startTime = 0;
+        this.finalTime = 0;
+        this.splits = [];
+        this.nextSplitIndex = 0;
+        this.previousPosition = null;
+        this.lastResults = null;
+        this.awaitingLanding = false;
+    }
+
+    // Carry on checking the timing planes from here, e.g. after a respawn so the jump crosses none
+    resetSweep(position) {
+        this.previousPosition = { x: position.x, y: position.y, z: position.z };
+    }
+
+    // Add seconds to the run in progress, e.g. for a respawn after a crash
+    addPenalty(seconds) {
+        if (this.state !== 'running' || seconds <= 0) return;
+
+        this.startTime -= seconds;
+        console.log(`⏱️ +${seconds} s penalty`);
+    }
+
+    // Elapsed time of the current run in seconds
+    getElapsed() {
+        switch (this.state) {
+            case 'running':
+                return this.clock - this.startTime;
+            case 'finished':
+                return this.finalTime;
+            default:
+                return 0;
+        }
+    }
+
+    // Most recent split, used by the HUD to flash the +/- delta
+    getLastSplit() {
+        return this.splits[this.splits.length - 1] || null;
+    }
+
+    loadBestRun() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            return stored[this.getRecordKey()] || null;
+        } catch (error) {
+            return null; // No storage available (private mode or Node)
+        }
+    }
+
+    saveBestRun() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            stored[this.getRecordKey()] = this.bestRun;
+            localStorage.setItem(this.storageKey, JSON.stringify(stored));
+        } catch (error) {
+            console.log('Could not save best time:', error.message);
+        }
+    }
+}
+
+/**
+ * Format seconds as m:ss.mmm
+ */
+export function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const remainder = seconds - minutes * 60;
+    return `${minutes}:${remainder.toFixed(3).padStart(6, '0')}`;
+}
+
+/**
+ * Format a split delta with an explicit sign
+ */
+export function formatDelta(seconds) {
+    const sign = seconds < 0 ? '-' : '+';
+    return `${sign}${Math.abs(seconds).toFixed(3)}`;
+}
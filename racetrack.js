@@ -0,0 +1,718 @@
+import * as THREE from 'three';
+
+// Built-in course used when no track file is loaded: a loop around the centre of the terrain
+const DEFAULT_COURSE = [
+    { x: 2500, z: 2500 },
+    { x: 0, z: 3200 },
+    { x: -2500, z: 2500 },
+    { x: -3200, z: 0 },
+    { x: -2500, z: -2500 },
+    { x: 0, z: -3200 },
+    { x: 2500, z: -2500 },
+    { x: 3200, z: 0 },
+    { x: 2800, z: 1800 }
+];
+
+// Versioned JSON track format, see docs/TRACK_FORMAT.md
+export const TRACK_FORMAT = 'air-mania-track';
+export const TRACK_FORMAT_VERSION = 1;
+
+const GATE_COLORS = {
+    pending: 0xffaa00,
+    next: 0x00ffff,
+    passed: 0x00ff00,
+    missed: 0xff3333,
+    finish: 0xffffff
+};
+
+/**
+ * Checkpoint Ring Race Course
+ * Places an ordered sequence of rings over the terrain and tracks the aircraft
+ * flying through them. The first gate starts the race, the last one finishes it.
+ */
+export class RaceTrack {
+    constructor(scene, environment, config = {}) {
+        this.scene = scene;
+        this.environment = environment;
+        this.applyDefinition(config);
+        this.gateRadius = config.gateRadius || 60;
+        this.gateClearance = config.gateClearance || 80; // Height of ring bottom above terrain
+        this.missTolerance = config.missTolerance || 3; // Crossing within radius * tolerance counts as a miss
+
+        this.trackGroup = null;
+        this.gates = [];
+        this.route = []; // Gate indices in the order they must be flown, across all laps
+
+        // Race state
+        this.state = 'idle'; // 'idle', 'racing', 'finished'
+        this.routeIndex = 0;
+        this.currentLap = 1;
+        this.passedCount = 0;
+        this.missedCount = 0;
+        this.previousPosition = null;
+
+        console.log('Race track system initialized');
+    }
+
+    /**
+     * Take course layout from a parsed track definition (see parseTrackDefinition).
+     * Call createCourse() afterwards to rebuild the gates.
+     */
+    applyDefinition(config) {
+        this.trackId = config.id || 'default';
+        this.name = config.name || 'Default Circuit';
+        this.gateDefinitions = config.gates || DEFAULT_COURSE;
+        this.laps = config.laps || 1;
+        this.closed = config.closed || this.laps > 1; // Closed courses finish back at the start gate
+        this.spawnDefinition = config.spawn || null;
+        this.terrainConfig = config.terrain || null;
+        this.medals = config.medals || null;
+        this.pickupDefinitions = config.pickups || null; // Refuel pickups, null places them between gates
+        this.seed = config.seed !== undefined ? config.seed : null; // Random seed for terrain and flight, track id when unset
+    }
+
+    /**
+     * Build gate meshes for the configured course
+     */
+    createCourse() {
+        if (this.trackGroup) {
+            this.dispose();
+        }
+
+        this.trackGroup = new THREE.Group();
+        this.trackGroup.name = 'RaceTrack';
+
+        this.gates = this.gateDefinitions.map((definition, index) => this.createGate(definition, index));
+        this.orientGates();
+        this.route = this.buildRoute();
+
+        this.scene.add(this.trackGroup);
+        this.reset();
+
+        console.log(`Race course created with ${this.gates.length} gates`);
+    }
+
+    /**
+     * Create a single ring gate placed above the terrain
+     */
+    createGate(definition, index) {
+        const radius = definition.radius || this.gateRadius;
+        const clearance = definition.clearance !== undefined ? definition.clearance : this.gateClearance;
+
+        // Rest the ring on the highest terrain under its footprint so it never clips a slope
+        let groundHeight = this.environment.getTerrainHeightAt(definition.x, definition.z);
+        for (let i = 0; i < 8; i++) {
+            const angle = (i / 8) * Math.PI * 2;
+            const sampleX = definition.x + Math.cos(angle) * radius;
+            const sampleZ = definition.z + Math.sin(angle) * radius;
+            groundHeight = Math.max(groundHeight, this.environment.getTerrainHeightAt(sampleX, sampleZ));
+        }
+
+        const y = definition.y !== undefined ? definition.y : groundHeight + clearance + radius;
+        const position = new THREE.Vector3(definition.x, y, definition.z);
+
+        const geometry = new THREE.TorusGeometry(radius, radius * 0.08, 12, 48);
+        const material = new THREE.MeshBasicMaterial({
+            color: GATE_COLORS.pending,
+            transparent: true,
+            opacity: 0.85
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.copy(position);
+        mesh.name = `Gate_${index}`;
+        mesh.userData.gateIndex = index;
+        this.trackGroup.add(mesh);
+
+        return {
+            index,
+            position,
+            radius,
+            normal: new THREE.Vector3(0, 0, -1),
+            heading: definition.heading,
+            status: 'pending', // 'pending', 'passed', 'missed'
+            mesh
+        };
+    }
+
+    /**
+     * Face every gate along the racing line unless it has an explicit heading
+     */
+    orientGates() {
+        const ringFacing = new THREE.Vector3(0, 0, 1); // TorusGeometry lies in the XY plane
+
+        this.gates.forEach((gate, index) => {
+            if (gate.heading !== undefined) {
+                // Heading in radians, same convention as aircraft rotation.y (0 = flying towards -Z)
+                gate.normal.set(-Math.sin(gate.heading), 0, -Math.cos(gate.heading));
+            } else {
+                const last = this.gates.length - 1;
+                const previous = this.gates[index - 1] || (this.closed ? this.gates[last] : gate);
+                const next = this.gates[index + 1] || (this.closed ? this.gates[0] : gate);
+                gate.normal.subVectors(next.position, previous.position);
+                if (gate.normal.lengthSq() === 0) {
+                    gate.normal.set(0, 0, -1);
+                }
+            }
+
+            gate.normal.normalize();
+            gate.mesh.quaternion.setFromUnitVectors(ringFacing, gate.normal);
+        });
+    }
+
+    /**
+     * Point-to-point courses run through the gates once. Closed courses repeat every gate
+     * per lap and finish by crossing the start gate again.
+     */
+    buildRoute() {
+        const lap = this.gates.map(gate => gate.index);
+
+        if (!this.closed) {
+            return lap;
+        }
+
+        const route = [];
+        for (let i = 0; i < this.laps; i++) {
+            route.push(...lap);
+        }
+        route.push(0);
+        return route;
+    }
+
+    /**
+     * Advance race progress from the aircraft's movement since the last update
+     */
+    update(aircraft) {
+        if (!aircraft || this.gates.length === 0 || this.state === 'finished') return;
+
+        const currentPosition = aircraft.position;
+
+        if (!this.previousPosition) {
+            this.previousPosition = currentPosition.clone();
+            return;
+        }
+
+        const gate = this.gates[this.route[this.routeIndex]];
+        const crossing = this.getGateCrossing(gate, this.previousPosition, currentPosition);
+
+        if (crossing) {
+            if (crossing.distance <= gate.radius) {
+                this.passGate();
+            } else if (crossing.distance <= gate.radius * this.missTolerance && this.isCheckpoint(this.routeIndex)) {
+                this.missGate();
+            }
+        } else if (this.isCheckpoint(this.routeIndex)) {
+            // Flying straight through the following gate skips this one
+            const followingGate = this.gates[this.route[this.routeIndex + 1]];
+            const followingCrossing = this.getGateCrossing(followingGate, this.previousPosition, currentPosition);
+
+            if (followingCrossing && followingCrossing.distance <= followingGate.radius) {
+                this.missGate();
+                this.passGate();
+            }
+        }
+
+        this.previousPosition.copy(currentPosition);
+    }
+
+    /**
+     * Find where the segment from -> to crosses a gate plane in the flying direction
+     * @returns {Object|null} Fraction along the segment, crossing point and distance from gate centre
+     */
+    getGateCrossing(gate, from, to) {
+        const fromDistance = from.clone().sub(gate.position).dot(gate.normal);
+        const toDistance = to.clone().sub(gate.position).dot(gate.normal);
+
+        // Only count crossings from the entry side to the exit side
+        if (fromDistance >= 0 || toDistance < 0) return null;
+
+        const fraction = fromDistance / (fromDistance - toDistance);
+        const point = from.clone().lerp(to, fraction);
+
+        return {
+            fraction,
+            point,
+            distance: point.distanceTo(gate.position)
+        };
+    }
+
+    // The start and finish gates must be flown through, only the ones in between can be missed
+    isCheckpoint(routeIndex) {
+        return routeIndex > 0 && routeIndex < this.route.length - 1;
+    }
+
+    passGate() {
+        const gate = this.gates[this.route[this.routeIndex]];
+        gate.status = 'passed';
+        this.passedCount++;
+
+        if (this.routeIndex === 0) {
+            this.state = 'racing';
+            console.log('🏁 Race started!');
+        } else {
+            console.log(`✅ Gate ${gate.index} passed`);
+        }
+
+        this.advance();
+    }
+
+    missGate() {
+        const gate = this.gates[this.route[this.routeIndex]];
+        gate.status = 'missed';
+        this.missedCount++;
+        console.log(`❌ Gate ${gate.index} missed`);
+
+        this.advance();
+    }
+
+    advance() {
+        if (this.routeIndex === this.route.length - 1) {
+            this.state = 'finished';
+            console.log(`🏆 Race finished! Passed ${this.passedCount}/${this.route.length} gates, missed ${this.missedCount}`);
+        } else {
+            this.routeIndex++;
+
+            // Heading for the start gate again begins the next lap with fresh gate colours
+            if (this.route[this.routeIndex] === 0 && this.routeIndex < this.route.length - 1) {
+                this.currentLap++;
+                this.gates.forEach((gate) => {
+                    gate.status = 'pending';
+                });
+                console.log(`🔁 Lap ${this.currentLap}/${this.laps}`);
+            }
+        }
+
+        this.updateGateColors();
+    }
+
+    updateGateColors() {
+        const nextGateIndex = this.route[this.routeIndex];
+
+        this.gates.forEach((gate) => {
+            let color = GATE_COLORS[gate.status];
+            let opacity = 0.85;
+
+            if (gate.status === 'pending') {
+                if (gate.index === nextGateIndex && this.state !== 'finished') {
+                    color = GATE_COLORS.next;
+                } else if (gate.index === 0 || (!this.closed && gate.index === this.gates.length - 1)) {
+                    color = GATE_COLORS.finish;
+                }
+            } else {
+                opacity = 0.35; // Fade gates that are behind the player
+            }
+
+            gate.mesh.material.color.setHex(color);
+            gate.mesh.material.opacity = opacity;
+        });
+    }
+
+    // Carry on checking gates from here, e.g. after a respawn so the jump from the wreck crosses none
+    resetSweep(position) {
+        this.previousPosition = position.clone();
+    }
+
+    /**
+     * Clear race progress so the course can be flown again
+     */
+    reset() {
+        this.state = 'idle';
+        this.routeIndex = 0;
+        this.currentLap = 1;
+        this.passedCount = 0;
+        this.missedCount = 0;
+        this.previousPosition = null;
+
+        this.gates.forEach((gate) => {
+            gate.status = 'pending';
+        });
+        this.updateGateColors();
+    }
+
+    /**
+     * Trigger planes for the race timer: start and finish gates plus a split at every checkpoint
+     */
+    getTimingPlanes() {
+        const toPlane = (gate, radiusScale = 1) => ({
+            position: gate.position.clone(),
+            normal: gate.normal.clone(),
+            radius: gate.radius * radiusScale
+        });
+        const routeGates = this.route.map(index => this.gates[index]);
+
+        return {
+            start: toPlane(routeGates[0]),
+            finish: toPlane(routeGates[routeGates.length - 1]),
+            // Splits use the miss tolerance so a clipped checkpoint still records a time
+            splits: routeGates.slice(1, -1).map(gate => toPlane(gate, this.missTolerance))
+        };
+    }
+
+    /**
+     * Spawn point from the track definition, placed at its altitude above the terrain
+     * @returns {Object|null} { position, heading } or null when the track has no spawn
+     */
+    getSpawn() {
+        if (!this.spawnDefinition) return null;
+
+        const { x, z, y, altitude, heading } = this.spawnDefinition;
+        const spawnY = y !== undefined ? y : this.environment.getTerrainHeightAt(x, z) + altitude;
+
+        return {
+            position: new THREE.Vector3(x, spawnY, z),
+            heading
+        };
+    }
+
+    /**
+     * Where to place refuel pickups: the track's own list, or halfway along every other leg
+     * @returns {Object[]} { x, z, y?, clearance? } for RefuelPickups.createPickups()
+     */
+    getPickupPositions() {
+        if (this.pickupDefinitions) {
+            return this.pickupDefinitions;
+        }
+
+        const positions = [];
+        for (let i = 1; i < this.gateDefinitions.length - 1; i += 2) {
+            const from = this.gateDefinitions[i];
+            const to = this.gateDefinitions[i + 1];
+            positions.push({ x: (from.x + to.x) / 2, z: (from.z + to.z) / 2 });
+        }
+        return positions;
+    }
+
+    /**
+     * Medal earned for a finishing time, if the track defines medal times
+     * @returns {string|null} 'gold', 'silver', 'bronze' or null
+     */
+    getMedal(time) {
+        if (!this.medals) return null;
+
+        return ['gold', 'silver', 'bronze'].find(medal => time <= this.medals[medal]) || null;
+    }
+
+    // Get race progress for UI display
+    getStatus() {
+        const gatesPerLap = this.closed ? this.gates.length : this.gates.length - 1;
+        const lapOffset = this.closed ? (this.currentLap - 1) * this.gates.length : 0;
+
+        return {
+            state: this.state,
+            nextGate: Math.min(this.routeIndex - lapOffset, gatesPerLap),
+            totalGates: gatesPerLap,
+            lap: this.currentLap,
+            laps: this.laps,
+            passed: this.passedCount,
+            missed: this.missedCount
+        };
+    }
+
+    /**
+     * Current course in the JSON track file format, e.g. for exporting from the editor
+     */
+    toJSON() {
+        const toDegrees = radians => radians === undefined ? undefined : Math.round(radians * 1800 / Math.PI) / 10;
+
+        // The built-in course has no spawn of its own, so export the default corner spawn
+        let spawn = this.spawnDefinition;
+        if (!spawn) {
+            const corner = this.environment.getCornerSpawnPosition();
+            spawn = { x: corner.x, z: corner.z, altitude: this.environment.spawnHeight, heading: Math.PI * 0.25 };
+        }
+
+        const definition = {
+            format: TRACK_FORMAT,
+            version: TRACK_FORMAT_VERSION,
+            id: this.trackId,
+            name: this.name,
+            laps: this.laps,
+            closed: this.closed,
+            spawn: {
+                x: spawn.x,
+                z: spawn.z,
+                y: spawn.y,
+                altitude: spawn.y === undefined ? spawn.altitude : undefined,
+                heading: toDegrees(spawn.heading)
+            },
+            gates: this.gateDefinitions.map(gate => ({
+                x: gate.x,
+                z: gate.z,
+                y: gate.y,
+                clearance: gate.clearance,
+                radius: gate.radius,
+                heading: toDegrees(gate.heading)
+            }))
+        };
+
+        if (this.terrainConfig) {
+            const terrain = {
+                heightmap: this.terrainConfig.heightmapPath,
+                size: this.terrainConfig.terrainSize,
+                heightScale: this.terrainConfig.heightScale,
+                runway: this.terrainConfig.runway
+                    ? { ...this.terrainConfig.runway, heading: toDegrees(this.terrainConfig.runway.heading) }
+                    : undefined
+            };
+            if (Object.values(terrain).some(value => value !== undefined)) {
+                definition.terrain = terrain;
+            }
+        }
+
+        if (this.medals) {
+            definition.medals = { ...this.medals };
+        }
+
+        if (this.pickupDefinitions) {
+            definition.pickups = this.pickupDefinitions.map(pickup => ({ ...pickup }));
+        }
+
+        if (this.seed !== null) {
+            definition.seed = this.seed;
+        }
+
+        // Drop unset optional fields so the output matches hand-written files
+        return JSON.parse(JSON.stringify(definition));
+    }
+
+    dispose() {
+        if (this.trackGroup) {
+            this.trackGroup.traverse((child) => {
+                if (child.isMesh) {
+                    child.geometry.dispose();
+                    child.material.dispose();
+                }
+            });
+            this.scene.remove(this.trackGroup);
+            this.trackGroup = null;
+        }
+        this.gates = [];
+    }
+}
+
+/**
+ * Error raised for track files that cannot be loaded or fail validation
+ */
+export class TrackFormatError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'TrackFormatError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Fetch, validate and normalise a JSON track definition
+ * @param {string} url - Path to the track file, e.g. 'tracks/valley-loop.json'
+ * @returns {Promise<Object>} Track config accepted by the RaceTrack constructor
+ */
+export async function loadTrackDefinition(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new TrackFormatError(`Could not load track "${url}": HTTP ${response.status}`);
+    }
+
+    let data;
+    try {
+        data = await response.json();
+    } catch (error) {
+        throw new TrackFormatError(`Track "${url}" is not valid JSON: ${error.message}`);
+    }
+
+    return parseTrackDefinition(data, url);
+}
+
+/**
+ * Validate a parsed track object and convert it to RaceTrack config
+ * (headings are authored in degrees and converted to radians here)
+ */
+export function parseTrackDefinition(data, source = 'track') {
+    const errors = validateTrackDefinition(data);
+    if (errors.length > 0) {
+        throw new TrackFormatError(`Invalid track "${source}":\n  - ${errors.join('\n  - ')}`, errors);
+    }
+
+    const toRadians = degrees => degrees === undefined ? undefined : degrees * Math.PI / 180;
+    const terrain = data.terrain || {};
+
+    return {
+        id: data.id,
+        name: data.name || data.id,
+        laps: data.laps || 1,
+        closed: data.closed || false,
+        spawn: {
+            x: data.spawn.x,
+            z: data.spawn.z,
+            y: data.spawn.y,
+            altitude: data.spawn.altitude !== undefined ? data.spawn.altitude : 300,
+            heading: toRadians(data.spawn.heading)
+        },
+        // Keys match the Environment constructor config
+        terrain: {
+            heightmapPath: terrain.heightmap,
+            terrainSize: terrain.size,
+            heightScale: terrain.heightScale,
+            runway: terrain.runway
+                ? {
+                    x: terrain.runway.x,
+                    z: terrain.runway.z,
+                    heading: toRadians(terrain.runway.heading),
+                    length: terrain.runway.length,
+                    width: terrain.runway.width
+                }
+                : undefined
+        },
+        gates: data.gates.map(gate => ({
+            x: gate.x,
+            z: gate.z,
+            y: gate.y,
+            clearance: gate.clearance,
+            radius: gate.radius,
+            heading: toRadians(gate.heading)
+        })),
+        medals: data.medals || null,
+        pickups: data.pickups
+            ? data.pickups.map(pickup => ({ x: pickup.x, z: pickup.z, y: pickup.y, clearance: pickup.clearance }))
+            : null,
+        seed: data.seed
+    };
+}
+
+/**
+ * Check a parsed track object against the format
+ * @returns {string[]} Readable error messages, empty when the track is valid
+ */
+export function validateTrackDefinition(data) {
+    const errors = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const checkOptionalNumber = (value, path, { positive = false, min } = {}) => {
+        if (value === undefined) return;
+        if (!isNumber(value)) {
+            errors.push(`${path} must be a number`);
+        } else if (positive && value <= 0) {
+            errors.push(`${path} must be greater than 0`);
+        } else if (min !== undefined && value < min) {
+            errors.push(`${path} must be at least ${min}`);
+        }
+    };
+
+    if (!isObject(data)) {
+        return ['track file must contain a JSON object'];
+    }
+
+    if (data.format !== TRACK_FORMAT) {
+        errors.push(`format must be "${TRACK_FORMAT}"`);
+    }
+    if (data.version !== TRACK_FORMAT_VERSION) {
+        errors.push(`version ${JSON.stringify(data.version)} is not supported (expected ${TRACK_FORMAT_VERSION})`);
+    }
+    if (typeof data.id !== 'string' || !/^[a-z0-9-]+$/.test(data.id)) {
+        errors.push('id must be a lowercase slug such as "valley-loop"');
+    }
+    if (data.name !== undefined && typeof data.name !== 'string') {
+        errors.push('name must be a string');
+    }
+
+    if (data.laps !== undefined && (!Number.isInteger(data.laps) || data.laps < 1)) {
+        errors.push('laps must be a whole number of at least 1');
+    }
+    if (data.closed !== undefined && typeof data.closed !== 'boolean') {
+        errors.push('closed must be true or false');
+    }
+    if (data.laps > 1 && data.closed !== true) {
+        errors.push('tracks with more than one lap must set "closed": true');
+    }
+
+    if (!isObject(data.spawn)) {
+        errors.push('spawn must be an object with x, z and heading');
+    } else {
+        if (!isNumber(data.spawn.x)) errors.push('spawn.x must be a number');
+        if (!isNumber(data.spawn.z)) errors.push('spawn.z must be a number');
+        if (!isNumber(data.spawn.heading)) errors.push('spawn.heading must be a number of degrees');
+        checkOptionalNumber(data.spawn.y, 'spawn.y');
+        checkOptionalNumber(data.spawn.altitude, 'spawn.altitude', { positive: true });
+    }
+
+    if (data.seed !== undefined && !(Number.isInteger(data.seed) && data.seed >= 0) && !(typeof data.seed === 'string' && data.seed.length > 0)) {
+        errors.push('seed must be a whole number of at least 0 or a non-empty string');
+    }
+
+    if (data.terrain !== undefined) {
+        if (!isObject(data.terrain)) {
+            errors.push('terrain must be an object');
+        } else {
+            if (data.terrain.heightmap !== undefined && typeof data.terrain.heightmap !== 'string') {
+                errors.push('terrain.heightmap must be a path string');
+            }
+            checkOptionalNumber(data.terrain.size, 'terrain.size', { positive: true });
+            checkOptionalNumber(data.terrain.heightScale, 'terrain.heightScale', { positive: true });
+
+            const runway = data.terrain.runway;
+            if (runway !== undefined) {
+                if (!isObject(runway)) {
+                    errors.push('terrain.runway must be an object');
+                } else {
+                    if (!isNumber(runway.x)) errors.push('terrain.runway.x must be a number');
+                    if (!isNumber(runway.z)) errors.push('terrain.runway.z must be a number');
+                    checkOptionalNumber(runway.heading, 'terrain.runway.heading');
+                    checkOptionalNumber(runway.length, 'terrain.runway.length', { positive: true });
+                    checkOptionalNumber(runway.width, 'terrain.runway.width', { positive: true });
+                }
+            }
+        }
+    }
+
+    if (!Array.isArray(data.gates) || data.gates.length < 2) {
+        errors.push('gates must be an array of at least 2 gates');
+    } else {
+        data.gates.forEach((gate, index) => {
+            const path = `gates[${index}]`;
+            if (!isObject(gate)) {
+                errors.push(`${path} must be an object`);
+                return;
+            }
+            if (!isNumber(gate.x)) errors.push(`${path}.x must be a number`);
+            if (!isNumber(gate.z)) errors.push(`${path}.z must be a number`);
+            checkOptionalNumber(gate.y, `${path}.y`);
+            checkOptionalNumber(gate.clearance, `${path}.clearance`, { min: 0 });
+            checkOptionalNumber(gate.radius, `${path}.radius`, { positive: true });
+            checkOptionalNumber(gate.heading, `${path}.heading`);
+        });
+    }
+
+    if (data.medals !== undefined) {
+        if (!isObject(data.medals)) {
+            errors.push('medals must be an object with gold, silver and bronze times');
+        } else {
+            ['gold', 'silver', 'bronze'].forEach((medal) => {
+                if (!isNumber(data.medals[medal]) || data.medals[medal] <= 0) {
+                    errors.push(`medals.${medal} must be a time in seconds greater than 0`);
+                }
+            });
+            const { gold, silver, bronze } = data.medals;
+            if (isNumber(gold) && isNumber(silver) && isNumber(bronze) && !(gold < silver && silver < bronze)) {
+                errors.push('medal times must be ordered gold < silver < bronze');
+            }
+        }
+    }
+
+    if (data.pickups !== undefined) {
+        if (!Array.isArray(data.pickups)) {
+            errors.push('pickups must be an array');
+        } else {
+            data.pickups.forEach((pickup, index) => {
+                const path = `pickups[${index}]`;
+                if (!isObject(pickup)) {
+                    errors.push(`${path} must be an object`);
+                    return;
+                }
+                if (!isNumber(pickup.x)) errors.push(`${path}.x must be a number`);
+                if (!isNumber(pickup.z)) errors.push(`${path}.z must be a number`);
+                checkOptionalNumber(pickup.y, `${path}.y`);
+                checkOptionalNumber(pickup.clearance, `${path}.clearance`, { min: 0 });
+            });
+        }
+    }
+
+    return errors;
+}
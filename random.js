@@ -0,0 +1,103 @@
+/**
+ * Seeded Randomness
+ * Every gameplay subsystem draws from a named stream of one RandomService instead of
+ * Math.random(), so the same seed and the same inputs give the same terrain and the same flight.
+ * Streams are independent: drawing more smoke particles never changes the next stall buffet.
+ */
+
+/**
+ * Small, fast PRNG (mulberry32) with a 32-bit state
+ */
+export class SeededRandom {
+    constructor(seed = Date.now()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+
+        // Allow passing random.next around as a plain function
+        this.next = this.next.bind(this);
+    }
+
+    /**
+     * Next number in [0, 1), same contract as Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Number in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [0, count)
+    int(count) {
+        return Math.floor(this.next() * count);
+    }
+
+    // Number in [-0.5, 0.5), the usual (Math.random() - 0.5)
+    centered() {
+        return this.next() - 0.5;
+    }
+
+    reset() {
+        this.state = this.seed;
+    }
+}
+
+export class RandomService {
+    constructor(seed) {
+        this.streams = new Map();
+        this.setSeed(seed);
+    }
+
+    /**
+     * Change the session seed; existing streams restart from the new seed
+     * @param {number|string} seed - Numbers are used as is, strings (track ids) are hashed
+     */
+    setSeed(seed) {
+        this.seed = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+        this.streams.forEach((stream, name) => {
+            stream.seed = hashSeed(`${this.seed}:${name}`);
+            stream.reset();
+        });
+        console.log(`🎲 Random seed: ${this.seed}`);
+    }
+
+    /**
+     * Named stream, created on first use
+     */
+    stream(name) {
+        if (!this.streams.has(name)) {
+            this.streams.set(name, new SeededRandom(hashSeed(`${this.seed}:${name}`)));
+        }
+        return this.streams.get(name);
+    }
+
+    /**
+     * Restart streams from the seed, e.g. at the start of a run. Resets all streams when no names are given
+     */
+    reset(...names) {
+        const targets = names.length > 0 ? names : [...this.streams.keys()];
+        targets.forEach((name) => this.stream(name).reset());
+    }
+
+    getSeed() {
+        return this.seed;
+    }
+}
+
+/**
+ * 32-bit FNV-1a hash, turns track ids and stream names into seeds
+ */
+export function hashSeed(value) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
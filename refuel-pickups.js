@@ -0,0 +1,124 @@
+import * as THREE from 'three';
+
+/**
+ * Refuel Pickups
+ * Floating fuel canisters over the terrain. Flying through one adds fuel; it then disappears
+ * for a while before it can be collected again. Positions come from the race track.
+ */
+export class RefuelPickups {
+    constructor(scene, environment, config = {}) {
+        this.scene = scene;
+        this.environment = environment;
+        this.collectRadius = config.collectRadius || 50; // Distance from the canister that collects it
+        this.fuelAmount = config.fuelAmount || 40; // Fuel units per pickup
+        this.respawnTime = config.respawnTime || 30; // Seconds before a collected pickup returns
+        this.clearance = config.clearance || 120; // Height above terrain when a pickup has no y
+
+        this.group = null;
+        this.pickups = [];
+
+        // Called with (pickup, fuelAmount) when the aircraft collects one
+        this.onCollect = null;
+
+        console.log('Refuel pickups initialized');
+    }
+
+    /**
+     * Build canisters at the given positions, replacing any existing ones
+     * @param {Object[]} definitions - { x, z, y?, clearance? } in world units
+     */
+    createPickups(definitions) {
+        this.dispose();
+
+        this.group = new THREE.Group();
+        this.group.name = 'RefuelPickups';
+
+        const canisterGeometry = new THREE.CylinderGeometry(6, 6, 14, 16);
+        const canisterMaterial = new THREE.MeshBasicMaterial({ color: 0x33dd66 });
+        const ringGeometry = new THREE.TorusGeometry(14, 1, 8, 32);
+        const ringMaterial = new THREE.MeshBasicMaterial({ color: 0xaaffcc, transparent: true, opacity: 0.6 });
+
+        this.pickups = definitions.map((definition, index) => {
+            const clearance = definition.clearance !== undefined ? definition.clearance : this.clearance;
+            const y = definition.y !== undefined
+                ? definition.y
+                : this.environment.getTerrainHeightAt(definition.x, definition.z) + clearance;
+
+            const mesh = new THREE.Group();
+            mesh.name = `RefuelPickup_${index}`;
+            mesh.add(new THREE.Mesh(canisterGeometry, canisterMaterial));
+            const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+            ring.rotation.x = Math.PI / 2;
+            mesh.add(ring);
+            mesh.position.set(definition.x, y, definition.z);
+            this.group.add(mesh);
+
+            return { index, position: mesh.position, mesh, respawnTimer: 0 };
+        });
+
+        this.scene.add(this.group);
+        console.log(`⛽ ${this.pickups.length} refuel pickups placed`);
+    }
+
+    /**
+     * Spin the canisters, count down respawns and collect any the aircraft flies through
+     * @param {THREE.Vector3} aircraftPosition
+     * @returns {number} Fuel collected this tick
+     */
+    update(deltaTime, aircraftPosition) {
+        let collected = 0;
+
+        this.pickups.forEach((pickup) => {
+            if (pickup.respawnTimer > 0) {
+                pickup.respawnTimer = Math.max(0, pickup.respawnTimer - deltaTime);
+                pickup.mesh.visible = pickup.respawnTimer === 0;
+                return;
+            }
+
+            pickup.mesh.rotation.y += deltaTime * 1.5;
+
+            if (aircraftPosition && aircraftPosition.distanceTo(pickup.position) <= this.collectRadius) {
+                pickup.respawnTimer = this.respawnTime;
+                pickup.mesh.visible = false;
+                collected += this.fuelAmount;
+                console.log(`⛽ Refuel pickup ${pickup.index + 1} collected`);
+                if (this.onCollect) this.onCollect(pickup, this.fuelAmount);
+            }
+        });
+
+        return collected;
+    }
+
+    // Bring every pickup back, e.g. when the flight is reset
+    reset() {
+        this.pickups.forEach((pickup) => {
+            pickup.respawnTimer = 0;
+            pickup.mesh.visible = true;
+        });
+    }
+
+    getStatus() {
+        return {
+            total: this.pickups.length,
+            available: this.pickups.filter(pickup => pickup.respawnTimer === 0).length
+        };
+    }
+
+    dispose() {
+        if (this.group) {
+            const geometries = new Set();
+            const materials = new Set();
+            this.group.traverse((child) => {
+                if (child.isMesh) {
+                    geometries.add(child.geometry);
+                    materials.add(child.material);
+                }
+            });
+            geometries.forEach(geometry => geometry.dispose());
+            materials.forEach(material => material.dispose());
+            this.scene.remove(this.group);
+            this.group = null;
+        }
+        this.pickups = [];
+    }
+}
@@ -0,0 +1,65 @@
+import * as THREE from 'three';
+import { getAirspeed } from './physics.js';
+
+/**
+ * Respawn After a Crash
+ * A ring buffer of recent safe flight states - well clear of the terrain and above the stall.
+ * When the crash camera has finished, the aircraft is put back at the latest one instead of the
+ * spawn, at a safe entry speed and briefly invulnerable so it cannot crash again straight away.
+ */
+
+export const DEFAULT_RESPAWN_PARAMS = {
+    capacity: 20, // Safe states kept (10 seconds at the record interval)
+    recordInterval: 0.5, // Seconds between recorded states
+    minClearance: 40, // Height above the terrain a state needs to count as safe
+    entrySpeedFactor: 1.5, // Respawn at no less than this multiple of the stall speed
+    scorePenalty: 100, // Score lost per respawn
+    timePenalty: 5, // Seconds added to a timed run per respawn
+    invulnerableTime: 3 // Seconds after a respawn in which terrain contact does no damage
+};
+
+export class SafeStateHistory {
+    constructor(params = {}) {
+        this.params = { ...DEFAULT_RESPAWN_PARAMS, ...params };
+
+        // Preallocated slots, overwritten oldest first
+        this.states = Array.from({ length: this.params.capacity }, () => ({
+            position: new THREE.Vector3(),
+            heading: 0,
+            speed: 0 // Airspeed
+        }));
+        this.clear();
+    }
+
+    clear() {
+        this.count = 0;
+        this.next = 0;
+        this.timer = 0;
+    }
+
+    /**
+     * Remember the flight state every recordInterval seconds while it is safe
+     * @param {Object} flightState - physics.js flight state
+     * @param {number} clearance - Height above the terrain under the aircraft
+     * @param {boolean} stalling - isStalling() for this tick
+     */
+    record(deltaTime, flightState, clearance, stalling) {
+        this.timer -= deltaTime;
+        if (this.timer > 0 || clearance < this.params.minClearance || stalling) return;
+
+        const state = this.states[this.next];
+        state.position.copy(flightState.position);
+        state.heading = flightState.heading;
+        state.speed = getAirspeed(flightState);
+
+        this.next = (this.next + 1) % this.states.length;
+        this.count = Math.min(this.count + 1, this.states.length);
+        this.timer = this.params.recordInterval;
+    }
+
+    // Most recent safe state, or null when none has been recorded since the last clear
+    getLatest() {
+        if (this.count === 0) return null;
+        return this.states[(this.next - 1 + this.states.length) % this.states.length];
+    }
+}
@@ -0,0 +1,164 @@
+import * as THREE from 'three';
+
+/**
+ * Runway
+ * A flat strip of tarmac for standing takeoffs and landings. The environment levels the terrain
+ * under it (blending back into the surrounding ground over a shoulder) before the terrain mesh is
+ * built, so the wheels, the terrain sampling and the drawn surface all agree on its height.
+ */
+
+export const DEFAULT_RUNWAY = {
+    length: 2400, // World units - a takeoff roll is about 700, a landing roll with brakes about 900
+    width: 120,
+    shoulder: 300 // Distance over which the levelled ground blends back into the terrain
+};
+
+export class Runway {
+    /**
+     * @param {Object} config - { x, z } centre, heading (radians, the takeoff direction - same
+     *   convention as the flight heading), and optional length, width and shoulder
+     */
+    constructor(config) {
+        this.center = new THREE.Vector3(config.x, 0, config.z);
+        this.heading = config.heading || 0;
+        this.length = config.length || DEFAULT_RUNWAY.length;
+        this.width = config.width || DEFAULT_RUNWAY.width;
+        this.shoulder = config.shoulder || DEFAULT_RUNWAY.shoulder;
+        this.elevation = 0; // Terrain height along the runway, set by flattenTerrain()
+        this.flatMargin = 0; // Levelled ground beyond the strip, set by flattenTerrain()
+        this.mesh = null;
+
+        // Unit vectors along the runway (takeoff direction) and across it (to the right)
+        this.direction = new THREE.Vector3(-Math.sin(this.heading), 0, -Math.cos(this.heading));
+        this.across = new THREE.Vector3(-this.direction.z, 0, this.direction.x);
+    }
+
+    /**
+     * Position relative to the runway centre
+     * @returns {Object} { along, across } - along is positive in the takeoff direction, across to the right
+     */
+    toRunwayFrame(x, z) {
+        const dx = x - this.center.x;
+        const dz = z - this.center.z;
+        return {
+            along: dx * this.direction.x + dz * this.direction.z,
+            across: dx * this.across.x + dz * this.across.z
+        };
+    }
+
+    // Whether a world position is over the runway, optionally with a margin around it
+    contains(x, z, margin = 0) {
+        const { along, across } = this.toRunwayFrame(x, z);
+        return Math.abs(along) <= this.length / 2 + margin && Math.abs(across) <= this.width / 2 + margin;
+    }
+
+    /**
+     * Level the terrain under the runway at its mean height and blend the shoulder into the ground
+     * Vertices within one and a half cells of the strip are levelled too, so every triangle the
+     * runway touches is flat.
+     * @param {Float32Array} positions - Terrain PlaneGeometry positions before rotation: x, y (world -z), height
+     * @param {number} cellSize - Terrain grid spacing
+     * @returns {number} Runway elevation
+     */
+    flattenTerrain(positions, cellSize) {
+        this.flatMargin = cellSize * 1.5;
+
+        let sum = 0;
+        let count = 0;
+        for (let i = 0; i < positions.length; i += 3) {
+            if (this.contains(positions[i], -positions[i + 1])) {
+                sum += positions[i + 2];
+                count++;
+            }
+        }
+        if (count > 0) {
+            this.elevation = sum / count;
+        }
+
+        for (let i = 0; i < positions.length; i += 3) {
+            const blend = this.getTerrainBlend(positions[i], -positions[i + 1]);
+            if (blend < 1) {
+                positions[i + 2] = this.elevation + (positions[i + 2] - this.elevation) * blend;
+            }
+        }
+
+        console.log(`🛬 Runway levelled at ${this.elevation.toFixed(1)} (${count} terrain vertices)`);
+        return this.elevation;
+    }
+
+    /**
+     * How much of the natural terrain shows at a world position: 0 on the levelled ground,
+     * smoothstep back to 1 across the shoulder. Also masks fine terrain detail off the runway.
+     */
+    getTerrainBlend(x, z) {
+        const { along, across } = this.toRunwayFrame(x, z);
+        const outsideAlong = Math.max(0, Math.abs(along) - this.length / 2 - this.flatMargin);
+        const outsideAcross = Math.max(0, Math.abs(across) - this.width / 2 - this.flatMargin);
+        const distance = Math.hypot(outsideAlong, outsideAcross);
+        if (distance >= this.shoulder) return 1;
+
+        const t = distance / this.shoulder;
+        return t * t * (3 - 2 * t);
+    }
+
+    // Tarmac with centreline dashes and threshold stripes, laid just above the levelled terrain
+    createMesh() {
+        const group = new THREE.Group();
+        group.name = 'Runway';
+
+        const tarmac = new THREE.Mesh(
+            new THREE.PlaneGeometry(this.width, this.length),
+            new THREE.MeshStandardMaterial({ color: 0x3a3a3a, roughness: 0.9, metalness: 0 })
+        );
+        tarmac.rotation.x = -Math.PI / 2;
+        tarmac.receiveShadow = true;
+        group.add(tarmac);
+
+        // Markings in the runway frame: x across, -z along the takeoff direction
+        const markingMaterial = new THREE.MeshBasicMaterial({ color: 0xf0f0f0 });
+        const addMarking = (width, length, x, z) => {
+            const marking = new THREE.Mesh(new THREE.PlaneGeometry(width, length), markingMaterial);
+            marking.rotation.x = -Math.PI / 2;
+            marking.position.set(x, 0.1, z);
+            group.add(marking);
+        };
+
+        const stripeLength = 80;
+        for (let z = -this.length / 2 + stripeLength * 2; z <= this.length / 2 - stripeLength * 2; z += stripeLength * 2) {
+            addMarking(3, stripeLength, 0, z);
+        }
+        [-1, 1].forEach((end) => {
+            const z = end * (this.length / 2 - stripeLength / 2 - 10);
+            for (let x = -this.width / 2 + 10; x <= -10; x += 12) {
+                addMarking(6, stripeLength, x, z);
+                addMarking(6, stripeLength, -x, z);
+            }
+        });
+
+        group.position.set(this.center.x, this.elevation + 0.3, this.center.z);
+        group.rotation.y = this.heading;
+        this.mesh = group;
+        return group;
+    }
+
+    /**
+     * Standing takeoff point, just in from the threshold and facing down the runway
+     * @returns {Object} { position, heading } with the position on the runway surface
+     */
+    getTakeoffPoint() {
+        const position = this.center.clone().addScaledVector(this.direction, -(this.length / 2 - 60));
+        position.y = this.elevation;
+        return { position, heading: this.heading };
+    }
+
+    getStatus() {
+        return {
+            x: Math.round(this.center.x),
+            z: Math.round(this.center.z),
+            heading: Math.round(this.heading * 180 / Math.PI),
+            length: this.length,
+            width: this.width,
+            elevation: Math.round(this.elevation)
+        };
+    }
+}
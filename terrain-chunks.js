@@ -0,0 +1,356 @@
+import * as THREE from 'three';
+import { sampleGridHeight, sampleGridNormal } from './terrain-sampling.js';
+
+/**
+ * Chunked Terrain with Level of Detail
+ * The terrain is a quadtree of square chunks over a height function. Every chunk has the same
+ * number of cells, so a chunk a quarter of the size is four times as detailed; chunks split as the
+ * viewer comes closer and merge again behind it. Chunks are built on demand, a few per update, and
+ * kept in a cache for a while after they go out of use.
+ *
+ * All chunk vertices lie on one finest grid (the leaf chunks' cells), triangulated the same way as
+ * PlaneGeometry, and getHeightAt() samples that grid - so the height query matches the terrain
+ * drawn around the player exactly. Where a chunk meets a coarser neighbour its edge vertices are
+ * moved onto the neighbour's edge, which keeps the seams closed.
+ */
+
+export const DEFAULT_CHUNK_PARAMS = {
+    chunkSegments: 32, // Cells along each side of every chunk
+    leafSize: 500, // Largest size of the smallest chunks - about 15.6 unit cells on the 16000 unit world
+    splitDistance: 2, // Split while the viewer is closer than this many chunk sizes - above 1 keeps neighbours within one level
+    buildsPerUpdate: 4, // Chunks built per update() at most, so streaming never stalls a frame
+    cacheSize: 256 // Hidden chunks kept for reuse before the least recently used is disposed
+};
+
+export class ChunkedTerrain {
+    /**
+     * @param {THREE.Object3D} parent - Scene or group the chunks are added to
+     * @param {Function} getHeight - (x, z) => terrain height at a world position
+     * @param {THREE.Material} material - Shared by all chunks, UVs span the whole terrain
+     * @param {number} size - Width of the terrain in world units, centred on the origin
+     */
+    constructor(parent, getHeight, material, size, params = {}) {
+        this.params = { ...DEFAULT_CHUNK_PARAMS, ...params };
+        this.getHeight = getHeight;
+        this.material = material;
+        this.size = size;
+
+        const { chunkSegments, leafSize } = this.params;
+        this.maxLevel = Math.max(0, Math.ceil(Math.log2(size / leafSize)));
+        this.segments = chunkSegments * 2 ** this.maxLevel; // Finest grid, the leaf chunks' cells
+        this.cellSize = size / this.segments;
+        this.vertexHeight = (ix, iz) => this.getVertexHeight(ix, iz);
+
+        this.group = new THREE.Group();
+        this.group.name = 'Terrain';
+        parent.add(this.group);
+
+        this.indices = this.createIndices();
+        this.root = this.createNode(0, 0, 0);
+        this.built = new Set(); // Nodes with a mesh, shown or cached
+        this.visible = new Set(); // Nodes drawn this update
+        this.pending = 0; // Nodes that want to split but wait for their children to be built
+        this.frame = 0;
+
+        console.log(`🗺️ Chunked terrain: ${this.maxLevel + 1} levels, finest cell ${this.cellSize.toFixed(1)} units`);
+    }
+
+    // Same triangles for every chunk, split along the (i, j + 1)-(i + 1, j) diagonal like PlaneGeometry
+    createIndices() {
+        const segments = this.params.chunkSegments;
+        const row = segments + 1;
+        const indices = new Uint16Array(segments * segments * 6);
+        let k = 0;
+        for (let j = 0; j < segments; j++) {
+            for (let i = 0; i < segments; i++) {
+                const a = j * row + i;
+                const b = (j + 1) * row + i;
+                const c = (j + 1) * row + i + 1;
+                const d = j * row + i + 1;
+                indices.set([a, b, d, b, c, d], k);
+                k += 6;
+            }
+        }
+        return indices;
+    }
+
+    /**
+     * @param {number} gx - Finest-grid column of the chunk's -x edge
+     * @param {number} gz - Finest-grid row of the chunk's -z edge
+     */
+    createNode(level, gx, gz) {
+        const stride = 2 ** (this.maxLevel - level); // Finest cells per chunk cell
+        const size = this.size / 2 ** level;
+        return {
+            level,
+            gx,
+            gz,
+            stride,
+            size,
+            centerX: -this.size / 2 + gx * this.cellSize + size / 2,
+            centerZ: -this.size / 2 + gz * this.cellSize + size / 2,
+            children: null,
+            split: false, // Drawn through its children this update
+            mesh: null,
+            heights: null, // Unstitched vertex heights, see stitchEdges()
+            edgeSteps: [1, 1, 1, 1], // -x, +x, -z, +z: vertices per neighbour vertex along each edge
+            lastUsed: 0
+        };
+    }
+
+    // Quarters of a node, created on first use: -x -z, +x -z, -x +z, +x +z
+    getChildren(node) {
+        if (!node.children) {
+            const span = this.params.chunkSegments * node.stride / 2;
+            node.children = [0, 1, 2, 3].map(quarter => this.createNode(
+                node.level + 1,
+                node.gx + (quarter % 2) * span,
+                node.gz + Math.floor(quarter / 2) * span
+            ));
+        }
+        return node.children;
+    }
+
+    getVertexHeight(ix, iz) {
+        return this.getHeight(-this.size / 2 + ix * this.cellSize, -this.size / 2 + iz * this.cellSize);
+    }
+
+    // Height of the finest grid at a world position - the surface drawn near the viewer
+    getHeightAt(x, z) {
+        return sampleGridHeight(this.vertexHeight, this.segments, this.size, x, z);
+    }
+
+    getNormalAt(x, z, target = new THREE.Vector3()) {
+        return sampleGridNormal(this.vertexHeight, this.segments, this.size, x, z, target);
+    }
+
+    getCellSize() {
+        return this.cellSize;
+    }
+
+    /**
+     * Pick the chunks to draw for a viewer position, building missing ones within the budget
+     * A node only splits once all four children are built; until then it stays on screen itself.
+     * @param {Object} viewer - Camera or aircraft position
+     * @param {number} budget - Chunks to build at most, Infinity to build everything needed now
+     */
+    update(viewer, budget = this.params.buildsPerUpdate) {
+        this.frame++;
+        const viewerHeight = Math.max(0, viewer.y - this.getHeightAt(viewer.x, viewer.z));
+        const leaves = [];
+        let pending = 0;
+
+        const visit = (node) => {
+            node.lastUsed = this.frame;
+            node.split = false;
+
+            if (this.wantsSplit(node, viewer, viewerHeight)) {
+                const children = this.getChildren(node);
+                children.forEach((child) => {
+                    child.lastUsed = this.frame;
+                    if (!child.mesh && budget > 0) {
+                        this.buildChunk(child);
+                        budget--;
+                    }
+                });
+                if (children.every(child => child.mesh)) {
+                    node.split = true;
+                    children.forEach(visit);
+                    return;
+                }
+                pending++;
+            }
+
+            // Something has to cover the ground, even over budget
+            if (!node.mesh) {
+                this.buildChunk(node);
+            }
+            leaves.push(node);
+        };
+        visit(this.root);
+
+        const visible = new Set(leaves);
+        this.visible.forEach((node) => {
+            if (!visible.has(node) && node.mesh) node.mesh.visible = false;
+        });
+        leaves.forEach((node) => {
+            node.mesh.visible = true;
+            this.stitchEdges(node);
+        });
+        this.visible = visible;
+        this.pending = pending;
+
+        this.evictChunks();
+    }
+
+    // Closer than splitDistance chunk sizes, measured from the viewer to the nearest point of the chunk
+    wantsSplit(node, viewer, viewerHeight) {
+        if (node.level >= this.maxLevel) return false;
+
+        const dx = Math.max(0, Math.abs(viewer.x - node.centerX) - node.size / 2);
+        const dz = Math.max(0, Math.abs(viewer.z - node.centerZ) - node.size / 2);
+        return Math.hypot(dx, dz, viewerHeight) < node.size * this.params.splitDistance;
+    }
+
+    buildChunk(node) {
+        const segments = this.params.chunkSegments;
+        const row = segments + 1;
+        const padded = row + 2;
+        const cell = node.stride * this.cellSize;
+        const half = node.size / 2;
+
+        // Heights with a one-vertex border, so normals on the edges match the chunk next door
+        const border = new Float32Array(padded * padded);
+        for (let j = -1; j <= row; j++) {
+            for (let i = -1; i <= row; i++) {
+                border[(j + 1) * padded + i + 1] = this.getVertexHeight(node.gx + i * node.stride, node.gz + j * node.stride);
+            }
+        }
+
+        const heights = new Float32Array(row * row);
+        const positions = new Float32Array(row * row * 3);
+        const normals = new Float32Array(row * row * 3);
+        const uvs = new Float32Array(row * row * 2);
+        const normal = new THREE.Vector3();
+
+        for (let j = 0; j < row; j++) {
+            for (let i = 0; i < row; i++) {
+                const k = j * row + i;
+                const center = (j + 1) * padded + i + 1;
+                const height = border[center];
+                heights[k] = height;
+
+                // Local to the chunk centre, the mesh sits at the centre
+                positions[k * 3] = i * cell - half;
+                positions[k * 3 + 1] = height;
+                positions[k * 3 + 2] = j * cell - half;
+
+                normal.set(border[center - 1] - border[center + 1], 2 * cell, border[center - padded] - border[center + padded]).normalize();
+                normals[k * 3] = normal.x;
+                normals[k * 3 + 1] = normal.y;
+                normals[k * 3 + 2] = normal.z;
+
+                // One texture across the whole terrain, oriented as on the old single PlaneGeometry
+                uvs[k * 2] = (node.gx + i * node.stride) / this.segments;
+                uvs[k * 2 + 1] = 1 - (node.gz + j * node.stride) / this.segments;
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+        geometry.setIndex(new THREE.BufferAttribute(this.indices, 1));
+
+        const mesh = new THREE.Mesh(geometry, this.material);
+        mesh.name = `Terrain chunk ${node.level}:${node.gx}:${node.gz}`;
+        mesh.position.set(node.centerX, 0, node.centerZ);
+        mesh.receiveShadow = true;
+        mesh.castShadow = true;
+        mesh.visible = false;
+        mesh.matrixAutoUpdate = false;
+        mesh.updateMatrix();
+        this.group.add(mesh);
+
+        node.mesh = mesh;
+        node.heights = heights;
+        node.edgeSteps = [1, 1, 1, 1];
+        this.built.add(node);
+    }
+
+    /**
+     * Close the seams to coarser neighbours: along an edge that meets a chunk with step times
+     * larger cells, the in-between vertices move onto the straight line between its vertices.
+     */
+    stitchEdges(node) {
+        const segments = this.params.chunkSegments;
+        const row = segments + 1;
+        const half = node.size / 2;
+        const outside = this.cellSize / 2;
+        const steps = [
+            this.getEdgeStep(node, node.centerX - half - outside, node.centerZ),
+            this.getEdgeStep(node, node.centerX + half + outside, node.centerZ),
+            this.getEdgeStep(node, node.centerX, node.centerZ - half - outside),
+            this.getEdgeStep(node, node.centerX, node.centerZ + half + outside)
+        ];
+        if (steps.every((step, edge) => step === node.edgeSteps[edge])) return;
+        node.edgeSteps = steps;
+
+        // Vertex index of the t-th vertex along each edge
+        const edgeVertex = [
+            t => t * row,
+            t => t * row + segments,
+            t => t,
+            t => segments * row + t
+        ];
+        const positions = node.mesh.geometry.attributes.position.array;
+        const heights = node.heights;
+
+        steps.forEach((step, edge) => {
+            const vertex = edgeVertex[edge];
+            for (let t = 0; t <= segments; t++) {
+                const offset = t % step;
+                let height = heights[vertex(t)];
+                if (offset !== 0) {
+                    const from = heights[vertex(t - offset)];
+                    const to = heights[vertex(t - offset + step)];
+                    height = from + (to - from) * offset / step;
+                }
+                positions[vertex(t) * 3 + 1] = height;
+            }
+        });
+        node.mesh.geometry.attributes.position.needsUpdate = true;
+    }
+
+    // Chunk vertices per vertex of the neighbour drawn at a point just past an edge, 1 unless it is coarser
+    getEdgeStep(node, x, z) {
+        const limit = this.size / 2;
+        if (Math.abs(x) > limit || Math.abs(z) > limit) return 1;
+
+        const neighbour = this.findLeafAt(x, z);
+        const levels = node.level - neighbour.level;
+        return levels > 0 ? Math.min(2 ** levels, this.params.chunkSegments) : 1;
+    }
+
+    // Drawn chunk covering a world position
+    findLeafAt(x, z) {
+        let node = this.root;
+        while (node.split) {
+            node = node.children[(z >= node.centerZ ? 2 : 0) + (x >= node.centerX ? 1 : 0)];
+        }
+        return node;
+    }
+
+    // Dispose the least recently used hidden chunks once the cache is full
+    evictChunks() {
+        const hidden = [...this.built].filter(node => !this.visible.has(node));
+        const excess = hidden.length - this.params.cacheSize;
+        if (excess <= 0) return;
+
+        hidden.sort((a, b) => a.lastUsed - b.lastUsed);
+        hidden.slice(0, excess).forEach(node => this.disposeChunk(node));
+    }
+
+    disposeChunk(node) {
+        this.group.remove(node.mesh);
+        node.mesh.geometry.dispose();
+        node.mesh = null;
+        node.heights = null;
+        this.built.delete(node);
+    }
+
+    getStatus() {
+        return {
+            levels: this.maxLevel + 1,
+            finestCell: Math.round(this.cellSize * 10) / 10,
+            visible: this.visible.size,
+            cached: this.built.size - this.visible.size,
+            pending: this.pending
+        };
+    }
+
+    dispose() {
+        [...this.built].forEach(node => this.disposeChunk(node));
+        this.group.removeFromParent();
+    }
+}
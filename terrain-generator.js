@@ -0,0 +1,228 @@
+/**
+ * Terrain Height Grid Generation
+ * The heightmap, noise and mountain passes that shape the terrain, as plain functions with no
+ * three.js or DOM dependency so they run inside terrain-worker.js (or on the main thread as a
+ * fallback). The result is laid out like PlaneGeometry positions - x, y (world -z), height per
+ * vertex - which is what terrain-sampling.js and Runway.flattenTerrain() read.
+ */
+
+/**
+ * Build the height grid from heightmap samples
+ * @param {Float32Array} heightData - Heightmap red channel, 0-1, one value per grid vertex
+ * @param {Object} options - { size, segments, heightScale }
+ * @param {SeededRandom} random - Terrain stream, places the extra mountains
+ * @param {Function} onProgress - Optional (stage, fraction) callback, fraction 0-1 over the whole run
+ * @returns {Float32Array} Positions, 3 floats per vertex
+ */
+export function generateHeightGrid(heightData, options, random, onProgress = () => {}) {
+    const { size, segments, heightScale } = options;
+    const row = segments + 1;
+    const half = size / 2;
+    const cell = size / segments;
+    const vertices = new Float32Array(row * row * 3);
+
+    // First pass: apply heightmap with dramatic scaling and add base noise
+    const flatAreas = [];
+    const heightThreshold = 0.15; // Adjusted for more varied terrain
+
+    for (let iy = 0; iy < row; iy++) {
+        for (let ix = 0; ix < row; ix++) {
+            const index = iy * row + ix;
+            // Same vertex order and (32-bit) coordinates as PlaneGeometry, so the noise lands where it used to
+            const x = Math.fround(ix * cell - half);
+            const y = Math.fround(-(iy * cell - half));
+
+            // Dramatically scale up the original heightmap mountains
+            let height = heightData[index] * heightScale * 2.5; // 2.5x scale increase
+
+            // Add base terrain noise to make everything more uneven
+            height += generateTerrainNoise(x, y);
+
+            // Add rolling hills to break up flat areas
+            height += generateRollingHills(x, y);
+
+            vertices[index * 3] = x;
+            vertices[index * 3 + 1] = y;
+            vertices[index * 3 + 2] = height;
+
+            // Identify relatively flat areas for mountain placement (after noise)
+            if (heightData[index] < heightThreshold) {
+                flatAreas.push({ index, x, y, originalHeight: height });
+            }
+        }
+        onProgress('heights', 0.2 * (iy + 1) / row);
+    }
+
+    // Find mountain regions in the heightmap for copying
+    const mountainRegions = findMountainRegions(heightData, segments);
+    onProgress('mountains', 0.3);
+
+    // Place additional mountains in flat areas
+    placeMountainsInFlatAreas(vertices, flatAreas, mountainRegions, options, random, (fraction) => {
+        onProgress('mountains', 0.3 + 0.7 * fraction);
+    });
+
+    onProgress('done', 1);
+    return vertices;
+}
+
+function generateTerrainNoise(x, y) {
+    // Multi-octave noise for varied, uneven ground
+    let noise = 0;
+
+    // Large geological features
+    noise += Math.sin(x * 0.001) * Math.cos(y * 0.001) * 80;
+    noise += Math.sin(x * 0.002) * Math.cos(y * 0.002) * 40;
+
+    // Medium terrain variation
+    noise += Math.sin(x * 0.005) * Math.cos(y * 0.005) * 25;
+    noise += Math.sin(x * 0.01) * Math.cos(y * 0.01) * 15;
+
+    // Fine surface detail
+    noise += Math.sin(x * 0.02) * Math.cos(y * 0.02) * 8;
+
+    return noise;
+}
+
+function generateRollingHills(x, y) {
+    // Create rolling hills across the terrain
+    let hills = 0;
+
+    // Large rolling hills
+    hills += Math.sin(x * 0.0015) * Math.cos(y * 0.0015) * 60;
+    hills += Math.sin(x * 0.003) * Math.cos(y * 0.003) * 30;
+
+    // Medium undulation
+    hills += Math.sin(x * 0.006) * Math.cos(y * 0.006) * 20;
+
+    // Slight randomness
+    hills += Math.sin(x * 0.0123) * Math.cos(y * 0.0321) * 12;
+
+    return hills;
+}
+
+function findMountainRegions(heightData, segments) {
+    const mountainRegions = [];
+    const segmentSize = segments + 1;
+    const mountainThreshold = 0.7; // Areas above this are considered mountains
+
+    // Scan for mountain regions
+    for (let y = 0; y < segmentSize; y++) {
+        for (let x = 0; x < segmentSize; x++) {
+            const index = y * segmentSize + x;
+            if (heightData[index] > mountainThreshold) {
+                // Found a mountain peak, extract surrounding region
+                const region = extractMountainRegion(heightData, x, y, segmentSize);
+                if (region.size > 100) { // Only use significant mountain regions
+                    mountainRegions.push(region);
+                }
+            }
+        }
+    }
+
+    return mountainRegions;
+}
+
+function extractMountainRegion(heightData, centerX, centerY, segmentSize) {
+    const region = { centerX, centerY, heights: [], size: 0 };
+    const radius = 20; // Extract 40x40 region around mountain peak
+
+    for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+            const x = centerX + dx;
+            const y = centerY + dy;
+
+            if (x >= 0 && x < segmentSize && y >= 0 && y < segmentSize) {
+                const index = y * segmentSize + x;
+                region.heights.push({
+                    offsetX: dx,
+                    offsetY: dy,
+                    height: heightData[index]
+                });
+                region.size++;
+            }
+        }
+    }
+
+    return region;
+}
+
+function placeMountainsInFlatAreas(vertices, flatAreas, mountainRegions, options, random, onProgress) {
+    if (mountainRegions.length === 0) return;
+    if (flatAreas.length === 0) return;
+
+    // Randomly select 4-6 flat areas for mountain placement
+    // Ensure at least 1 mountain is placed if we have flat areas
+    const numMountains = Math.min(6, Math.max(1, Math.floor(flatAreas.length / 800)));
+    const selectedAreas = [];
+
+    // Track used mountain patterns to avoid repetition
+    const usedPatterns = new Set();
+
+    for (let i = 0; i < numMountains; i++) {
+        const randomIndex = random.int(flatAreas.length);
+        const area = flatAreas[randomIndex];
+
+        // Ensure areas are spread out
+        const minDistance = 400;
+        const tooClose = selectedAreas.some(selected =>
+            Math.abs(selected.x - area.x) < minDistance ||
+            Math.abs(selected.y - area.y) < minDistance
+        );
+
+        if (!tooClose) {
+            selectedAreas.push(area);
+        }
+    }
+
+    // Place mountains in selected areas with more dramatic scaling
+    selectedAreas.forEach((area, mountainIndex) => {
+        // Select mountain pattern, avoiding repetition when possible
+        let selectedPatternIndex;
+        let attempts = 0;
+        const maxAttempts = mountainRegions.length * 2;
+
+        do {
+            selectedPatternIndex = random.int(mountainRegions.length);
+            attempts++;
+        } while (usedPatterns.has(selectedPatternIndex) &&
+                 usedPatterns.size < mountainRegions.length &&
+                 attempts < maxAttempts);
+
+        usedPatterns.add(selectedPatternIndex);
+        const mountainRegion = mountainRegions[selectedPatternIndex];
+        placeMountainAt(vertices, area.x, area.y, mountainRegion, options, random, (fraction) => {
+            onProgress((mountainIndex + fraction) / selectedAreas.length);
+        });
+    });
+
+    console.log(`Placed ${selectedAreas.length} additional mountain regions using ${usedPatterns.size} different patterns`);
+}
+
+function placeMountainAt(vertices, targetX, targetY, mountainRegion, options, random, onProgress) {
+    const { size, segments, heightScale } = options;
+    const segmentSize = segments + 1;
+    const scale = random.range(1.2, 2.0); // Random scale 1.2-2.0 for more dramatic mountains
+
+    mountainRegion.heights.forEach((point, pointIndex) => {
+        const worldX = targetX + point.offsetX * (size / segmentSize);
+        const worldY = targetY + point.offsetY * (size / segmentSize);
+
+        // Find closest vertex
+        for (let i = 0; i < vertices.length; i += 3) {
+            const vx = vertices[i];
+            const vy = vertices[i + 1];
+            const distance = Math.sqrt((vx - worldX) ** 2 + (vy - worldY) ** 2);
+
+            if (distance < 25) { // Slightly larger influence radius
+                const mountainHeight = point.height * heightScale * 2.5 * scale; // Increased scaling
+                const currentHeight = vertices[i + 2];
+
+                // Blend the mountain height with existing terrain
+                const blendFactor = Math.max(0, 1 - distance / 25);
+                vertices[i + 2] = Math.max(currentHeight, mountainHeight * blendFactor);
+            }
+        }
+        onProgress((pointIndex + 1) / mountainRegion.heights.length);
+    });
+}
@@ -0,0 +1,131 @@
+import * as THREE from 'three';
+
+/**
+ * Terrain Height Sampling
+ * Exact height and normal of the rendered terrain mesh at any world (x, z). The terrain is a
+ * THREE.PlaneGeometry of segments x segments cells, rotated -90° about X, so vertex row iy sits
+ * at world z = -size/2 + iy * cell and its local z is the height. PlaneGeometry splits each cell
+ * along the diagonal from (ix, iy + 1) to (ix + 1, iy); sampling the triangle under the point
+ * matches the mesh exactly instead of snapping to a grid vertex.
+ */
+
+const cell = { ix: 0, iy: 0, u: 0, v: 0, size: 0 };
+
+// Find the grid cell under a world point and the position inside it (u along x, v along z, 0-1)
+function locateCell(segments, size, x, z) {
+    const cellSize = size / segments;
+    const gridX = Math.max(0, Math.min(segments, (x + size / 2) / cellSize));
+    const gridZ = Math.max(0, Math.min(segments, (z + size / 2) / cellSize));
+
+    cell.ix = Math.min(Math.floor(gridX), segments - 1);
+    cell.iy = Math.min(Math.floor(gridZ), segments - 1);
+    cell.u = gridX - cell.ix;
+    cell.v = gridZ - cell.iy;
+    cell.size = cellSize;
+    return cell;
+}
+
+/**
+ * Height of the terrain mesh at a world position, clamped to the terrain edge outside it
+ * @param {ArrayLike<number>} positions - Terrain geometry position array (x, y, height per vertex)
+ * @param {number} segments - Segments per side of the PlaneGeometry
+ * @param {number} size - Width of the terrain in world units
+ */
+export function sampleTerrainHeight(positions, segments, size, x, z) {
+    const row = segments + 1;
+    return sampleGridHeight((ix, iy) => positions[(iy * row + ix) * 3 + 2], segments, size, x, z);
+}
+
+/**
+ * Upward unit normal of the terrain triangle under a world position
+ * @param {THREE.Vector3} target - Written and returned, a new vector when omitted
+ */
+export function sampleTerrainNormal(positions, segments, size, x, z, target = new THREE.Vector3()) {
+    const row = segments + 1;
+    return sampleGridNormal((ix, iy) => positions[(iy * row + ix) * 3 + 2], segments, size, x, z, target);
+}
+
+/**
+ * Height over any grid triangulated like PlaneGeometry, with vertex heights from a function
+ * instead of a position array - the chunked terrain computes them on demand.
+ * @param {Function} getVertexHeight - (ix, iy) => height of grid vertex column ix (along x), row iy (along z)
+ */
+export function sampleGridHeight(getVertexHeight, segments, size, x, z) {
+    const { ix, iy, u, v } = locateCell(segments, size, x, z);
+    const heightA = getVertexHeight(ix, iy); // (u 0, v 0)
+    const heightB = getVertexHeight(ix, iy + 1); // (0, 1)
+    const heightC = getVertexHeight(ix + 1, iy + 1); // (1, 1)
+    const heightD = getVertexHeight(ix + 1, iy); // (1, 0)
+
+    if (u + v <= 1) {
+        return heightA + u * (heightD - heightA) + v * (heightB - heightA);
+    }
+    return heightC + (1 - u) * (heightB - heightC) + (1 - v) * (heightD - heightC);
+}
+
+// Normal of the grid triangle under a world position, see sampleGridHeight()
+export function sampleGridNormal(getVertexHeight, segments, size, x, z, target = new THREE.Vector3()) {
+    const { ix, iy, u, v, size: cellSize } = locateCell(segments, size, x, z);
+    const heightA = getVertexHeight(ix, iy);
+    const heightB = getVertexHeight(ix, iy + 1);
+    const heightC = getVertexHeight(ix + 1, iy + 1);
+    const heightD = getVertexHeight(ix + 1, iy);
+
+    // Slope of the triangle along world x and z
+    let slopeX, slopeZ;
+    if (u + v <= 1) {
+        slopeX = (heightD - heightA) / cellSize;
+        slopeZ = (heightB - heightA) / cellSize;
+    } else {
+        slopeX = (heightC - heightB) / cellSize;
+        slopeZ = (heightC - heightD) / cellSize;
+    }
+
+    return target.set(-slopeX, 1, -slopeZ).normalize();
+}
+
+/**
+ * First point where a moving point meets the terrain along a straight segment
+ * Steps along the segment at most stepLength apart, then bisects the crossing, so a short step
+ * (a fraction of a grid cell) catches ridges that lie between the two end points.
+ * @param {Function} getHeight - (x, z) => terrain height
+ * @param {THREE.Vector3} from - Start of the segment (last tick)
+ * @param {THREE.Vector3} to - End of the segment (this tick)
+ * @param {number} stepLength - Largest horizontal distance between samples
+ * @param {number} margin - Clearance above the surface that already counts as contact
+ * @returns {Object|null} { t, point } with t the fraction of the segment (0-1) at impact, or null when clear
+ */
+export function sweepTerrain(getHeight, from, to, stepLength, margin = 0) {
+    const clearanceAt = (t) => {
+        const x = from.x + (to.x - from.x) * t;
+        const z = from.z + (to.z - from.z) * t;
+        return from.y + (to.y - from.y) * t - getHeight(x, z) - margin;
+    };
+    const pointAt = t => new THREE.Vector3().lerpVectors(from, to, t);
+
+    if (clearanceAt(0) <= 0) {
+        return { t: 0, point: pointAt(0) };
+    }
+
+    const horizontal = Math.hypot(to.x - from.x, to.z - from.z);
+    const steps = Math.max(1, Math.ceil(horizontal / stepLength));
+
+    let previousT = 0;
+    for (let i = 1; i <= steps; i++) {
+        const t = i / steps;
+        if (clearanceAt(t) <= 0) {
+            // Narrow the crossing down between the last clear sample and this one
+            let clearT = previousT;
+            let hitT = t;
+            for (let j = 0; j < 12; j++) {
+                const middle = (clearT + hitT) / 2;
+                if (clearanceAt(middle) <= 0) hitT = middle;
+                else clearT = middle;
+            }
+            return { t: hitT, point: pointAt(hitT) };
+        }
+        previousT = t;
+    }
+
+    return null;
+}
@@ -0,0 +1,32 @@
+import { SeededRandom } from './random.js';
+import { generateHeightGrid } from './terrain-generator.js';
+
+/**
+ * Terrain Worker
+ * Runs generateHeightGrid() off the main thread so the page keeps animating while the terrain is
+ * built. Receives { heightData, options, randomState } and posts { type: 'progress', stage, progress }
+ * along the way, then { type: 'done', positions, randomState } with the positions buffer transferred.
+ * randomState goes both ways so the terrain stream continues exactly as if it had run on the main thread.
+ */
+
+const PROGRESS_STEP = 0.01; // Post at most one progress message per percent
+
+self.onmessage = (event) => {
+    const { heightData, options, randomState } = event.data;
+
+    try {
+        const random = new SeededRandom();
+        random.state = randomState;
+
+        let lastProgress = -Infinity;
+        const positions = generateHeightGrid(heightData, options, random, (stage, progress) => {
+            if (progress - lastProgress < PROGRESS_STEP && progress < 1) return;
+            lastProgress = progress;
+            self.postMessage({ type: 'progress', stage, progress });
+        });
+
+        self.postMessage({ type: 'done', positions, randomState: random.state }, [positions.buffer]);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
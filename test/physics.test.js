@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFlightState, stepFlight, getAirspeed, isStalling, DEFAULT_FLIGHT_PARAMS } from '../physics.js';
+
+// Scripted flights through the force model - no browser, no three.js
+
+const STEP = 1 / 60;
+const ARCADE_PARAMS = { ...DEFAULT_FLIGHT_PARAMS, realism: 0 };
+
+function fly(state, controls, seconds, params = DEFAULT_FLIGHT_PARAMS) {
+    for (let i = 0; i < Math.round(seconds / STEP); i++) {
+        stepFlight(state, { throttle: 0, pitch: 0, yaw: 0, roll: 0, ...controls }, params, STEP, { random: () => 0.5 });
+    }
+    return state;
+}
+
+function cruising(params = DEFAULT_FLIGHT_PARAMS) {
+    return fly(createFlightState({ position: { x: 0, y: 1000, z: 0 } }), { throttle: 1 }, 20, params);
+}
+
+test('full throttle from rest accelerates past the stall speed', () => {
+    const state = cruising();
+
+    assert.ok(getAirspeed(state) > DEFAULT_FLIGHT_PARAMS.stallSpeed * 1.4);
+    assert.equal(isStalling(state), false);
+});
+
+test('full throttle climbs once the nose is raised', () => {
+    const state = cruising();
+    const startAltitude = state.position.y;
+
+    fly(state, { throttle: 1, pitch: -0.24 }, 0.5); // Up arrow: pitch is negative for nose up
+    assert.ok(state.pitch > 0.2);
+
+    fly(state, { throttle: 1 }, 10);
+    assert.ok(state.position.y - startAltitude > 500);
+    assert.equal(isStalling(state), false);
+});
+
+test('the arcade model climbs in level flight at full throttle', () => {
+    const state = cruising(ARCADE_PARAMS);
+    const startAltitude = state.position.y;
+
+    fly(state, { throttle: 1 }, 10, ARCADE_PARAMS);
+    assert.ok(state.position.y - startAltitude > 500);
+    assert.ok(Math.abs(state.pitch) < 0.05);
+});
+
+test('idle throttle slows down and descends', () => {
+    const state = cruising();
+    const cruiseSpeed = getAirspeed(state);
+    const startAltitude = state.position.y;
+
+    fly(state, {}, 10);
+    assert.ok(getAirspeed(state) < cruiseSpeed * 0.5);
+    assert.ok(state.position.y < startAltitude - 200);
+});
+
+test('below the stall speed the aircraft stalls and sinks', () => {
+    const state = createFlightState({ position: { x: 0, y: 1000, z: 0 } });
+    state.velocity.z = -DEFAULT_FLIGHT_PARAMS.stallSpeed / 2;
+    assert.equal(isStalling(state), true);
+
+    fly(state, {}, 3);
+    assert.equal(isStalling(state), true);
+    assert.ok(state.velocity.y < -1);
+    assert.ok(state.position.y < 960);
+});
+
+test('the arcade stall drops the nose', () => {
+    const state = createFlightState({ position: { x: 0, y: 1000, z: 0 } });
+    state.velocity.z = -ARCADE_PARAMS.stallSpeed / 2;
+
+    fly(state, {}, 1, ARCADE_PARAMS);
+    assert.ok(state.pitch < 0);
+});
+
+test('banking turns towards the lowered wing', () => {
+    const left = fly(cruising(), { throttle: 1, roll: 0.5 }, 1); // Roll is positive for left bank
+    const right = fly(cruising(), { throttle: 1, roll: -0.5 }, 1);
+
+    assert.ok(left.heading > 0.3); // Heading is positive to the left
+    assert.ok(right.heading < -0.3);
+});
+
+test('the same inputs fly the same path', () => {
+    const first = fly(cruising(), { throttle: 0.6, pitch: -0.1, roll: 0.3 }, 5);
+    const second = fly(cruising(), { throttle: 0.6, pitch: -0.1, roll: 0.3 }, 5);
+
+    assert.deepEqual(second.position, first.position);
+    assert.equal(second.heading, first.heading);
+});
@@ -0,0 +1,87 @@
+/**
+ * Throttle Lever
+ * The throttle stays where it is set. Throttle up/down actions step the lever and keep moving it
+ * while held; it stops at the idle and military detents, and the afterburner (boost) action pushes
+ * it through the military gate while held. Engine spool-up is modelled in AircraftSystem.
+ */
+
+export const THROTTLE_DETENTS = {
+    idle: 0,
+    military: 1.0, // Full dry thrust, the top of the lever's normal travel
+    afterburner: 1.5 // Thrust level with the afterburner lit
+};
+
+export const DEFAULT_THROTTLE_CONFIG = {
+    step: 0.1, // Lever travel per press
+    rate: 0.5, // Lever travel per second while held, after the first step
+    repeatDelay: 0.25 // Seconds held before the lever starts moving continuously
+};
+
+export class ThrottleLever {
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_THROTTLE_CONFIG, ...config };
+        this.position = THROTTLE_DETENTS.idle; // 0 (idle) to 1 (military)
+        this.afterburner = false;
+
+        this.heldTime = 0; // How long the current direction has been held
+        this.direction = 0; // -1, 0 or 1
+    }
+
+    /**
+     * Advance the lever one tick
+     * @param {number} up - Throttle up action value, 0-1 (analog triggers move the lever slower)
+     * @param {number} down - Throttle down action value, 0-1
+     * @param {boolean} afterburner - Boost action held
+     */
+    update(up, down, afterburner, deltaTime) {
+        const command = up - down;
+        const direction = Math.abs(command) > 0.05 ? Math.sign(command) : 0;
+
+        if (direction !== this.direction) {
+            this.direction = direction;
+            this.heldTime = 0;
+            if (direction !== 0) {
+                this.move(direction * this.config.step);
+            }
+        } else if (direction !== 0) {
+            this.heldTime += deltaTime;
+            if (this.heldTime > this.config.repeatDelay) {
+                this.move(command * this.config.rate * deltaTime);
+            }
+        }
+
+        // The afterburner pushes the lever through the military gate; it stays at military on release
+        if (afterburner) {
+            this.position = THROTTLE_DETENTS.military;
+        }
+        this.afterburner = afterburner;
+    }
+
+    // Idle and military are the ends of the lever's travel
+    set(position) {
+        this.position = Math.max(THROTTLE_DETENTS.idle, Math.min(THROTTLE_DETENTS.military, position));
+    }
+
+    move(amount) {
+        this.set(this.position + amount);
+    }
+
+    reset() {
+        this.position = THROTTLE_DETENTS.idle;
+        this.afterburner = false;
+        this.direction = 0;
+        this.heldTime = 0;
+    }
+
+    // Thrust level the engine should spool towards
+    getCommand() {
+        return this.afterburner ? THROTTLE_DETENTS.afterburner : this.position;
+    }
+
+    getDetent() {
+        if (this.afterburner) return 'afterburner';
+        if (this.position === THROTTLE_DETENTS.military) return 'military';
+        if (this.position === THROTTLE_DETENTS.idle) return 'idle';
+        return null;
+    }
+}
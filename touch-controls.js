@@ -0,0 +1,295 @@
+/**
+ * Touch Controls
+ * On-screen virtual stick (pitch/roll), throttle slider, boost, gear, brake and reset buttons, plus an
+ * optional device-orientation tilt mode. Every control tracks its own pointer id, so the stick
+ * and throttle can be held at the same time. Stick and buttons come out as action values (see
+ * input.js) that AircraftControls merges with the keyboard and gamepad; the slider sets the
+ * throttle lever directly.
+ */
+
+export const DEFAULT_TOUCH_CONFIG = {
+    stickRadius: 50, // Knob travel in pixels for full deflection
+    stickDeadzone: 0.08,
+    tiltRange: 30, // Degrees of tilt for full deflection
+    tiltDeadzone: 3 // Degrees ignored around the calibrated neutral
+};
+
+export class TouchControls {
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_TOUCH_CONFIG, ...config };
+
+        this.supported = TouchControls.isTouchDevice();
+        this.visible = false;
+
+        this.stick = { x: 0, y: 0, pointerId: null, originX: 0, originY: 0 }; // x right, y down, -1..1
+        this.throttle = 0; // Slider position 0-1, stays where it is left
+        this.throttlePointerId = null;
+        this.throttleMoved = false; // Slider dragged since the lever last read it
+        this.buttons = { boost: new Set(), gear: new Set(), brake: new Set(), reset: new Set() }; // Pointer ids holding each button
+
+        this.tiltEnabled = false;
+        this.tilt = { roll: 0, pitch: 0 }; // Degrees relative to neutral
+        this.tiltNeutral = null; // { roll, pitch } captured on the first reading after enabling
+        this.handleOrientation = this.handleOrientation.bind(this);
+
+        this.container = document.getElementById('touchControls');
+        this.stickElement = document.getElementById('touchStick');
+        this.knobElement = document.getElementById('touchStickKnob');
+        this.throttleElement = document.getElementById('touchThrottle');
+        this.throttleHandle = document.getElementById('touchThrottleHandle');
+        this.tiltButton = document.getElementById('touchTilt');
+
+        if (this.supported) {
+            this.setupEventListeners();
+        }
+        console.log(`📱 Touch controls ${this.supported ? 'available' : 'not supported on this device'}`);
+    }
+
+    static isTouchDevice() {
+        return typeof window !== 'undefined' && ('ontouchstart' in window || navigator.maxTouchPoints > 0);
+    }
+
+    setupEventListeners() {
+        // Virtual stick - centred wherever the finger lands inside the stick area
+        this.stickElement.addEventListener('pointerdown', (event) => {
+            if (this.stick.pointerId !== null) return;
+            event.preventDefault();
+            this.stickElement.setPointerCapture(event.pointerId);
+            const rect = this.stickElement.getBoundingClientRect();
+            this.stick.pointerId = event.pointerId;
+            this.stick.originX = rect.left + rect.width / 2;
+            this.stick.originY = rect.top + rect.height / 2;
+            this.moveStick(event);
+        });
+        this.stickElement.addEventListener('pointermove', (event) => {
+            if (event.pointerId === this.stick.pointerId) this.moveStick(event);
+        });
+        const releaseStick = (event) => {
+            if (event.pointerId !== this.stick.pointerId) return;
+            this.stick.pointerId = null;
+            this.stick.x = 0;
+            this.stick.y = 0;
+            this.knobElement.style.transform = 'translate(-50%, -50%)';
+        };
+        this.stickElement.addEventListener('pointerup', releaseStick);
+        this.stickElement.addEventListener('pointercancel', releaseStick);
+
+        // Throttle slider
+        this.throttleElement.addEventListener('pointerdown', (event) => {
+            if (this.throttlePointerId !== null) return;
+            event.preventDefault();
+            this.throttleElement.setPointerCapture(event.pointerId);
+            this.throttlePointerId = event.pointerId;
+            this.moveThrottle(event);
+        });
+        this.throttleElement.addEventListener('pointermove', (event) => {
+            if (event.pointerId === this.throttlePointerId) this.moveThrottle(event);
+        });
+        const releaseThrottle = (event) => {
+            if (event.pointerId === this.throttlePointerId) this.throttlePointerId = null;
+        };
+        this.throttleElement.addEventListener('pointerup', releaseThrottle);
+        this.throttleElement.addEventListener('pointercancel', releaseThrottle);
+
+        // Hold buttons
+        Object.keys(this.buttons).forEach(name => {
+            const element = document.querySelector(`[data-touch-action="${name}"]`);
+            const pressed = this.buttons[name];
+            element.addEventListener('pointerdown', (event) => {
+                event.preventDefault();
+                element.setPointerCapture(event.pointerId);
+                pressed.add(event.pointerId);
+                element.classList.add('pressed');
+            });
+            const release = (event) => {
+                pressed.delete(event.pointerId);
+                if (pressed.size === 0) element.classList.remove('pressed');
+            };
+            element.addEventListener('pointerup', release);
+            element.addEventListener('pointercancel', release);
+        });
+
+        this.tiltButton.addEventListener('click', () => this.setTiltEnabled(!this.tiltEnabled));
+    }
+
+    moveStick(event) {
+        const radius = this.config.stickRadius;
+        let dx = (event.clientX - this.stick.originX) / radius;
+        let dy = (event.clientY - this.stick.originY) / radius;
+
+        // Keep the knob inside the ring
+        const length = Math.sqrt(dx * dx + dy * dy);
+        if (length > 1) {
+            dx /= length;
+            dy /= length;
+        }
+
+        this.stick.x = dx;
+        this.stick.y = dy;
+        this.knobElement.style.transform = `translate(calc(-50% + ${dx * radius}px), calc(-50% + ${dy * radius}px))`;
+    }
+
+    moveThrottle(event) {
+        const rect = this.throttleElement.getBoundingClientRect();
+        this.throttle = clamp((rect.bottom - event.clientY) / rect.height, 0, 1);
+        this.throttleMoved = true;
+        this.throttleHandle.style.bottom = `${this.throttle * 100}%`;
+    }
+
+    /**
+     * New throttle lever position from the slider, once per drag movement
+     * @returns {number|null} 0-1, or null when the slider has not moved
+     */
+    takeThrottleSetting() {
+        if (!this.visible || !this.throttleMoved) return null;
+        this.throttleMoved = false;
+        return this.throttle;
+    }
+
+    // Follow the lever when keys or a gamepad move it
+    showThrottle(position) {
+        if (this.throttlePointerId !== null || position === this.throttle) return;
+        this.throttle = position;
+        this.throttleHandle.style.bottom = `${position * 100}%`;
+    }
+
+    /**
+     * Turn tilt steering on or off. iOS only allows the permission request from a tap,
+     * so call this from a click handler.
+     */
+    async setTiltEnabled(enabled) {
+        if (enabled && typeof DeviceOrientationEvent !== 'undefined' &&
+            typeof DeviceOrientationEvent.requestPermission === 'function') {
+            try {
+                const permission = await DeviceOrientationEvent.requestPermission();
+                if (permission !== 'granted') {
+                    console.log('📱 Tilt steering permission denied');
+                    return;
+                }
+            } catch (error) {
+                console.log('📱 Tilt steering unavailable:', error.message);
+                return;
+            }
+        }
+
+        this.tiltEnabled = enabled;
+        this.tiltNeutral = null; // Hold the device as it is now to fly level
+        this.tilt = { roll: 0, pitch: 0 };
+        if (enabled) {
+            window.addEventListener('deviceorientation', this.handleOrientation);
+        } else {
+            window.removeEventListener('deviceorientation', this.handleOrientation);
+        }
+        this.tiltButton.classList.toggle('active', enabled);
+        this.tiltButton.textContent = `📱 Tilt: ${enabled ? 'ON' : 'OFF'}`;
+        console.log(`📱 Tilt steering ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    // Re-centre tilt on the current device attitude
+    calibrateTilt() {
+        this.tiltNeutral = null;
+    }
+
+    handleOrientation(event) {
+        if (event.beta === null || event.gamma === null) return;
+
+        const reading = readDeviceTilt(event.beta, event.gamma, getScreenAngle());
+        if (!this.tiltNeutral) {
+            this.tiltNeutral = reading;
+        }
+        this.tilt.roll = reading.roll - this.tiltNeutral.roll;
+        this.tilt.pitch = reading.pitch - this.tiltNeutral.pitch;
+    }
+
+    /**
+     * Current touch input as action values, 0-1 each (same ids as INPUT_ACTIONS)
+     */
+    getActionValues() {
+        if (!this.visible) return {};
+
+        let roll = this.stick.x;
+        let pitch = this.stick.y; // Pull the stick down for nose up, like a real stick
+
+        // The stick takes over from tilt while it is held
+        if (this.tiltEnabled && this.stick.pointerId === null) {
+            roll = shapeTilt(this.tilt.roll, this.config);
+            pitch = shapeTilt(this.tilt.pitch, this.config);
+        } else {
+            roll = applyDeadzone(roll, this.config.stickDeadzone);
+            pitch = applyDeadzone(pitch, this.config.stickDeadzone);
+        }
+
+        return {
+            rollLeft: Math.max(-roll, 0),
+            rollRight: Math.max(roll, 0),
+            pitchUp: Math.max(pitch, 0),
+            pitchDown: Math.max(-pitch, 0),
+            boost: this.buttons.boost.size > 0 ? 1 : 0,
+            gear: this.buttons.gear.size > 0 ? 1 : 0,
+            brake: this.buttons.brake.size > 0 ? 1 : 0,
+            reset: this.buttons.reset.size > 0 ? 1 : 0
+        };
+    }
+
+    setVisible(visible) {
+        this.visible = visible && this.supported;
+        this.container.classList.toggle('hidden', !this.visible);
+        if (!this.visible && this.tiltEnabled) {
+            this.setTiltEnabled(false);
+        }
+    }
+
+    getStatus() {
+        return {
+            supported: this.supported,
+            visible: this.visible,
+            stick: { x: Math.round(this.stick.x * 100) / 100, y: Math.round(this.stick.y * 100) / 100 },
+            throttle: Math.round(this.throttle * 100),
+            tiltEnabled: this.tiltEnabled,
+            tilt: { roll: Math.round(this.tilt.roll), pitch: Math.round(this.tilt.pitch) }
+        };
+    }
+}
+
+/**
+ * Device tilt in screen terms, whichever way the device is rotated
+ * @param {number} beta - Front/back tilt in degrees (DeviceOrientationEvent)
+ * @param {number} gamma - Left/right tilt in degrees
+ * @param {number} screenAngle - 0 portrait, 90 or -90/270 landscape
+ * @returns {Object} { roll, pitch } in degrees, roll positive to the right, pitch positive toward the player
+ */
+export function readDeviceTilt(beta, gamma, screenAngle) {
+    switch (((screenAngle % 360) + 360) % 360) {
+        case 90:
+            return { roll: beta, pitch: -gamma };
+        case 270:
+            return { roll: -beta, pitch: gamma };
+        case 180:
+            return { roll: -gamma, pitch: -beta };
+        default:
+            return { roll: gamma, pitch: beta };
+    }
+}
+
+function getScreenAngle() {
+    if (screen.orientation && typeof screen.orientation.angle === 'number') {
+        return screen.orientation.angle;
+    }
+    return window.orientation || 0; // Older iOS Safari
+}
+
+function shapeTilt(degrees, config) {
+    const magnitude = Math.abs(degrees);
+    if (magnitude <= config.tiltDeadzone) return 0;
+    return Math.sign(degrees) * Math.min((magnitude - config.tiltDeadzone) / (config.tiltRange - config.tiltDeadzone), 1);
+}
+
+function applyDeadzone(value, deadzone) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= deadzone) return 0;
+    return Math.sign(value) * (magnitude - deadzone) / (1 - deadzone);
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
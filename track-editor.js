@@ -0,0 +1,503 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { parseTrackDefinition } from './racetrack.js';
+
+/**
+ * In-game Track Editor
+ * Orbit over the terrain and place, move, rotate, resize and reorder race gates with the mouse.
+ * Edits the track in the JSON file format and rebuilds the RaceTrack preview after every change.
+ *
+ * Mouse: click a gate to select and drag it, click terrain in "add" mode to drop a gate,
+ * Shift+wheel rotates and Alt+wheel resizes the selected gate.
+ * Keys: Delete removes, [ and ] reorder, PageUp/PageDown change clearance, Escape deselects.
+ */
+export class TrackEditor {
+    constructor(camera, renderer, environment, raceTrack, debugGrid) {
+        this.camera = camera;
+        this.renderer = renderer;
+        this.environment = environment;
+        this.raceTrack = raceTrack;
+        this.debugGrid = debugGrid;
+
+        this.active = false;
+        this.definition = null; // Track being edited, in the JSON file format
+        this.selectedIndex = -1;
+        this.mode = 'select'; // 'select', 'add', 'spawn'
+        this.snapToTerrain = true;
+        this.dragging = false;
+
+        this.orbitControls = null;
+        this.previousFar = camera.far;
+        this.racingLine = null;
+        this.labels = [];
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+
+        // Called with a status message for the editor panel
+        this.onStatus = null;
+
+        // Bound handlers so they can be removed when leaving the editor
+        this.handlePointerDown = this.onPointerDown.bind(this);
+        this.handlePointerMove = this.onPointerMove.bind(this);
+        this.handlePointerUp = this.onPointerUp.bind(this);
+        this.handleWheel = this.onWheel.bind(this);
+        this.handleKeyDown = this.onKeyDown.bind(this);
+
+        console.log('Track editor initialized');
+    }
+
+    /**
+     * Enter editor mode with the currently loaded track
+     */
+    enter() {
+        this.active = true;
+        this.definition = this.raceTrack.toJSON();
+        this.selectedIndex = -1;
+        this.mode = 'select';
+
+        // See the whole course from above
+        this.previousFar = this.camera.far;
+        this.camera.far = 40000;
+        this.camera.updateProjectionMatrix();
+
+        const center = this.getCourseCenter();
+        this.camera.position.set(center.x + 2500, center.y + 3500, center.z + 2500);
+        this.orbitControls = new OrbitControls(this.camera, this.renderer.domElement);
+        this.orbitControls.target.copy(center);
+        this.orbitControls.maxPolarAngle = Math.PI * 0.49; // Stay above the horizon
+        this.orbitControls.update();
+
+        const canvas = this.renderer.domElement;
+        canvas.addEventListener('pointerdown', this.handlePointerDown, { capture: true });
+        canvas.addEventListener('pointermove', this.handlePointerMove);
+        window.addEventListener('pointerup', this.handlePointerUp);
+        // Capture phase so modified wheel events never reach OrbitControls zoom
+        canvas.addEventListener('wheel', this.handleWheel, { capture: true, passive: false });
+        document.addEventListener('keydown', this.handleKeyDown);
+
+        // Coordinate labels and altitude markers as placement reference
+        if (this.debugGrid) {
+            this.debugGrid.show();
+        }
+
+        this.rebuild();
+        this.setStatus('Editor ready - click a gate to select it');
+        console.log('🛠️ Track editor active');
+    }
+
+    /**
+     * Leave editor mode. The edited course stays applied to the RaceTrack.
+     */
+    exit() {
+        if (!this.active) return;
+
+        this.active = false;
+        this.dragging = false;
+
+        const canvas = this.renderer.domElement;
+        canvas.removeEventListener('pointerdown', this.handlePointerDown, { capture: true });
+        canvas.removeEventListener('pointermove', this.handlePointerMove);
+        window.removeEventListener('pointerup', this.handlePointerUp);
+        canvas.removeEventListener('wheel', this.handleWheel, { capture: true });
+        document.removeEventListener('keydown', this.handleKeyDown);
+
+        this.orbitControls.dispose();
+        this.orbitControls = null;
+
+        this.camera.far = this.previousFar;
+        this.camera.updateProjectionMatrix();
+
+        if (this.debugGrid) {
+            this.debugGrid.hide();
+        }
+
+        this.clearPreview();
+        this.raceTrack.reset();
+        console.log('🛠️ Track editor closed');
+    }
+
+    update() {
+        if (this.orbitControls) {
+            this.orbitControls.update();
+        }
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.setStatus({
+            select: 'Select mode - click a gate, drag to move it',
+            add: 'Add mode - click terrain to drop a gate after the selected one',
+            spawn: 'Spawn mode - click terrain to place the spawn point'
+        }[mode]);
+    }
+
+    toggleSnap() {
+        this.snapToTerrain = !this.snapToTerrain;
+        this.setStatus(`Snap to terrain ${this.snapToTerrain ? 'ON' : 'OFF'}`);
+        return this.snapToTerrain;
+    }
+
+    /**
+     * Re-validate the edited definition and rebuild the gates, labels and racing line
+     */
+    rebuild() {
+        let config;
+        try {
+            config = parseTrackDefinition(this.definition, 'editor');
+        } catch (error) {
+            this.setStatus(error.errors && error.errors.length ? error.errors[0] : error.message);
+            return false;
+        }
+
+        this.raceTrack.applyDefinition(config);
+        this.raceTrack.createCourse();
+
+        this.clearPreview();
+        this.createRacingLine();
+        this.createGateLabels();
+        this.highlightSelection();
+        return true;
+    }
+
+    /**
+     * Smooth line through the gates in flying order, closed for circuits
+     */
+    createRacingLine() {
+        const gates = this.raceTrack.gates;
+        if (gates.length < 2) return;
+
+        const curve = new THREE.CatmullRomCurve3(gates.map(gate => gate.position.clone()), this.raceTrack.closed);
+        const geometry = new THREE.BufferGeometry().setFromPoints(curve.getPoints(gates.length * 20));
+        const material = new THREE.LineDashedMaterial({ color: 0xffff00, dashSize: 60, gapSize: 40 });
+
+        this.racingLine = new THREE.Line(geometry, material);
+        this.racingLine.computeLineDistances();
+        this.racingLine.name = 'RacingLinePreview';
+        this.raceTrack.scene.add(this.racingLine);
+    }
+
+    createGateLabels() {
+        if (!this.debugGrid) return;
+
+        this.raceTrack.gates.forEach((gate) => {
+            const text = `#${gate.index + 1} (${Math.round(gate.position.x)}, ${Math.round(gate.position.z)})`;
+            const label = this.debugGrid.createTextSprite(text, '#ffff00', 18, '#000066');
+            label.position.copy(gate.position);
+            label.position.y += gate.radius + 40;
+            this.raceTrack.scene.add(label);
+            this.labels.push(label);
+        });
+    }
+
+    clearPreview() {
+        if (this.racingLine) {
+            this.raceTrack.scene.remove(this.racingLine);
+            this.racingLine.geometry.dispose();
+            this.racingLine.material.dispose();
+            this.racingLine = null;
+        }
+
+        this.labels.forEach((label) => {
+            this.raceTrack.scene.remove(label);
+            label.material.map.dispose();
+            label.material.dispose();
+        });
+        this.labels = [];
+    }
+
+    highlightSelection() {
+        const gate = this.raceTrack.gates[this.selectedIndex];
+        if (gate) {
+            gate.mesh.material.color.setHex(0xff00ff);
+            gate.mesh.material.opacity = 1;
+        }
+    }
+
+    onPointerDown(event) {
+        if (event.button !== 0) return;
+        this.updatePointer(event);
+
+        const gateIndex = this.pickGate();
+        if (gateIndex !== -1) {
+            this.select(gateIndex);
+            this.dragging = true;
+            this.orbitControls.enabled = false; // Dragging a gate must not orbit the camera
+            return;
+        }
+
+        if (this.mode === 'add' || this.mode === 'spawn') {
+            const point = this.pickTerrain();
+            if (!point) return;
+
+            if (this.mode === 'add') {
+                this.addGate(point);
+            } else {
+                this.placeSpawn(point);
+            }
+            this.orbitControls.enabled = false;
+        }
+    }
+
+    onPointerMove(event) {
+        if (!this.dragging) return;
+        this.updatePointer(event);
+
+        const point = this.pickTerrain();
+        const gate = this.definition.gates[this.selectedIndex];
+        if (!point || !gate) return;
+
+        gate.x = Math.round(point.x);
+        gate.z = Math.round(point.z);
+        if (this.snapToTerrain) {
+            delete gate.y; // Follow the terrain at the gate's clearance
+        } else if (gate.y === undefined) {
+            // Keep the current height while dragging without snapping
+            gate.y = Math.round(this.raceTrack.gates[this.selectedIndex].position.y);
+        }
+        this.rebuild();
+    }
+
+    onPointerUp() {
+        this.dragging = false;
+        if (this.orbitControls) {
+            this.orbitControls.enabled = true;
+        }
+    }
+
+    onWheel(event) {
+        const gate = this.definition.gates[this.selectedIndex];
+        if (!gate || (!event.shiftKey && !event.altKey)) return; // Plain wheel zooms the orbit camera
+
+        event.preventDefault();
+        event.stopImmediatePropagation();
+
+        const direction = Math.sign(event.deltaY || event.deltaX);
+        if (event.shiftKey) {
+            this.rotateSelected(direction * 5);
+        } else {
+            this.resizeSelected(direction * -5);
+        }
+    }
+
+    onKeyDown(event) {
+        switch (event.code) {
+            case 'Delete':
+            case 'Backspace':
+                this.deleteSelected();
+                break;
+            case 'BracketLeft':
+                this.moveSelected(-1);
+                break;
+            case 'BracketRight':
+                this.moveSelected(1);
+                break;
+            case 'PageUp':
+                this.adjustClearance(10);
+                break;
+            case 'PageDown':
+                this.adjustClearance(-10);
+                break;
+            case 'Escape':
+                this.select(-1);
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+
+    updatePointer(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+    }
+
+    pickGate() {
+        const meshes = this.raceTrack.gates.map(gate => gate.mesh);
+        const hit = this.raycaster.intersectObjects(meshes, false)[0];
+        return hit ? hit.object.userData.gateIndex : -1;
+    }
+
+    /**
+     * Walk the pointer ray until it drops below the terrain, then refine the hit by bisection.
+     * Uses the height query rather than mesh raycasting so it works with any terrain source.
+     */
+    pickTerrain() {
+        const ray = this.raycaster.ray;
+        const point = new THREE.Vector3();
+        const step = 25;
+        const maxDistance = 40000;
+        let previousDistance = 0;
+
+        for (let distance = step; distance < maxDistance; distance += step) {
+            ray.at(distance, point);
+            if (point.y <= this.environment.getTerrainHeightAt(point.x, point.z)) {
+                let near = previousDistance;
+                let far = distance;
+                for (let i = 0; i < 12; i++) {
+                    const mid = (near + far) / 2;
+                    ray.at(mid, point);
+                    if (point.y <= this.environment.getTerrainHeightAt(point.x, point.z)) {
+                        far = mid;
+                    } else {
+                        near = mid;
+                    }
+                }
+                return ray.at(far, point);
+            }
+            previousDistance = distance;
+        }
+
+        return null;
+    }
+
+    select(index) {
+        this.selectedIndex = index;
+        this.rebuild();
+
+        const gate = this.definition.gates[index];
+        if (gate) {
+            const radius = gate.radius || this.raceTrack.gateRadius;
+            const heading = gate.heading !== undefined ? `${gate.heading}°` : 'auto';
+            this.setStatus(`Gate #${index + 1} at (${gate.x}, ${gate.z}) radius ${radius} heading ${heading}`);
+        } else {
+            this.setStatus('Nothing selected');
+        }
+    }
+
+    addGate(point) {
+        const gate = { x: Math.round(point.x), z: Math.round(point.z) };
+        const insertAt = this.selectedIndex === -1 ? this.definition.gates.length : this.selectedIndex + 1;
+        this.definition.gates.splice(insertAt, 0, gate);
+        this.select(insertAt);
+    }
+
+    placeSpawn(point) {
+        const spawn = this.definition.spawn;
+        spawn.x = Math.round(point.x);
+        spawn.z = Math.round(point.z);
+
+        // Face the first gate from the new spawn
+        const firstGate = this.definition.gates[0];
+        const heading = Math.atan2(-(firstGate.x - spawn.x), -(firstGate.z - spawn.z));
+        spawn.heading = Math.round(heading * 180 / Math.PI);
+
+        this.rebuild();
+        this.setStatus(`Spawn placed at (${spawn.x}, ${spawn.z}) heading ${spawn.heading}°`);
+    }
+
+    deleteSelected() {
+        if (this.selectedIndex === -1) return;
+        if (this.definition.gates.length <= 2) {
+            this.setStatus('A track needs at least 2 gates');
+            return;
+        }
+
+        this.definition.gates.splice(this.selectedIndex, 1);
+        this.select(Math.min(this.selectedIndex, this.definition.gates.length - 1));
+    }
+
+    /**
+     * Move the selected gate earlier (-1) or later (+1) in the flying order
+     */
+    moveSelected(offset) {
+        const gates = this.definition.gates;
+        const target = this.selectedIndex + offset;
+        if (this.selectedIndex === -1 || target < 0 || target >= gates.length) return;
+
+        [gates[this.selectedIndex], gates[target]] = [gates[target], gates[this.selectedIndex]];
+        this.select(target);
+    }
+
+    rotateSelected(degrees) {
+        const gate = this.definition.gates[this.selectedIndex];
+        if (!gate) return;
+
+        // Start from the automatic facing the first time a gate is rotated
+        if (gate.heading === undefined) {
+            const normal = this.raceTrack.gates[this.selectedIndex].normal;
+            gate.heading = Math.round(Math.atan2(-normal.x, -normal.z) * 180 / Math.PI);
+        }
+        gate.heading = ((gate.heading + degrees) % 360 + 360) % 360;
+        this.select(this.selectedIndex);
+    }
+
+    resizeSelected(amount) {
+        const gate = this.definition.gates[this.selectedIndex];
+        if (!gate) return;
+
+        gate.radius = Math.max(20, (gate.radius || this.raceTrack.gateRadius) + amount);
+        this.select(this.selectedIndex);
+    }
+
+    adjustClearance(amount) {
+        const gate = this.definition.gates[this.selectedIndex];
+        if (!gate) return;
+
+        if (gate.y !== undefined) {
+            gate.y += amount;
+        } else {
+            gate.clearance = Math.max(0, (gate.clearance !== undefined ? gate.clearance : this.raceTrack.gateClearance) + amount);
+        }
+        this.select(this.selectedIndex);
+    }
+
+    /**
+     * Drop the absolute height of the selected gate so it sits at its clearance above the terrain
+     */
+    snapSelected() {
+        const gate = this.definition.gates[this.selectedIndex];
+        if (!gate) return;
+
+        delete gate.y;
+        this.select(this.selectedIndex);
+    }
+
+    exportJSON() {
+        const json = JSON.stringify(this.definition, null, 4);
+        const blob = new Blob([json], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${this.definition.id}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+
+        this.setStatus(`Exported ${link.download}`);
+        return json;
+    }
+
+    /**
+     * Load a track from JSON text; the current track is kept if the file is invalid
+     */
+    importJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+            parseTrackDefinition(data, 'import');
+        } catch (error) {
+            this.setStatus(`Import failed: ${error.errors && error.errors.length ? error.errors[0] : error.message}`);
+            console.error(error.message);
+            return false;
+        }
+
+        this.definition = data;
+        this.selectedIndex = -1;
+        this.rebuild();
+        this.setStatus(`Imported "${data.name || data.id}" with ${data.gates.length} gates`);
+        return true;
+    }
+
+    getCourseCenter() {
+        const center = new THREE.Vector3();
+        const gates = this.raceTrack.gates;
+        gates.forEach(gate => center.add(gate.position));
+        return gates.length ? center.divideScalar(gates.length) : center;
+    }
+
+    setStatus(message) {
+        if (this.onStatus) {
+            this.onStatus(message);
+        }
+    }
+}
@@ -0,0 +1,251 @@
+import { DEFAULT_FLIGHT_PARAMS } from './physics.js';
+
+/**
+ * Wind Field
+ * One shared model of the moving air, sampled wherever something moves with it: the aircraft flies
+ * through it (airspeed vs ground speed) and smoke drifts on it. A prevailing wind that strengthens
+ * and veers with height above the terrain, gusts that sweep downwind across the map, lift and
+ * turbulence where the wind meets steep slopes, and thermals rising over slopes that face the sun.
+ *
+ * Conditions are picked per session. Direction, thermals and gusts come from a seeded stream and
+ * the field's own clock, so the same seed, conditions and inputs fly through the same air.
+ * Samples are in flight velocity units (physics.js); getDrift() converts them to world units per second.
+ */
+
+export const WIND_CONDITIONS = {
+    calm: { label: 'Calm', speed: 0, gusts: 0, turbulence: 0, thermals: 1 },
+    light: { label: 'Light breeze', speed: 3, gusts: 0.3, turbulence: 0.4, thermals: 1 },
+    moderate: { label: 'Moderate wind', speed: 6, gusts: 0.4, turbulence: 0.8, thermals: 0.7 },
+    gusty: { label: 'Gusty', speed: 7, gusts: 0.9, turbulence: 1.2, thermals: 0.5 },
+    strong: { label: 'Strong wind', speed: 11, gusts: 0.6, turbulence: 2, thermals: 0.2 }
+};
+
+export const DEFAULT_WIND_PARAMS = {
+    referenceHeight: 500, // Height above the terrain at which the wind blows at the conditions' speed
+    shearExponent: 0.25, // Power-law profile, slower near the ground and faster higher up
+    minHeight: 20, // Profile floor, the wind never drops to nothing on the surface
+    maxSpeedFactor: 1.5, // Cap on the profile far above the terrain
+    veer: 0.4, // Radians the wind turns clockwise from the surface up to the reference height
+    gustPeriod: 6, // Seconds between gusts passing a fixed point, on average
+    gustSwing: 0.35, // Radians a gust swings the wind direction at full gusts
+    ridgeDistance: 150, // Horizontal distance over which the terrain slope is measured
+    ridgeHeight: 400, // Height above the terrain over which ridge lift and turbulence fade out
+    ridgeLift: 1, // Updraft per unit of wind blowing up a 45° slope
+    turbulenceScale: 1.5, // Turbulence velocity over a steep slope at turbulence 1
+    turbulencePeriod: 0.8, // Seconds per turbulent eddy
+    thermalCount: 12,
+    thermalCandidates: 200, // Random spots scored for sunshine when placing thermals
+    thermalStrength: 3, // Updraft in the core of a thermal at its peak
+    thermalRadius: [150, 350],
+    thermalTop: [700, 1400], // Height above the terrain where a thermal dies out
+    thermalCycle: [60, 140] // Seconds for a thermal to build, peak and fade again
+};
+
+const NOISE_SIZE = 256;
+
+export class WindField {
+    /**
+     * @param {Object} environment - Terrain height queries, terrainSize and getSunDirection()
+     * @param {SeededRandom} random - Stream for direction, thermals and gusts
+     */
+    constructor(environment, random, params = {}) {
+        this.environment = environment;
+        this.random = random;
+        this.params = { ...DEFAULT_WIND_PARAMS, ...params };
+
+        this.conditionsName = 'calm';
+        this.conditions = WIND_CONDITIONS.calm;
+        this.direction = 0; // Heading the air moves towards, same convention as the flight heading
+        this.thermals = []; // { x, z, radius, top, strength, cycle, phase }
+        this.noise = new Float32Array(NOISE_SIZE); // Smooth noise lattice for gusts and turbulence
+        this.time = 0;
+    }
+
+    /**
+     * Pick the session's wind, re-rolling direction and thermals from the seeded stream
+     * @param {string} name - Key of WIND_CONDITIONS, or 'random' for one picked by the seed
+     */
+    setConditions(name) {
+        this.random.reset();
+        this.direction = this.random.range(-Math.PI, Math.PI);
+        for (let i = 0; i < NOISE_SIZE; i++) {
+            this.noise[i] = this.random.range(-1, 1);
+        }
+
+        const names = Object.keys(WIND_CONDITIONS);
+        const picked = name === 'random' ? names[this.random.int(names.length)] : name;
+        this.conditionsName = WIND_CONDITIONS[picked] ? picked : 'calm';
+        this.conditions = WIND_CONDITIONS[this.conditionsName];
+
+        this.createThermals();
+        this.reset();
+
+        const from = Math.round(((this.direction + Math.PI) * 180 / Math.PI + 360) % 360);
+        console.log(`🌬️ Wind: ${this.conditions.label}, ${Math.round(this.conditions.speed * 3.6)} km/h from heading ${from}°, ${this.thermals.length} thermals`);
+    }
+
+    // Place thermals on the sunniest of a set of random spots, keeping them apart
+    createThermals() {
+        const { thermalCount, thermalCandidates, thermalStrength, thermalRadius, thermalTop, thermalCycle } = this.params;
+        this.thermals = [];
+        if (this.conditions.thermals <= 0) return;
+
+        const sun = this.environment.getSunDirection();
+        const half = this.environment.terrainSize * 0.45;
+        const candidates = [];
+        for (let i = 0; i < thermalCandidates; i++) {
+            const x = this.random.range(-half, half);
+            const z = this.random.range(-half, half);
+            const { slopeX, slopeZ } = this.getSlope(x, z);
+            const sunshine = (-slopeX * sun.x + sun.y - slopeZ * sun.z) / Math.hypot(slopeX, 1, slopeZ);
+            candidates.push({ x, z, sunshine });
+        }
+        candidates.sort((a, b) => b.sunshine - a.sunshine);
+
+        const spacing = thermalRadius[1] * 4;
+        for (const { x, z } of candidates) {
+            if (this.thermals.length >= thermalCount) break;
+            if (this.thermals.some(thermal => Math.hypot(thermal.x - x, thermal.z - z) < spacing)) continue;
+
+            this.thermals.push({
+                x,
+                z,
+                radius: this.random.range(thermalRadius[0], thermalRadius[1]),
+                top: this.random.range(thermalTop[0], thermalTop[1]),
+                strength: thermalStrength * this.conditions.thermals * this.random.range(0.6, 1),
+                cycle: this.random.range(thermalCycle[0], thermalCycle[1]),
+                phase: this.random.next()
+            });
+        }
+    }
+
+    // Restart the gust and thermal clock, so every run meets the same air
+    reset() {
+        this.time = 0;
+    }
+
+    update(deltaTime) {
+        this.time += deltaTime;
+    }
+
+    /**
+     * Velocity of the air at a world position
+     * @param {Object} position - Any object with x, y and z
+     * @param {Object} target - Written and returned, a new object when omitted
+     * @returns {Object} Wind velocity in flight velocity units
+     */
+    sample(position, target = { x: 0, y: 0, z: 0 }) {
+        const { referenceHeight, shearExponent, minHeight, maxSpeedFactor, veer, gustPeriod, gustSwing } = this.params;
+        const { speed, gusts } = this.conditions;
+        const height = Math.max(0, position.y - this.environment.getTerrainHeightAt(position.x, position.z));
+
+        target.x = 0;
+        target.y = 0;
+        target.z = 0;
+
+        // Prevailing wind, weaker near the ground and veering with height
+        if (speed > 0) {
+            const profile = Math.min(maxSpeedFactor, Math.pow(Math.max(height, minHeight) / referenceHeight, shearExponent));
+
+            // Gusts travel downwind at the wind speed, so a gust felt here arrives later further downwind
+            const downwind = -position.x * Math.sin(this.direction) - position.z * Math.cos(this.direction);
+            const gustTime = (this.time - downwind / (speed * DEFAULT_FLIGHT_PARAMS.positionScale)) / gustPeriod;
+            const gustFactor = Math.max(0, 1 + gusts * this.smoothNoise(gustTime));
+            const angle = this.direction - veer * Math.min(height / referenceHeight, 1) +
+                gusts * gustSwing * this.smoothNoise(gustTime + 97.3);
+
+            const windSpeed = speed * profile * gustFactor;
+            target.x = -Math.sin(angle) * windSpeed;
+            target.z = -Math.cos(angle) * windSpeed;
+        }
+
+        if (height < this.params.ridgeHeight) {
+            this.addRidgeEffects(position, height, target);
+        }
+        target.y += this.getThermalLift(position, height, target);
+        return target;
+    }
+
+    /**
+     * Wind at a position in world units per second, for anything drawn in the world (smoke, particles)
+     */
+    getDrift(position, target = { x: 0, y: 0, z: 0 }) {
+        this.sample(position, target);
+        const scale = DEFAULT_FLIGHT_PARAMS.positionScale;
+        target.x *= scale;
+        target.y *= scale;
+        target.z *= scale;
+        return target;
+    }
+
+    // Wind blowing up a slope lifts, steep ground stirs up turbulence - both fade with height
+    addRidgeEffects(position, height, wind) {
+        const { ridgeHeight, ridgeLift, turbulenceScale, turbulencePeriod } = this.params;
+        const { slopeX, slopeZ } = this.getSlope(position.x, position.z);
+        const fade = 1 - height / ridgeHeight;
+        const horizontalSpeed = Math.hypot(wind.x, wind.z);
+
+        const upslope = wind.x * slopeX + wind.z * slopeZ;
+        wind.y += Math.max(-horizontalSpeed, Math.min(horizontalSpeed, upslope * ridgeLift)) * fade;
+
+        const amplitude = this.conditions.turbulence * turbulenceScale * Math.min(1, Math.hypot(slopeX, slopeZ) * 2) * fade;
+        if (amplitude > 0) {
+            const eddyTime = this.time / turbulencePeriod;
+            wind.x += this.smoothNoise(eddyTime + 31.7) * amplitude;
+            wind.y += this.smoothNoise(eddyTime + 59.1) * amplitude;
+            wind.z += this.smoothNoise(eddyTime + 173.9) * amplitude;
+        }
+    }
+
+    // Updraft from every thermal in reach; columns lean downwind as the rising air drifts with the wind
+    getThermalLift(position, height, wind) {
+        const scale = DEFAULT_FLIGHT_PARAMS.positionScale;
+        let lift = 0;
+
+        for (const thermal of this.thermals) {
+            // Seconds the air took to rise this high in this thermal's own updraft, in world units like getDrift()
+            const riseTime = height / (thermal.strength * scale);
+            const dx = position.x - (thermal.x + wind.x * scale * riseTime);
+            const dz = position.z - (thermal.z + wind.z * scale * riseTime);
+            const reach = thermal.radius * 2;
+            if (Math.abs(dx) > reach || Math.abs(dz) > reach) continue;
+
+            // Builds, peaks and fades over its cycle; strongest in the core, gone above the top
+            const cycle = 0.5 - 0.5 * Math.cos(2 * Math.PI * (this.time / thermal.cycle + thermal.phase));
+            const core = Math.exp(-(dx * dx + dz * dz) / (thermal.radius * thermal.radius));
+            const column = Math.min(1, height / 100) * Math.max(0, Math.min(1, (thermal.top - height) / 200));
+            lift += thermal.strength * cycle * core * column;
+        }
+        return lift;
+    }
+
+    // Terrain gradient (height change per unit along x and z) over ridgeDistance
+    getSlope(x, z) {
+        const distance = this.params.ridgeDistance;
+        const getHeight = (sampleX, sampleZ) => this.environment.getTerrainHeightAt(sampleX, sampleZ);
+        return {
+            slopeX: (getHeight(x + distance, z) - getHeight(x - distance, z)) / (2 * distance),
+            slopeZ: (getHeight(x, z + distance) - getHeight(x, z - distance)) / (2 * distance)
+        };
+    }
+
+    // Smooth value noise in -1..1 over the seeded lattice, one lattice point per unit of t
+    smoothNoise(t) {
+        const index = Math.floor(t);
+        const fraction = t - index;
+        const a = this.noise[index & (NOISE_SIZE - 1)];
+        const b = this.noise[(index + 1) & (NOISE_SIZE - 1)];
+        return a + (b - a) * fraction * fraction * (3 - 2 * fraction);
+    }
+
+    getStatus() {
+        return {
+            conditions: this.conditionsName,
+            label: this.conditions.label,
+            speed: Math.round(this.conditions.speed * 3.6), // km/h at the reference height, before gusts
+            direction: Math.round(this.direction * 180 / Math.PI), // Degrees the air moves towards, flight heading convention
+            thermals: this.thermals.length,
+            time: Math.round(this.time * 10) / 10
+        };
+    }
+}